@@ -1,5 +1,6 @@
 // Importar las dependencias necesarias de @slack/bolt para la creación de la app y el receptor de eventos.
 const { App, ExpressReceiver } = require('@slack/bolt');
+const express = require('express'); // Se usa para leer el cuerpo JSON del endpoint de GeneXus.
 
 // Importar los manejadores de comandos y funciones específicas del bot.
 const CheckAllCommand = require('./commands/checkAll');
@@ -8,7 +9,27 @@ const CheckAllPastCommand = require('./commands/checkAllPast');
 const CheckMePastCommand = require('./commands/checkMePast');
 const CheckCommands = require('./commands/checkCommands');
 const CheckMyProfile = require('./commands/checkMyProfile');
+const CheckTeamCommand = require('./commands/checkTeam');
+const ManageCalendarCommand = require('./commands/manageCalendar');
+const ManageSchedulesCommand = require('./commands/manageSchedules');
+const ManageRolesCommand = require('./commands/manageRoles');
+const ManageWorkHoursCommand = require('./commands/manageWorkHours');
+const ManageLinksCommand = require('./commands/manageLinks');
+const ManageAreaChannelsCommand = require('./commands/manageAreaChannels');
+const LinkAccountCommand = require('./commands/linkAccount');
+const CheckDayCommand = require('./commands/checkDay');
+const LogHoursCommand = require('./commands/logHours');
 const NotifyTasksFunction = require('./functions/notifyTasks');
+const AppHomeFunction = require('./functions/appHome');
+const EnrutadorComandos = require('./services/enrutadorComandos');
+const ServicioEnvioReportes = require('./services/envioReportes');
+const ServicioProgramaciones = require('./services/programaciones');
+const ServicioAutorizacion = require('./services/autorizacion');
+const DirectorioSlack = require('./services/directorioSlack');
+const ServicioAutenticacionEndpoint = require('./services/autenticacionEndpoint');
+const ColaNotificaciones = require('./services/colaNotificaciones');
+const { ESTADOS_NOTIFICACION } = require('./services/colaNotificaciones');
+const { ConstructorMensajesSlack } = require('./services/reportes');
 
 // Cargar variables de entorno desde el archivo .env para la configuración segura.
 require('dotenv').config();
@@ -24,6 +45,9 @@ const receiver = new ExpressReceiver({
   signingSecret: process.env.SLACK_SIGNING_SECRET 
 });
 
+// Si el bot está detrás de un proxy, se confía en él para que `req.ip` sea la IP real de GeneXus.
+receiver.app.set('trust proxy', ServicioAutenticacionEndpoint.obtenerConfianzaProxy());
+
 /**
  * @constant {App} bot
  * @description PASO 2: Se configura la instancia principal del bot de Slack.
@@ -35,36 +59,74 @@ const bot = new App({
   receiver // Se pasa el receiver configurado.
 });
 
+/**
+ * @function verificarSolicitudExterna
+ * @description Crea el middleware de los endpoints de GeneXus: verifica la IP de origen, la firma HMAC o API key
+ * y el timestamp (ver `bot/services/autenticacionEndpoint.js`). Si algo falla, se registra y no se ejecuta nada.
+ * @param {Object} [opciones]
+ * @param {boolean} [opciones.permitirRepetidas=false] - Deja pasar las solicitudes auténticas pero repetidas, para
+ * los endpoints que ya son idempotentes (un reintento tras un error debe poder completar lo que el primero no hizo).
+ * @returns {Function} El middleware de Express.
+ */
+const verificarSolicitudExterna = ({ permitirRepetidas = false } = {}) => (req, res, next) => {
+    try {
+        ServicioAutenticacionEndpoint.verificar(req);
+        next();
+    } catch (error) {
+        if (error.repetida && permitirRepetidas) {
+            return next();
+        }
+        // El motivo solo queda en el log; al sistema externo se le responde un mensaje genérico.
+        console.warn(`🔒 Solicitud rechazada en ${req.originalUrl} desde ${req.ip}: ${error.message}`);
+        res.status(error.codigoHttp || 401).json({
+            status: 'error',
+            message: 'Solicitud no autorizada.'
+        });
+    }
+};
+
 /**
  * @description PASO 3: Se configura un endpoint HTTP POST personalizado usando el `receiver`.
  * Este endpoint está diseñado para ser llamado por un sistema externo (como GeneXus).
  * La ruta es `/api/notificar-tareas/:vaDirigidoA/:TarSec`, donde los parámetros son dinámicos.
+ * El cuerpo JSON trae el `timestamp` del evento (obligatorio), que forma la clave de idempotencia junto con
+ * el evento y el `TarSec`, y los datos adicionales del evento (ej. `asignadoAnterior`, `comentario`).
+ * La notificación se guarda en la cola y se entrega en segundo plano; la respuesta trae su `id`
+ * para consultar el estado en `GET /api/notificaciones/:id`.
  * 
- * @param {string} :vaDirigidoA - Indica el tipo de notificación ('NotificarAsignado' o 'NotificarCreador').
+ * @param {string} :vaDirigidoA - El evento a notificar ('NotificarAsignado', 'NotificarCreador', 'Reasignacion', etc.).
  * @param {string} :TarSec - El identificador único de la tarea.
  */
-receiver.app.post('/api/notificar-tareas/:vaDirigidoA/:TarSec', async (req, res) => {
-    // Extraer los parámetros de la URL de la solicitud.
+receiver.app.post('/api/notificar-tareas/:vaDirigidoA/:TarSec', express.json({
+    // Se guarda el cuerpo sin interpretar porque la firma se calcula sobre los bytes recibidos.
+    verify: (req, res, buffer) => { req.cuerpoCrudo = buffer; }
+}), verificarSolicitudExterna({ permitirRepetidas: true }), async (req, res) => {
+    // Extraer los parámetros de la URL y los datos del cuerpo de la solicitud.
     const { vaDirigidoA, TarSec } = req.params;
+    const { timestamp, ...datos } = req.body || {};
 
     try {
-        // Se crea una instancia del manejador de la lógica de notificación.
-        const handler = new NotifyTasksFunction(); 
-        // Se ejecuta la lógica principal de notificación con los parámetros recibidos.
-        const resultado = await handler.execute(vaDirigidoA, TarSec); 
-
-        // Se envía una respuesta HTTP 200 (OK) al sistema externo (GeneXus),
-        // indicando que la solicitud fue procesada correctamente.
-        res.status(200).json({
+        // Se valida y se guarda la notificación; si es un reintento de GeneXus (aunque repita la misma
+        // solicitud firmada), la clave de idempotencia devuelve la existente en lugar de enviarla otra vez.
+        const { notificacion, duplicada } = await NotifyTasksFunction.encolar(vaDirigidoA, TarSec, datos, timestamp);
+
+        // Se responde 202 (Aceptada) a una notificación nueva y 200 a una repetida, sin volver a enviarla.
+        res.status(duplicada ? 200 : 202).json({
             status: 'ok',
-            message: resultado
+            id: notificacion.id,
+            estado: notificacion.estado,
+            duplicada,
+            message: duplicada
+                ? `La notificación ya se había recibido (#${notificacion.id}).`
+                : `Notificación '${vaDirigidoA}' de la tarea ${TarSec} encolada (#${notificacion.id}).`
         });
 
     } catch (error) {
         // Si ocurre un error durante el proceso, se captura y se loguea en la consola.
         console.error('❌ Error en el proceso de notificación de tarea:', error);
-        // Se envía una respuesta HTTP 500 (Error Interno del Servidor) al sistema externo.
-        res.status(500).json({
+        // Los errores de la solicitud (evento desconocido, datos faltantes) traen su código HTTP (400);
+        // cualquier otro es un error interno (500).
+        res.status(error.codigoHttp || 500).json({
             status: 'error',
             message: error.message || 'Ocurrió un error interno al procesar la notificación.',
         });
@@ -72,20 +134,185 @@ receiver.app.post('/api/notificar-tareas/:vaDirigidoA/:TarSec', async (req, res)
 });
 
 /**
- * @constant {Object.<string, function>} commandHandlers
- * @description Mapeo de los textos de los comandos a las clases que los manejan.
- * Esto permite una gestión centralizada y escalable de los comandos.
- * Cuando un usuario escribe un comando, se busca en este objeto para encontrar
- * la clase constructora (`handlerFactory`) correspondiente.
+ * @description Endpoint para que GeneXus consulte el estado de entrega de una notificación encolada:
+ * su estado general, los intentos, el último error y el resultado por destinatario.
+ * 
+ * @param {string} :id - El ID devuelto al encolar la notificación.
+ */
+receiver.app.get('/api/notificaciones/:id', verificarSolicitudExterna(), (req, res) => {
+    const notificacion = ColaNotificaciones.obtener(req.params.id);
+    if (!notificacion) {
+        return res.status(404).json({
+            status: 'error',
+            message: `La notificación ${req.params.id} no existe.`
+        });
+    }
+
+    // Los datos del evento (ej. el texto de un comentario) no se devuelven.
+    const { datos, ...estadoEntrega } = notificacion;
+    res.status(200).json({
+        status: 'ok',
+        notificacion: { ...estadoEntrega, descripcion: ESTADOS_NOTIFICACION[notificacion.estado] }
+    });
+});
+
+/**
+ * @constant {EnrutadorComandos} enrutador
+ * @description Registro central de los comandos del bot y sus alias.
+ * Cuando un usuario escribe un mensaje, el enrutador separa el nombre del comando,
+ * sus argumentos y sus banderas (`--flag`), y encuentra la clase que lo maneja.
+ * Los comandos con `descripcion` se listan en el mensaje de "Comando no reconocido".
+ * Los comandos con `rol` solo los pueden ejecutar los usuarios con ese rol o uno superior.
+ */
+const enrutador = new EnrutadorComandos()
+  .registrar('info', () => new CheckCommands(), { alias: ['ayuda', 'help'], descripcion: 'Muestra ayuda' })
+  .registrar('unicheck', () => new CheckMyProfile(), { alias: ['perfil'], descripcion: 'Tu perfil' })
+  .registrar('crm-check-me', () => new CheckMeCommand(), { descripcion: 'Tus registros (ej. `2026-03`, `semana`)' })
+  .registrar('crm-check-me-past', () => new CheckMePastCommand(), { descripcion: 'Registros mes pasado' })
+  .registrar('crm-check-day', () => new CheckDayCommand(), { alias: ['dia'], descripcion: 'Detalle por ticket de un día (ej. `2026-10-14`)' })
+  .registrar('crm-log', () => new LogHoursCommand(), { alias: ['registrar'], descripcion: 'Registra horas en un ticket' })
+  .registrar('vincular', () => new LinkAccountCommand(), { descripcion: 'Vincula tu usuario del CRM (ej. `vincular jperez`)' })
+  .registrar('crm-check-team', () => new CheckTeamCommand(), { alias: ['equipo'], rol: 'lider' })
+  .registrar('crm-check-all-admin', () => new CheckAllCommand(), { rol: 'admin' })
+  .registrar('crm-check-all-admin-past', () => new CheckAllPastCommand(), { rol: 'admin' })
+  .registrar('crm-calendario', () => new ManageCalendarCommand(), { rol: 'admin' })
+  .registrar('crm-programacion', () => new ManageSchedulesCommand(), { rol: 'admin' })
+  .registrar('crm-roles', () => new ManageRolesCommand(), { rol: 'admin' })
+  .registrar('crm-horarios', () => new ManageWorkHoursCommand(), { rol: 'admin' })
+  .registrar('crm-vinculos', () => new ManageLinksCommand(), { rol: 'admin' })
+  .registrar('crm-canales', () => new ManageAreaChannelsCommand(), { rol: 'admin' });
+
+/**
+ * @constant {Object.<string, string>} SUBCOMANDOS_SLASH
+ * @description Nombres cortos aceptados por el slash command `/crm` (ej. `/crm me`),
+ * mapeados al nombre completo del comando registrado en el enrutador.
+ * También se acepta el nombre completo (ej. `/crm crm-check-me 2026-03`).
+ */
+const SUBCOMANDOS_SLASH = {
+  '': 'info',
+  'ayuda': 'info',
+  'me': 'crm-check-me',
+  'me-past': 'crm-check-me-past',
+  'dia': 'crm-check-day',
+  'log': 'crm-log',
+  'perfil': 'unicheck',
+  'equipo': 'crm-check-team',
+  'admin': 'crm-check-all-admin',
+  'admin-past': 'crm-check-all-admin-past',
+  'calendario': 'crm-calendario',
+  'programacion': 'crm-programacion',
+  'roles': 'crm-roles',
+  'horarios': 'crm-horarios',
+  'vinculos': 'crm-vinculos',
+  'canales': 'crm-canales'
+};
+
+/**
+ * @function construirMensajeNoReconocido
+ * @description Construye la respuesta para un comando desconocido, sugiriendo el comando
+ * más parecido si se trata de un error de escritura.
+ * @param {string} nombre - El nombre escrito por el usuario.
+ * @param {string|null} sugerencia - El comando sugerido por el enrutador.
+ * @returns {Object} El mensaje de Slack.
  */
-const commandHandlers = {
-  'info': () => new CheckCommands(),
-  'ayuda': () => new CheckCommands(),
-  'unicheck': () => new CheckMyProfile(),
-  'crm-check-me': () => new CheckMeCommand(),
-  'crm-check-me-past': () => new CheckMePastCommand(),
-  'crm-check-all-admin': () => new CheckAllCommand(),
-  'crm-check-all-admin-past': () => new CheckAllPastCommand()
+const construirMensajeNoReconocido = (nombre, sugerencia) => {
+  const comandosDisponibles = enrutador.listar()
+    .filter(comando => comando.descripcion)
+    .map(comando => `• ${[comando.nombre, ...comando.alias].map(clave => `\`${clave}\``).join('/')} - ${comando.descripcion}`);
+
+  return {
+    text: 'Comando no reconocido',
+    blocks: [
+      {
+        type: "section",
+        text: {
+          type: "mrkdwn",
+          text: sugerencia
+            ? `❌ *Comando no reconocido:* \`${nombre}\`\n¿Quisiste decir \`${sugerencia}\`?`
+            : "❌ *Comando no reconocido*"
+        }
+      },
+      {
+        type: "divider"
+      },
+      {
+        type: "section",
+        text: {
+          type: "mrkdwn",
+          text: "Comandos disponibles:\n\n" + comandosDisponibles.join('\n')
+        }
+      }
+    ]
+  };
+};
+
+/**
+ * @function despacharComando
+ * @description Resuelve el texto de un comando con el enrutador, verifica que el usuario tenga
+ * el rol que exige el comando y ejecuta su manejador.
+ * Es compartido por los mensajes directos y el slash command `/crm`, de modo que ambos
+ * caminos usan exactamente las mismas clases y se comportan igual.
+ * @param {string} texto - El texto del comando (ej. 'crm-check-me 2026-03').
+ * @param {Object} contexto - Datos del origen: `user_id`, `ts` y el `event` o `slash_command` de Slack.
+ * @param {Function} responder - Función que envía cada mensaje de respuesta. Si devuelve `channel` y `ts`
+ * (mensajes normales, no efímeros), los comandos pueden actualizar ese mensaje después (ej. el progreso de un envío).
+ */
+const despacharComando = async (texto, contexto, responder) => {
+  // Interpretar el texto: nombre del comando, argumentos posicionales y banderas.
+  const { definicion, nombre, args, flags, sugerencia } = enrutador.resolver(texto);
+
+  // Si no se reconoce el comando, se envía un mensaje de ayuda al usuario.
+  if (!definicion) {
+    await responder(construirMensajeNoReconocido(nombre, sugerencia));
+    return;
+  }
+
+  try {
+    // Verificar que el usuario tenga el rol requerido por el comando (y que esté en su lista, si la tiene).
+    if (!(await ServicioAutorizacion.tieneRol(contexto.user_id, definicion.rol, definicion.nombre))) {
+      await responder({ text: '⛔ Acceso denegado', blocks: ServicioAutorizacion.construirMensajeSinPermisos(definicion.rol) });
+      return;
+    }
+
+    // Se crea una instancia del manejador.
+    const handler = definicion.fabrica();
+
+    // Se crea un objeto `comando` que simula la estructura que esperan los manejadores.
+    // Esto es útil para mantener la compatibilidad y pasar la información necesaria.
+    const comando = {
+      ...contexto,
+      user: contexto.user_id,     // Para compatibilidad con otras partes del código.
+      text: texto,
+      command: definicion.nombre, // Nombre principal del comando (aunque se haya usado un alias).
+      args,                       // Argumentos posicionales escritos después del nombre del comando.
+      flags                       // Banderas (`--preview`, `--dry-run`, `--clave=valor`...).
+    };
+
+    // Se ejecuta el método `execute` del manejador, pasando el objeto `comando` y la función de respuesta.
+    await handler.execute(comando, responder);
+  } catch (error) {
+    // Si hay un error al ejecutar el comando, se loguea y se notifica al usuario.
+    console.error('Error ejecutando comando:', error);
+    await responder({
+      text: '❌ Error al procesar el comando',
+      blocks: [
+        {
+          type: 'section',
+          text: {
+            type: 'mrkdwn',
+            text: '❌ *Error al procesar el comando*'
+          }
+        },
+        {
+          type: 'section',
+          text: {
+            type: 'mrkdwn',
+            text: `\`\`\`${error.message}\`\`\``
+          }
+        }
+      ]
+    });
+  }
 };
 
 /**
@@ -97,104 +324,321 @@ bot.event('message', async ({ event, say }) => {
   // Solo procesar mensajes en canales de tipo 'im' (mensajes directos),
   // que no sean de un bot y no sean subtipos de eventos (como ediciones o eliminaciones).
   if (event.channel_type === 'im' && !event.bot_id && !event.subtype) {
-    // Normalizar el texto del comando a minúsculas y sin espacios extra.
-    const commandText = event.text.toLowerCase().trim();
-    // Buscar el constructor del manejador de comandos en el mapa.
-    const handlerFactory = commandHandlers[commandText];
-    
     /**
      * @function replyInThread
      * @description Función de utilidad para responder en un hilo al mensaje original.
      * Esto mantiene las conversaciones organizadas.
      * @param {Object} message - El objeto de mensaje a enviar.
+     * @returns {Promise<Object>} La respuesta de Slack, con `channel` y `ts` para poder actualizar el mensaje.
      */
     const replyInThread = async (message) => {
-      await say({
+      return say({
         ...message,
         thread_ts: event.ts, // Identificador del mensaje original para crear o unirse al hilo.
         reply_broadcast: false // Evita que la respuesta se envíe también al canal principal.
       });
     };
 
-    // Si se encontró un manejador para el comando...
-    if (handlerFactory) {
-      try {
-        // Se crea una instancia del manejador.
-        const handler = handlerFactory();
-        
-        // Se crea un objeto `comando` que simula la estructura que esperan los manejadores.
-        // Esto es útil para mantener la compatibilidad y pasar la información necesaria.
-        const comando = {
-          user_id: event.user,  // El ID del usuario que envió el mensaje.
-          user: event.user,     // Para compatibilidad con otras partes del código.
-          text: event.text,
-          ts: event.ts,
-          event: event          // Se pasa el evento completo por si se necesita más contexto.
-        };
-
-        // Se ejecuta el método `execute` del manejador, pasando el objeto `comando` y la función de respuesta.
-        await handler.execute(comando, replyInThread);
-      } catch (error) {
-        // Si hay un error al ejecutar el comando, se loguea y se notifica al usuario.
-        console.error('Error ejecutando comando:', error);
-        await replyInThread({
-          blocks: [
-            {
-              type: 'section',
-              text: {
-                type: 'mrkdwn',
-                text: '❌ *Error al procesar el comando*'
-              }
-            },
-            {
-              type: 'section',
-              text: {
-                type: 'mrkdwn',
-                text: `\`\`\`${error.message}\`\`\``
-              }
-            }
-          ]
-        });
-      }
+    await despacharComando(event.text || '', {
+      user_id: event.user,  // El ID del usuario que envió el mensaje.
+      ts: event.ts,
+      event: event          // Se pasa el evento completo por si se necesita más contexto.
+    }, replyInThread);
+  }
+});
+
+/**
+ * @description Manejador del slash command `/crm` (ej. `/crm me`, `/crm me-past`, `/crm perfil`).
+ * Funciona desde cualquier canal y responde con mensajes efímeros (solo visibles para quien lo ejecuta).
+ */
+bot.command('/crm', async ({ command, ack, respond, client }) => {
+  // Slack exige confirmar la recepción del comando en menos de 3 segundos.
+  await ack();
+
+  // Traducir el nombre corto del subcomando (ej. `me`) al nombre completo registrado en el enrutador.
+  const [subcomando = '', ...resto] = EnrutadorComandos.tokenizar(command.text || '');
+  const nombreComando = SUBCOMANDOS_SLASH[subcomando.toLowerCase()] || subcomando;
+  const texto = [nombreComando, ...resto.map(token => (/\s/.test(token) ? `"${token}"` : token))].join(' ');
+
+  /**
+   * @function replyEphemeral
+   * @description Envía cada respuesta como mensaje efímero en el canal donde se ejecutó el comando.
+   * Se usa `chat.postEphemeral` porque `response_url` solo admite 5 respuestas por comando y
+   * algunos comandos envían varios mensajes. Si el bot no pertenece al canal, se recurre a `respond`.
+   * @param {Object} message - El objeto de mensaje a enviar.
+   */
+  const replyEphemeral = async (message) => {
+    // Los hilos no aplican a los mensajes efímeros.
+    const { thread_ts, reply_broadcast, ...mensaje } = message;
+    try {
+      await client.chat.postEphemeral({ ...mensaje, channel: command.channel_id, user: command.user_id });
+    } catch (error) {
+      const codigo = error.data ? error.data.error : null;
+      if (codigo !== 'channel_not_found' && codigo !== 'not_in_channel') throw error;
+      await respond({ ...mensaje, response_type: 'ephemeral' });
+    }
+  };
+
+  await despacharComando(texto, {
+    user_id: command.user_id,   // El ID del usuario que ejecutó el slash command.
+    channel_id: command.channel_id,
+    slash_command: command       // Se pasa el slash command completo por si se necesita más contexto.
+  }, replyEphemeral);
+});
+
+/**
+ * @description Manejadores de los eventos `user_change` y `team_join`.
+ * Mantienen al día el directorio de usuarios de Slack en memoria sin volver a descargarlo completo.
+ */
+bot.event('user_change', async ({ event }) => {
+  DirectorioSlack.actualizarUsuario(event.user);
+});
+
+bot.event('team_join', async ({ event }) => {
+  DirectorioSlack.actualizarUsuario(event.user);
+});
+
+/**
+ * @description Manejador del evento `app_home_opened`.
+ * Cada vez que el usuario abre la pestaña Inicio del bot se recalcula y publica su tablero de horas.
+ */
+bot.event('app_home_opened', async ({ event, client }) => {
+  // El evento también se emite al abrir la pestaña Mensajes, que no muestra el tablero.
+  if (event.tab !== 'home') return;
+  await new AppHomeFunction().publicar(client, event.user);
+});
+
+/**
+ * @description Manejadores de los botones del tablero de Inicio.
+ * Cada botón ejecuta un comando existente a través de `despacharComando`, envía el resultado
+ * por mensaje directo al usuario y luego actualiza el tablero.
+ */
+Object.entries(AppHomeFunction.ACCIONES_INICIO).forEach(([accion, nombreComando]) => {
+  bot.action(accion, async ({ ack, body, client }) => {
+    await ack();
+    const userId = body.user.id;
+
+    /**
+     * @function replyInDirectMessage
+     * @description Envía cada respuesta al canal de mensajes directos entre el bot y el usuario.
+     * @param {Object} message - El objeto de mensaje a enviar.
+     */
+    const replyInDirectMessage = async (message) => {
+      const { thread_ts, reply_broadcast, ...mensaje } = message;
+      return client.chat.postMessage({ ...mensaje, channel: userId });
+    };
+
+    await despacharComando(nombreComando, { user_id: userId, action: body }, replyInDirectMessage);
+    await new AppHomeFunction().publicar(client, userId);
+  });
+});
+
+/**
+ * @function actualizarMensajeAccion
+ * @description Reemplaza el mensaje que contiene el botón presionado.
+ * Los mensajes efímeros (slash command `/crm`) solo se pueden reemplazar con su `response_url`.
+ * @param {Object} args - Argumentos del manejador de la acción (`body`, `client` y `respond`).
+ * @param {Object} mensaje - El nuevo contenido del mensaje.
+ */
+const actualizarMensajeAccion = async ({ body, client, respond }, mensaje) => {
+  if (body.container && body.container.is_ephemeral) {
+    await respond({ ...mensaje, replace_original: true });
+  } else {
+    await client.chat.update({ ...mensaje, channel: body.channel.id, ts: body.message.ts });
+  }
+};
+
+/**
+ * @description Manejador de los botones de los reportes (`reporte_semana_anterior`, `reporte_semana_siguiente`,
+ * `reporte_mes_pasado` y `reporte_solo_faltantes`). Cada botón trae en su `value` el estado a mostrar;
+ * el reporte se regenera para quien presionó el botón y se actualiza el mismo mensaje.
+ */
+bot.action(/^reporte_/, async (args) => {
+  const { ack, body, action } = args;
+  await ack();
+
+  let mensaje;
+  try {
+    mensaje = await ServicioEnvioReportes.construirReporteInteractivo(body.user.id, JSON.parse(action.value));
+  } catch (error) {
+    console.error('🚨 Error al actualizar el reporte:', error);
+    mensaje = { text: '❌ Error al generar el reporte', blocks: ConstructorMensajesSlack.construirMensajeError(error, 'Error al generar el reporte') };
+  }
+
+  await actualizarMensajeAccion(args, mensaje);
+});
+
+/**
+ * @description Manejador de los botones de día de los reportes (`detalle_dia_N`). El `value` trae la fecha
+ * (`yyyy-MM-dd`) y el detalle por ticket se muestra en un modal, siempre para quien presionó el botón.
+ * El modal se abre de inmediato (el `trigger_id` vence a los 3 segundos) y se completa al terminar la consulta.
+ */
+bot.action(/^detalle_dia_/, async ({ ack, body, action, client }) => {
+  await ack();
+  const vista = (bloques) => ({
+    type: 'modal',
+    title: { type: 'plain_text', text: 'Detalle del día' },
+    close: { type: 'plain_text', text: 'Cerrar' },
+    blocks: bloques
+  });
+
+  const { view } = await client.views.open({
+    trigger_id: body.trigger_id,
+    view: vista([{ type: 'section', text: { type: 'mrkdwn', text: '⏳ Consultando los registros del día...' } }])
+  });
+
+  let mensaje;
+  try {
+    mensaje = await CheckDayCommand.construirDetalle(body.user.id, action.value);
+  } catch (error) {
+    console.error('🚨 Error al consultar el detalle del día:', error);
+    mensaje = { blocks: ConstructorMensajesSlack.construirMensajeError(error, 'Error al consultar el detalle del día') };
+  }
+
+  await client.views.update({ view_id: view.id, hash: view.hash, view: vista(mensaje.blocks) });
+});
+
+/**
+ * @description Manejador del botón "Registrar horas" (`crm-log` y detalle de los días con faltantes).
+ * Desde un mensaje abre el modal; desde el modal del detalle del día lo apila encima. Igual que el
+ * detalle, se muestra una vista de espera y se completa cuando terminan de cargar las actividades.
+ */
+bot.action('registro_horas_abrir', async ({ ack, body, action, client }) => {
+  await ack();
+  const vistaCargando = LogHoursCommand.ConstructorMensajesRegistro.construirVistaCargando();
+  const { view } = body.view
+    ? await client.views.push({ trigger_id: body.trigger_id, view: vistaCargando })
+    : await client.views.open({ trigger_id: body.trigger_id, view: vistaCargando });
+
+  const vista = await LogHoursCommand.construirVista(body.user.id, action.value);
+  await client.views.update({ view_id: view.id, hash: view.hash, view: vista });
+});
+
+/**
+ * @description Manejador del envío del modal de registro de horas. Los errores de validación se
+ * muestran junto al campo correspondiente sin cerrar el modal; si el registro se guarda, se cierran
+ * todos los modales abiertos y se envía la confirmación por mensaje directo.
+ */
+bot.view(LogHoursCommand.CALLBACK_MODAL, async ({ ack, body, view, client }) => {
+  let confirmacion;
+  try {
+    confirmacion = await LogHoursCommand.registrar(body.user.id, view);
+  } catch (error) {
+    if (error.campo) {
+      await ack({ response_action: 'errors', errors: { [error.campo]: error.message } });
     } else {
-      // Si no se reconoce el comando, se envía un mensaje de ayuda al usuario.
-      await replyInThread({
-        blocks: [
-          {
-            type: "section",
-            text: {
-              type: "mrkdwn",
-              text: "❌ *Comando no reconocido*"
-            }
-          },
-          {
-            type: "divider"
-          },
-          {
-            type: "section",
-            text: {
-              type: "mrkdwn",
-              text: "Comandos disponibles:\n\n" +
-                    "• `info`/`ayuda` - Muestra ayuda\n" +
-                    "• `unicheck` - Tu perfil\n" +
-                    "• `crm-check-me` - Tus registros\n" +
-                    "• `crm-check-me-past` - Registros mes pasado"
-            }
-          }
-        ]
-      });
+      console.error('🚨 Error al registrar horas:', error);
+      await ack({ response_action: 'update', view: LogHoursCommand.ConstructorMensajesRegistro.construirVistaError(error) });
+    }
+    return;
+  }
+
+  await ack({ response_action: 'clear' });
+  await client.chat.postMessage({ ...confirmacion, channel: body.user.id });
+});
+
+/**
+ * @description Manejador del botón "Restablecer contraseña" del perfil (`unicheck`). Abre un modal, visible
+ * solo para quien presionó el botón, donde escribe su nueva contraseña con un token de un solo uso.
+ */
+bot.action('perfil_restablecer_contrasena', async ({ ack, body, client }) => {
+  await ack();
+  // El `trigger_id` vence en 3 segundos: se abre una vista de espera y se completa al emitir el token.
+  const { view } = await client.views.open({ trigger_id: body.trigger_id, view: CheckMyProfile.construirVistaCargando() });
+  await client.views.update({ view_id: view.id, hash: view.hash, view: await CheckMyProfile.construirVistaContrasena(body.user.id) });
+});
+
+/**
+ * @description Manejador del envío del modal de restablecimiento de contraseña. Los errores de validación
+ * se muestran junto al campo sin cerrar el modal; si la contraseña se guarda, se avisa por mensaje directo.
+ */
+bot.view(CheckMyProfile.CALLBACK_MODAL_CONTRASENA, async ({ ack, body, view, client }) => {
+  let confirmacion;
+  try {
+    confirmacion = await CheckMyProfile.cambiarContrasena(body.user.id, view);
+  } catch (error) {
+    if (error.campo) {
+      await ack({ response_action: 'errors', errors: { [error.campo]: error.message } });
+    } else {
+      console.error('🚨 Error al restablecer la contraseña:', error);
+      await ack({ response_action: 'update', view: CheckMyProfile.construirVistaError(error) });
     }
+    return;
   }
+
+  await ack({ response_action: 'clear' });
+  await client.chat.postMessage({ ...confirmacion, channel: body.user.id });
+});
+
+/**
+ * @description Manejador del botón "Confirmar envío" de la vista previa de los envíos masivos
+ * (`crm-check-all-admin --preview`). Quita el botón para evitar envíos duplicados y ejecuta
+ * el comando original sin la bandera, respondiendo en la misma conversación.
+ */
+bot.action('masivo_confirmar', async (args) => {
+  const { ack, body, action, client, respond } = args;
+  await ack();
+
+  // Reemplazar el botón por una nota de confirmación.
+  const bloques = body.message.blocks
+    .filter(bloque => bloque.type !== 'actions')
+    .concat({ type: 'context', elements: [{ type: 'mrkdwn', text: `📨 Envío confirmado por <@${body.user.id}>` }] });
+  await actualizarMensajeAccion(args, { text: body.message.text, blocks: bloques });
+
+  /**
+   * @function replyInConversation
+   * @description Envía cada respuesta a la conversación donde estaba la vista previa.
+   * @param {Object} message - El objeto de mensaje a enviar.
+   */
+  const replyInConversation = async (message) => {
+    const { thread_ts, reply_broadcast, ...mensaje } = message;
+    if (body.container && body.container.is_ephemeral) {
+      await respond({ ...mensaje, response_type: 'ephemeral', replace_original: false });
+    } else {
+      return client.chat.postMessage({ ...mensaje, channel: body.channel.id, thread_ts: body.message.thread_ts });
+    }
+  };
+
+  await despacharComando(action.value, { user_id: body.user.id, action: body }, replyInConversation);
+});
+
+/**
+ * @description Manejador de los botones "Aprobar" y "Rechazar" de las solicitudes de `vincular`
+ * que reciben los administradores. El `value` del botón es el `FunCod` solicitado.
+ */
+bot.action(/^vinculo_(aprobar|rechazar)$/, async (args) => {
+  const { ack, body, action } = args;
+  await ack();
+
+  let mensaje;
+  if (await ServicioAutorizacion.tieneRol(body.user.id, 'admin')) {
+    mensaje = await ManageLinksCommand.resolverSolicitud(action.value, action.action_id === 'vinculo_aprobar', body.user.id);
+  } else {
+    mensaje = { text: '⛔ Acceso denegado', blocks: ServicioAutorizacion.construirMensajeSinPermisos('admin') };
+  }
+
+  await actualizarMensajeAccion(args, mensaje);
+});
+
+/**
+ * @description El botón "Abrir en CRM" solo abre un enlace, pero Slack igual envía la acción y espera su `ack`.
+ */
+bot.action('tarea_abrir_crm', async ({ ack }) => {
+  await ack();
 });
 
 /**
  * @description Función autoejecutable asíncrona para iniciar el bot.
  * El bot se inicia y comienza a escuchar en el puerto especificado en las variables de entorno,
- * o en el puerto 3000 por defecto.
+ * o en el puerto 3000 por defecto. Luego se inician el programador de recordatorios automáticos,
+ * y el trabajador que entrega las notificaciones de tareas encoladas.
  */
 (async () => {
   await bot.start(process.env.PORT || 3000);
   console.log(`⚡ Bot listo para mensajes directos en puerto ${process.env.PORT || 3000}`);
+  ServicioProgramaciones.iniciar();
+  ColaNotificaciones.iniciar((notificacion, omitidos) =>
+    new NotifyTasksFunction().execute(notificacion.evento, notificacion.tarSec, notificacion.datos, omitidos));
 })();
 
 // Se exporta la instancia del bot para poder ser utilizada en otros módulos si fuera necesario.
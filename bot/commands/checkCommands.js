@@ -56,13 +56,54 @@ class ComandoAyuda {
             }
           },
           { type: 'divider' },
+          // Períodos personalizados para crm-check-me.
+          {
+            type: 'section',
+            text: {
+              type: 'mrkdwn',
+              text: ':calendar: *Otros períodos con `crm-check-me`*\n' +
+                    '`crm-check-me 2026-03` · `crm-check-me marzo 2025` · `crm-check-me 2026-T1`\n' +
+                    '`crm-check-me 2026-09-01 2026-09-15` · `crm-check-me semana`' + '\n' +
+                    '_Usa los botones del reporte para cambiar de semana o ver solo los días con faltantes._'
+            }
+          },
+          // Detalle por ticket de un día.
+          {
+            type: 'section',
+            text: {
+              type: 'mrkdwn',
+              text: ':mag_right: *Detalle de un día con `crm-check-day`*\n' +
+                    '`crm-check-day 2026-10-14` · `/crm dia 2026-10-14`\n' +
+                    '_Muestra cada ticket en el que registraste horas ese día. Los botones de día del reporte abren el mismo detalle._'
+            }
+          },
+          // Registro de horas desde Slack.
+          {
+            type: 'section',
+            text: {
+              type: 'mrkdwn',
+              text: ':pencil: *Registrar horas con `crm-log`*\n' +
+                    '`crm-log` · `crm-log 2026-10-14` · `/crm log`\n' +
+                    '_Abre un formulario para registrar horas en tus actividades, sin entrar al CRM._'
+            }
+          },
+          { type: 'divider' },
           // Notas de contexto y ayuda adicional.
           {
             type: 'context',
             elements: [
               {
                 type: 'mrkdwn',
-                text: 'ℹ️ Ejecuta estos comandos en mensajes directos al bot'
+                text: 'ℹ️ Ejecuta estos comandos en mensajes directos al bot o desde cualquier canal con `/crm` (ej. `/crm me`, `/crm me-past`, `/crm perfil`)'
+              }
+            ]
+          },
+          {
+            type: 'context',
+            elements: [
+              {
+                type: 'mrkdwn',
+                text: '🔗 ¿El bot no te reconoce? Escribe `vincular TU_USUARIO_CRM` para solicitar el vínculo con tu funcionario'
               }
             ]
           },
@@ -0,0 +1,159 @@
+// Importaciones de módulos y servicios necesarios.
+const { pool, poolConnect } = require('../../db/conection.js'); // Conexión a la base de datos.
+const sql = require('mssql'); // Driver de SQL Server.
+const { format, parseISO, isValid, startOfDay, isAfter } = require('date-fns'); // Librería para manipulación de fechas.
+const { ServicioUsuario, ServicioFechas, ServicioReporteTiempo, ConstructorMensajesSlack } = require('../services/reportes.js'); // Motor de reportes.
+const ComandoRegistrarHoras = require('./logHours.js'); // Botón para registrar las horas que faltan.
+
+/**
+ * @class ServicioDetalleDia
+ * @description Consulta cada registro de horas (`TicketActividadProg`) de un funcionario en un día,
+ * con el mismo cruce de tablas que usa el motor de reportes para calcular los totales.
+ */
+class ServicioDetalleDia {
+  /**
+   * Interpreta la fecha escrita por el usuario (`AAAA-MM-DD`). Sin fecha se usa el día de hoy.
+   * @param {string} [texto] - La fecha escrita por el usuario.
+   * @returns {Date} El día solicitado.
+   */
+  static interpretarFecha(texto) {
+    if (!texto) return startOfDay(new Date());
+    const fecha = /^\d{4}-\d{2}-\d{2}$/.test(texto) ? parseISO(texto) : null;
+    if (!fecha || !isValid(fecha)) {
+      throw new Error(`La fecha "${texto}" no es válida. Usa el formato AAAA-MM-DD (ej. \`crm-check-day 2026-10-14\`).`);
+    }
+    if (isAfter(fecha, startOfDay(new Date()))) {
+      throw new Error('No se puede consultar el detalle de un día futuro.');
+    }
+    return fecha;
+  }
+
+  /**
+   * Obtiene los registros de horas de un funcionario en un día.
+   * @param {string} funCod - Código del funcionario.
+   * @param {Date} fecha - El día a consultar.
+   * @returns {Promise<Array<{ticket: number, linea: number, descripcion: string, horas: number, minutos: number}>>}
+   * Los registros, ordenados por ticket y línea de actividad.
+   */
+  static async obtenerRegistros(funCod, fecha) {
+    await poolConnect;
+    const resultado = await pool.request()
+      .input('funCod', sql.VarChar, funCod)
+      .input('fecha', sql.Date, format(fecha, 'yyyy-MM-dd'))
+      .query(`
+        SELECT
+          t.TickSec, ta.TickActLinSec, ta.TickActDes,
+          tap.TickActConsHor, tap.TickActConsMin
+        FROM
+          TicketActividad ta
+          INNER JOIN TicketActividadProg tap ON ta.TickSec = tap.TickSec AND ta.TickActLinSec = tap.TickActLinSec
+          INNER JOIN Ticket t ON ta.TickSec = t.TickSec
+        WHERE
+          ta.FunCod = @funCod
+          AND tap.TickFechaProg >= @fecha
+          AND tap.TickFechaProg < DATEADD(DAY, 1, @fecha)
+        ORDER BY t.TickSec, ta.TickActLinSec, tap.TickFechaProg
+      `);
+
+    return resultado.recordset.map(registro => ({
+      ticket: registro.TickSec,
+      linea: registro.TickActLinSec,
+      descripcion: (registro.TickActDes || '').trim(),
+      horas: registro.TickActConsHor || 0,
+      minutos: registro.TickActConsMin || 0
+    }));
+  }
+}
+
+/**
+ * @class ConstructorMensajesDetalleDia
+ * @description Construye los bloques de Slack del detalle de un día.
+ */
+class ConstructorMensajesDetalleDia {
+  /**
+   * Construye el detalle: una línea por registro y el total del día con el requerimiento.
+   * Si al día le faltan horas, agrega el botón para registrarlas (`crm-log`).
+   * @param {string} nombreUsuario - Nombre del funcionario.
+   * @param {Date} fecha - El día consultado.
+   * @param {Array<Object>} registros - Resultado de `ServicioDetalleDia.obtenerRegistros`.
+   * @param {Object|null} reporteDiario - Resultado de `ServicioReporteTiempo.calcularReporteDiario`, o `null` si el día no es laborable.
+   * @returns {Array<Object>} Bloques de Slack.
+   */
+  static construir(nombreUsuario, fecha, registros, reporteDiario) {
+    const lineas = registros.map(registro =>
+      `• *Ticket #${registro.ticket}* · línea ${registro.linea} · *${registro.horas}h ${registro.minutos.toString().padStart(2, '0')}m*` +
+      (registro.descripcion ? `\n      _${registro.descripcion.length > 150 ? `${registro.descripcion.slice(0, 150)}…` : registro.descripcion}_` : ''));
+
+    const totalMinutos = registros.reduce((total, registro) => total + registro.horas * 60 + registro.minutos, 0);
+    const total = reporteDiario
+      ? `${reporteDiario.cumpleRequerimiento ? '✅' : '⚠️'} *Total del día:* ${reporteDiario.mensaje}`
+      : `ℹ️ *Total del día:* ${Math.floor(totalMinutos / 60)}h ${(totalMinutos % 60).toString().padStart(2, '0')}m _(día no laborable)_`;
+
+    return [
+      { type: 'header', text: { type: 'plain_text', text: `🔎 Detalle del ${format(fecha, 'dd/MM/yyyy')}` } },
+      { type: 'context', elements: [{ type: 'mrkdwn', text: `*Funcionario:* ${nombreUsuario}` }] },
+      { type: 'divider' },
+      ...(lineas.length > 0
+        ? ConstructorMensajesSlack.construirSeccionesLista(`*📝 Registros (${lineas.length}):*`, lineas)
+        : [{ type: 'section', text: { type: 'mrkdwn', text: '*Sin registros en el CRM para este día*' } }]),
+      { type: 'divider' },
+      { type: 'section', text: { type: 'mrkdwn', text: total } },
+      ...(reporteDiario && !reporteDiario.cumpleRequerimiento ? [ComandoRegistrarHoras.construirBotonRegistrar(format(fecha, 'yyyy-MM-dd'))] : [])
+    ];
+  }
+}
+
+/**
+ * @class ComandoDetalleDia
+ * @description Orquesta el comando `crm-check-day AAAA-MM-DD` y los botones de día de los reportes.
+ * Muestra cada registro de horas del día (ticket, línea de actividad, descripción y tiempo).
+ */
+class ComandoDetalleDia {
+  /**
+   * Genera el detalle de un día para un usuario de Slack. Siempre se calcula para quien lo consulta,
+   * así que los botones de los reportes no permiten ver el detalle de otra persona.
+   * @param {string} userId - El ID del usuario en Slack.
+   * @param {string} [textoFecha] - El día a consultar (`AAAA-MM-DD`); sin fecha se usa el día de hoy.
+   * @returns {Promise<{text: string, blocks: Array<Object>}>} El mensaje de Slack.
+   */
+  static async construirDetalle(userId, textoFecha) {
+    const fecha = ServicioDetalleDia.interpretarFecha(textoFecha);
+    const informacionUsuario = await ServicioUsuario.obtenerInformacionUsuario(userId);
+    const nombreUsuario = informacionUsuario.real_name || 'Usuario';
+    const funcionario = await ServicioUsuario.obtenerDatosEmpleado(informacionUsuario);
+
+    const registros = await ServicioDetalleDia.obtenerRegistros(funcionario.funCod, fecha);
+
+    // El total y el faltante se calculan con las mismas reglas del reporte, solo si el día es laborable.
+    const festivos = ServicioFechas.obtenerFestivos(funcionario.funCod, fecha, fecha);
+    const esLaborable = ServicioFechas.obtenerDiasLaborables(fecha, fecha, funcionario.horario, festivos).length > 0;
+    const reporteDiario = esLaborable
+      ? ServicioReporteTiempo.calcularReporteDiario(fecha, registros.length > 0 ? {
+          TotalHoras: registros.reduce((total, registro) => total + registro.horas, 0),
+          TotalMinutos: registros.reduce((total, registro) => total + registro.minutos, 0)
+        } : null, funcionario.horario)
+      : null;
+
+    return {
+      text: `Detalle del ${format(fecha, 'dd/MM/yyyy')} para ${nombreUsuario}`,
+      blocks: ConstructorMensajesDetalleDia.construir(nombreUsuario, fecha, registros, reporteDiario)
+    };
+  }
+
+  /**
+   * Ejecuta el comando.
+   * @param {Object} comando - Objeto del comando de Slack. `comando.args[0]` es la fecha (`AAAA-MM-DD`).
+   * @param {Function} say - Función para enviar mensajes a Slack.
+   */
+  async execute(comando, say) {
+    try {
+      await say(await ComandoDetalleDia.construirDetalle(comando.user_id, (comando.args || [])[0]));
+    } catch (error) {
+      console.error('🚨 Error en ComandoDetalleDia:', error);
+      await say({ text: '❌ Error al consultar el detalle del día', blocks: ConstructorMensajesSlack.construirMensajeError(error, 'Error al consultar el detalle del día') });
+    }
+  }
+}
+
+// Exportar la clase principal para su uso en `botCore.js`.
+module.exports = ComandoDetalleDia;
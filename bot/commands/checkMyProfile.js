@@ -1,10 +1,16 @@
 // Importaciones de módulos necesarios.
 const { pool, poolConnect } = require('../../db/conection.js'); // Conexión a la base de datos.
-const { WebClient } = require('@slack/web-api'); // Cliente de la API de Slack.
 const sql = require('mssql'); // Driver de SQL Server.
+const { format } = require('date-fns'); // Librería para manipulación de fechas.
+const ServicioCredenciales = require('../services/credenciales.js'); // Restablecimiento de contraseñas.
+const DirectorioSlack = require('../services/directorioSlack.js'); // Directorio de usuarios de Slack en memoria.
+const ServicioVinculos = require('../services/vinculos.js'); // Vínculos entre funcionarios y usuarios de Slack.
 
-// Inicialización del cliente de Slack.
-const slackClient = new WebClient(process.env.SLACK_BOT_TOKEN);
+/**
+ * @constant {string} CALLBACK_MODAL_CONTRASENA
+ * @description `callback_id` del modal de restablecimiento de contraseña, usado por `bot.view` en `botCore.js`.
+ */
+const CALLBACK_MODAL_CONTRASENA = 'perfil_restablecer_contrasena';
 
 /**
  * @class ServicioPerfilUsuario
@@ -19,10 +25,10 @@ class ServicioPerfilUsuario {
    */
   static async obtenerInfoSlack(userId) {
     try {
-      const respuesta = await slackClient.users.info({ user: userId });
+      const usuario = await DirectorioSlack.buscarPorId(userId);
       return {
-        nombre: respuesta.user.real_name || 'Usuario',
-        emailSlack: respuesta.user.profile.email || respuesta.user.name
+        nombre: usuario.real_name || 'Usuario',
+        emailSlack: usuario.profile.email || usuario.name
       };
     } catch (error) {
       console.error('Error obteniendo info de Slack:', error);
@@ -33,30 +39,36 @@ class ServicioPerfilUsuario {
 
   /**
    * Obtiene la información detallada de un funcionario desde la base de datos.
-   * La búsqueda se realiza usando el email del usuario, que debe coincidir con `FunDirEmail`.
-   * @param {string} email - El email del funcionario.
+   * El funcionario se identifica por el vínculo de su usuario de Slack (`ServicioVinculos`).
+   * La contraseña (`FunPass`) no se consulta: el perfil solo ofrece restablecerla.
+   * @param {string} userId - El ID del usuario en Slack.
    * @returns {Promise<Object>} Un objeto con la información completa del funcionario.
    */
-  static async obtenerInfoFuncionario(email) {
+  static async obtenerInfoFuncionario(userId) {
     await poolConnect;
     try {
+      const funCod = await ServicioVinculos.obtenerFunCod(userId);
+      if (!funCod) {
+        throw new Error('Tu usuario de Slack no está vinculado a un funcionario del CRM. Escribe `vincular TU_USUARIO_CRM` para solicitar el vínculo.');
+      }
+
       const resultado = await pool.request()
-        .input('email', sql.VarChar(254), email)
+        .input('funCod', sql.VarChar, funCod)
         .query(`
           SELECT 
-            f.FunCod, f.FunNom, f.FunUsu, f.FunPass, f.FunDirEmail,
+            f.FunCod, f.FunNom, f.FunUsu, f.FunDirEmail,
             f.FunCc, ta.TrabAreNom, c.CarNom
           FROM 
             Funcionarios f
             LEFT JOIN TrabajoArea ta ON f.TrabAreId = ta.TrabAreId
             LEFT JOIN Cargo c ON f.CarId = c.CarId
           WHERE 
-            f.FunDirEmail = @email
+            f.FunCod = @funCod
             AND f.FunEst = 'A'
         `);
 
       if (resultado.recordset.length === 0) {
-        throw new Error('No se encontró un funcionario activo con ese email');
+        throw new Error(`No se encontró un funcionario activo con código ${funCod}`);
       }
 
       return resultado.recordset[0];
@@ -122,14 +134,55 @@ class ConstructorMensajePerfil {
         type: 'section',
         text: {
           type: 'mrkdwn',
-          text: `👤 *Usuario:* \`${infoFuncionario.FunUsu || 'No disponible'}\`` + 
-                ' '.repeat(29) + 
-                `🔒 *Contraseña:* \`${infoFuncionario.FunPass || 'No disponible'}\``
+          text: `👤 *Usuario:* \`${infoFuncionario.FunUsu || 'No disponible'}\``
+        },
+        accessory: {
+          type: 'button',
+          action_id: 'perfil_restablecer_contrasena',
+          text: { type: 'plain_text', text: '🔒 Restablecer contraseña' }
         }
       }
     ];
   }
 
+  /**
+   * Construye el modal para escribir la nueva contraseña. El token de restablecimiento viaja en
+   * `private_metadata`, que Slack no muestra y devuelve al enviar el modal.
+   * @param {{token: string, expira: Date}} restablecimiento - Resultado de `ServicioCredenciales.emitirToken`.
+   * @returns {Object} La vista de Slack.
+   */
+  static construirModalContrasena(restablecimiento) {
+    const campo = (blockId, etiqueta) => ({
+      type: 'input', block_id: blockId, label: { type: 'plain_text', text: etiqueta },
+      element: { type: 'plain_text_input', action_id: 'valor', min_length: 1, max_length: 100 }
+    });
+    return {
+      ...this.construirVistaContrasena([
+        campo('contrasena', 'Nueva contraseña'),
+        campo('confirmacion', 'Confirma la contraseña'),
+        { type: 'context', elements: [{ type: 'mrkdwn', text: `🔒 Solo tú ves este formulario y la contraseña no queda en ningún mensaje. Vence a las *${format(restablecimiento.expira, 'HH:mm')}*.` }] }
+      ], true),
+      private_metadata: restablecimiento.token
+    };
+  }
+
+  /**
+   * Construye una vista del modal de contraseña con el título y los botones comunes.
+   * @param {Array<Object>} bloques - Bloques de la vista.
+   * @param {boolean} [conEnvio=false] - Si la vista muestra el botón "Guardar".
+   * @returns {Object} La vista de Slack.
+   */
+  static construirVistaContrasena(bloques, conEnvio = false) {
+    return {
+      type: 'modal',
+      callback_id: CALLBACK_MODAL_CONTRASENA,
+      title: { type: 'plain_text', text: 'Restablecer contraseña' },
+      close: { type: 'plain_text', text: conEnvio ? 'Cancelar' : 'Cerrar' },
+      ...(conEnvio ? { submit: { type: 'plain_text', text: 'Guardar' } } : {}),
+      blocks: bloques
+    };
+  }
+
   /**
    * Construye un mensaje de error estandarizado.
    * @param {Error} error - El objeto de error capturado.
@@ -157,9 +210,64 @@ class ConstructorMensajePerfil {
 
 /**
  * @class ComandoPerfil
- * @description Clase principal que orquesta la ejecución del comando `unicheck`.
+ * @description Clase principal que orquesta la ejecución del comando `unicheck`
+ * y del botón "Restablecer contraseña" de su mensaje.
  */
 class ComandoPerfil {
+  /**
+   * Construye el modal de restablecimiento para el usuario que presionó el botón, con un token nuevo.
+   * El funcionario se identifica por el usuario de Slack, nunca por datos del mensaje.
+   * @param {string} userId - El ID del usuario en Slack.
+   * @returns {Promise<Object>} La vista de Slack (el formulario o el error).
+   */
+  static async construirVistaContrasena(userId) {
+    try {
+      const infoFuncionario = await ServicioPerfilUsuario.obtenerInfoFuncionario(userId);
+      const restablecimiento = await ServicioCredenciales.emitirToken(ServicioVinculos.normalizar(infoFuncionario.FunCod));
+      return ConstructorMensajePerfil.construirModalContrasena(restablecimiento);
+    } catch (error) {
+      console.error('Error al restablecer la contraseña:', error);
+      return ComandoPerfil.construirVistaError(error);
+    }
+  }
+
+  /**
+   * Construye la vista que se muestra mientras se prepara el formulario.
+   * @returns {Object} La vista de Slack.
+   */
+  static construirVistaCargando() {
+    return ConstructorMensajePerfil.construirVistaContrasena([{ type: 'section', text: { type: 'mrkdwn', text: '⏳ Preparando el formulario...' } }]);
+  }
+
+  /**
+   * Construye la vista de error del modal de contraseña.
+   * @param {Error} error - El error capturado.
+   * @returns {Object} La vista de Slack.
+   */
+  static construirVistaError(error) {
+    return ConstructorMensajePerfil.construirVistaContrasena([{ type: 'section', text: { type: 'mrkdwn', text: `❌ *No se pudo restablecer la contraseña*\n${error.message}` } }]);
+  }
+
+  /**
+   * Guarda la contraseña enviada en el modal. Los errores de validación llevan la propiedad `campo`
+   * (el `block_id` donde se deben mostrar).
+   * @param {string} userId - El ID del usuario en Slack.
+   * @param {Object} vista - La vista enviada (`view` de `view_submission`).
+   * @returns {Promise<{text: string, blocks: Array<Object>}>} La confirmación para el mensaje directo.
+   */
+  static async cambiarContrasena(userId, vista) {
+    const valores = vista.state.values;
+    const funCod = await ServicioVinculos.obtenerFunCod(userId);
+    if (!funCod) {
+      throw new Error('Tu usuario de Slack no está vinculado a un funcionario del CRM.');
+    }
+    await ServicioCredenciales.cambiarContrasena(vista.private_metadata, ServicioVinculos.normalizar(funCod), valores.contrasena.valor.value, valores.confirmacion.valor.value);
+    return {
+      text: 'Contraseña del CRM actualizada',
+      blocks: [{ type: 'section', text: { type: 'mrkdwn', text: '✅ *Tu contraseña del CRM se actualizó.* Ya puedes ingresar con la contraseña que escribiste.' } }]
+    };
+  }
+
   /**
    * Ejecuta la lógica para obtener y mostrar el perfil del usuario.
    * @param {Object} comando - El objeto del comando de Slack.
@@ -170,8 +278,8 @@ class ComandoPerfil {
       // 1. Obtener información básica del usuario desde Slack (nombre, email).
       const infoSlack = await ServicioPerfilUsuario.obtenerInfoSlack(comando.user_id);
       
-      // 2. Usar el email para obtener la información detallada del funcionario desde la BD.
-      const infoFuncionario = await ServicioPerfilUsuario.obtenerInfoFuncionario(infoSlack.emailSlack);
+      // 2. Obtener la información detallada del funcionario vinculado desde la BD.
+      const infoFuncionario = await ServicioPerfilUsuario.obtenerInfoFuncionario(comando.user_id);
       
       // 3. Construir y enviar el mensaje de perfil completo.
       await say({
@@ -191,4 +299,5 @@ class ComandoPerfil {
 }
 
 // Exportar la clase principal para ser usada en `botCore.js`.
-module.exports = ComandoPerfil;
\ No newline at end of file
+module.exports = ComandoPerfil;
+module.exports.CALLBACK_MODAL_CONTRASENA = CALLBACK_MODAL_CONTRASENA;
\ No newline at end of file
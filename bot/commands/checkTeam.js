@@ -0,0 +1,157 @@
+// Importaciones de módulos y servicios necesarios.
+const { format } = require('date-fns'); // Librería para manipulación de fechas.
+const ServicioPeriodos = require('../services/periodos.js'); // Interpretación de los períodos solicitados.
+const ServicioAutorizacion = require('../services/autorizacion.js'); // Roles y permisos.
+const { ServicioUsuario, ServicioReporteTiempo, MotorReportePeriodo, ConstructorMensajesSlack } = require('../services/reportes.js'); // Motor de reportes.
+
+/**
+ * @constant {number} MAXIMO_BLOQUES_MENSAJE
+ * @description Límite de bloques que Slack admite en un mensaje.
+ */
+const MAXIMO_BLOQUES_MENSAJE = 50;
+
+/**
+ * @class ServicioReporteEquipo
+ * @description Calcula el reporte de horas de un equipo (una o varias áreas de `TrabajoArea`),
+ * usando el mismo motor que los reportes individuales.
+ */
+class ServicioReporteEquipo {
+  /**
+   * Genera el reporte de cada funcionario y los agrupa por área.
+   * @param {Array<Object>} funcionarios - Resultado de `ServicioUsuario.obtenerTodosFuncionariosActivos`.
+   * @param {Date} fechaInicio - Inicio del período (inclusive).
+   * @param {Date} fechaFin - Fin del período (inclusive).
+   * @returns {Promise<Array<{area: string, personas: Array<Object>, resumen: Object}>>} Áreas ordenadas por nombre,
+   * cada una con el resumen de sus integrantes y el total del área.
+   */
+  static async generar(funcionarios, fechaInicio, fechaFin) {
+    const reportes = await MotorReportePeriodo.generarVarios(funcionarios, fechaInicio, fechaFin);
+    const areas = new Map();
+    for (const funcionario of funcionarios) {
+      const reporte = reportes.get(funcionario.funCod);
+      if (!areas.has(funcionario.area)) areas.set(funcionario.area, { area: funcionario.area, personas: [], dias: [] });
+      const area = areas.get(funcionario.area);
+      area.personas.push({ funcionario, resumen: reporte.resumenMensual });
+      area.dias.push(...reporte.reportesDiarios);
+    }
+
+    // El total del área se calcula sobre todos los días de sus integrantes, con las mismas reglas de horas.
+    return Array.from(areas.values())
+      .sort((a, b) => a.area.localeCompare(b.area))
+      .map(({ area, personas, dias }) => ({
+        area,
+        personas: personas.sort((a, b) => (a.funcionario.nombre || '').localeCompare(b.funcionario.nombre || '')),
+        resumen: ServicioReporteTiempo.calcularResumenSemanal(dias)
+      }));
+  }
+}
+
+/**
+ * @class ConstructorMensajesEquipo
+ * @description Construye los bloques de Slack del reporte de equipo.
+ */
+class ConstructorMensajesEquipo {
+  /**
+   * Formatea el total registrado y el requerido de un resumen.
+   * @param {Object} resumen - Resumen calculado por `ServicioReporteTiempo`.
+   * @returns {string} El texto (ej. '170h 30m de 178h 30m').
+   */
+  static formatearTotal(resumen) {
+    return `${resumen.totalHoras}h ${resumen.totalMinutos.toString().padStart(2, '0')}m de ${resumen.horasRequeridas}`;
+  }
+
+  /**
+   * Construye el reporte de equipo: una sección por área con su total y el de cada integrante.
+   * @param {string} titulo - Título del reporte.
+   * @param {{fechaInicio: Date, fechaFin: Date}} periodo - El período reportado.
+   * @param {Array<Object>} areas - Resultado de `ServicioReporteEquipo.generar`.
+   * @returns {Array<Object>} Bloques de Slack.
+   */
+  static construirReporte(titulo, periodo, areas) {
+    const bloques = [
+      { type: 'header', text: { type: 'plain_text', text: `👥 ${titulo}` } },
+      { type: 'context', elements: [{ type: 'mrkdwn', text: `*Período:* ${format(periodo.fechaInicio, 'dd/MM/yyyy')} - ${format(periodo.fechaFin, 'dd/MM/yyyy')}` }] },
+      { type: 'divider' }
+    ];
+
+    areas.forEach(({ area, personas, resumen }) => {
+      const cumplen = personas.filter(persona => persona.resumen.cumpleRequerimiento).length;
+      const lineas = personas.map(({ funcionario, resumen: resumenPersona }) =>
+        `${resumenPersona.cumpleRequerimiento ? '✅' : '⚠️'} *${funcionario.nombre || funcionario.funCod}* (${funcionario.funCod}): ${this.formatearTotal(resumenPersona)}`);
+      bloques.push(...ConstructorMensajesSlack.construirSeccionesLista(
+        `*🏢 ${area}* - ${this.formatearTotal(resumen)} ${resumen.cumpleRequerimiento ? '✅' : '⚠️'}\n_${cumplen} de ${personas.length} funcionarios cumplen_`,
+        lineas
+      ));
+      bloques.push({ type: 'divider' });
+    });
+
+    bloques.push({ type: 'context', elements: [{ type: 'mrkdwn', text: '✅ Cumple el requerimiento del período · ⚠️ Tiene horas pendientes' }] });
+    return bloques;
+  }
+}
+
+/**
+ * @class ComandoReporteEquipo
+ * @description Orquesta el comando `crm-check-team` para líderes de área.
+ * Genera el reporte de horas de los funcionarios del área (`TrabajoArea`) de quien lo ejecuta,
+ * con totales por persona y por área. Los administradores pueden usar `--todas` para ver todas las áreas.
+ * Acepta los mismos períodos que `crm-check-me`.
+ */
+class ComandoReporteEquipo {
+  /**
+   * Ejecuta el comando. El rol de líder de área lo verifica el despachador.
+   * @param {Object} comando - Objeto del comando de Slack. `comando.args` contiene el período solicitado.
+   * @param {Function} say - Función para enviar mensajes a Slack.
+   */
+  async execute(comando, say) {
+    let periodo;
+    try {
+      periodo = ServicioPeriodos.interpretar(comando.args);
+    } catch (error) {
+      return await say({
+        text: '❌ Período inválido',
+        blocks: ConstructorMensajesSlack.construirMensajeError(error, 'Período inválido')
+      });
+    }
+
+    try {
+      // 1. Identificar al líder y el alcance del reporte (su área o todas, para los administradores).
+      const informacionUsuario = await ServicioUsuario.obtenerInformacionUsuario(comando.user_id);
+      const { funCod } = await ServicioUsuario.obtenerDatosEmpleado(informacionUsuario);
+      const todasLasAreas = Boolean(comando.flags && comando.flags.todas);
+      if (todasLasAreas && (await ServicioAutorizacion.obtenerRol(funCod)) !== 'admin') {
+        throw new Error('Solo los administradores pueden consultar todas las áreas (`--todas`).');
+      }
+
+      let area = null;
+      if (!todasLasAreas) {
+        area = await ServicioUsuario.obtenerAreaFuncionario(funCod);
+        if (!area) {
+          throw new Error(`El funcionario ${funCod} no tiene un área de trabajo asignada.`);
+        }
+      }
+
+      // 2. Generar el reporte de cada integrante y agruparlo por área.
+      const funcionarios = await ServicioUsuario.obtenerTodosFuncionariosActivos(area ? area.trabAreId : null);
+      if (funcionarios.length === 0) {
+        const aviso = area ? `No hay funcionarios activos en tu área (*${(area.nombre || String(area.trabAreId)).trim()}*).` : 'No hay funcionarios activos.';
+        return await say({ text: aviso, blocks: [{ type: 'section', text: { type: 'mrkdwn', text: `ℹ️ ${aviso}` } }] });
+      }
+      await say({ text: 'Generando reporte de equipo', blocks: [{ type: 'section', text: { type: 'mrkdwn', text: `⏳ Generando el reporte de ${funcionarios.length} funcionarios...` } }] });
+      const areas = await ServicioReporteEquipo.generar(funcionarios, periodo.fechaInicio, periodo.fechaFin);
+
+      // 3. Enviar el reporte, dividido en varios mensajes si supera el límite de bloques de Slack.
+      const titulo = `${ServicioPeriodos.construirTitulo(periodo)} · Equipo`;
+      const bloques = ConstructorMensajesEquipo.construirReporte(titulo, periodo, areas);
+      for (let inicio = 0; inicio < bloques.length; inicio += MAXIMO_BLOQUES_MENSAJE) {
+        await say({ text: titulo, blocks: bloques.slice(inicio, inicio + MAXIMO_BLOQUES_MENSAJE) });
+      }
+    } catch (error) {
+      console.error('🚨 Error en ComandoReporteEquipo:', error);
+      await say({ text: '❌ Error al generar el reporte de equipo', blocks: ConstructorMensajesSlack.construirMensajeError(error, 'Error al generar el reporte de equipo') });
+    }
+  }
+}
+
+// Exportar la clase principal para su uso en `botCore.js`.
+module.exports = ComandoReporteEquipo;
@@ -0,0 +1,99 @@
+// Importaciones de servicios compartidos.
+const { format } = require('date-fns'); // Librería para manipulación de fechas.
+const ServicioVinculos = require('../services/vinculos.js'); // Vínculos entre funcionarios y usuarios de Slack.
+const ServicioAutorizacion = require('../services/autorizacion.js'); // Roles y permisos.
+const ServicioEnvioReportes = require('../services/envioReportes.js'); // Envío de mensajes directos.
+const { ConstructorMensajesSlack } = require('../services/reportes.js'); // Mensaje de error compartido.
+
+/**
+ * @class ConstructorMensajesVincular
+ * @description Construye los bloques de Slack del comando `vincular`.
+ */
+class ConstructorMensajesVincular {
+  /**
+   * Construye el mensaje que reciben los administradores con los botones para resolver la solicitud.
+   * @param {string} userId - El ID de Slack de quien solicita el vínculo.
+   * @param {{funCod: string, nombre: string}} funcionario - El funcionario solicitado.
+   * @returns {Array<Object>} Bloques de Slack.
+   */
+  static construirSolicitud(userId, funcionario) {
+    return [
+      { type: 'section', text: { type: 'mrkdwn', text: `🔗 *Solicitud de vínculo*\n<@${userId}> pide vincular su usuario de Slack con el funcionario *${funcionario.nombre || funcionario.funCod}* (\`${funcionario.funCod}\`).` } },
+      { type: 'context', elements: [{ type: 'mrkdwn', text: `Solicitada el ${format(new Date(), 'dd/MM/yyyy HH:mm')}. Verifica que se trate de la misma persona antes de aprobar.` }] },
+      {
+        type: 'actions',
+        elements: [
+          { type: 'button', action_id: 'vinculo_aprobar', style: 'primary', text: { type: 'plain_text', text: '✅ Aprobar' }, value: funcionario.funCod },
+          { type: 'button', action_id: 'vinculo_rechazar', style: 'danger', text: { type: 'plain_text', text: '❌ Rechazar' }, value: funcionario.funCod }
+        ]
+      }
+    ];
+  }
+
+  /**
+   * Construye el mensaje de uso del comando.
+   * @returns {Array<Object>} Bloques de Slack.
+   */
+  static construirAyuda() {
+    return [
+      { type: 'section', text: { type: 'mrkdwn', text: '*🔗 Uso de `vincular`*' } },
+      { type: 'section', text: { type: 'mrkdwn', text: '• `vincular TU_USUARIO_CRM` - Solicita vincular tu usuario de Slack con tu funcionario del CRM. Un administrador debe aprobar la solicitud.' } }
+    ];
+  }
+}
+
+/**
+ * @class ComandoVincular
+ * @description Orquesta el comando `vincular`, con el que una persona cuyo usuario de Slack no se
+ * pudo emparejar automáticamente solicita el vínculo con su funcionario del CRM. La solicitud se
+ * envía por mensaje directo a los administradores, que la aprueban o rechazan con un botón.
+ */
+class ComandoVincular {
+  /**
+   * Método principal que se ejecuta al invocar el comando.
+   * @param {Object} comando - Objeto del comando de Slack. `comando.args[0]` es el usuario del CRM.
+   * @param {Function} say - Función para enviar mensajes a Slack.
+   */
+  async execute(comando, say) {
+    const [usuarioCrm] = comando.args || [];
+    if (!usuarioCrm) {
+      return await say({ blocks: ConstructorMensajesVincular.construirAyuda() });
+    }
+
+    try {
+      // 1. Registrar la solicitud (falla si ya está vinculado o el usuario del CRM no existe).
+      const funcionario = await ServicioVinculos.solicitar(comando.user_id, usuarioCrm);
+
+      // 2. Avisar a los administradores que tienen usuario de Slack vinculado.
+      const { roles } = await ServicioAutorizacion.obtenerConfiguracion();
+      const administradores = Object.keys(roles).filter(funCod => roles[funCod] === 'admin');
+      let notificados = 0;
+      for (const funCodAdministrador of administradores) {
+        try {
+          const userIdAdministrador = await ServicioVinculos.obtenerUserId(funCodAdministrador);
+          if (!userIdAdministrador) continue;
+          await ServicioEnvioReportes.enviarMensajeDirecto(userIdAdministrador, {
+            text: 'Solicitud de vínculo con el CRM',
+            blocks: ConstructorMensajesVincular.construirSolicitud(comando.user_id, funcionario)
+          });
+          notificados++;
+        } catch (error) {
+          console.error(`🚨 Error al notificar la solicitud de vínculo al administrador ${funCodAdministrador}:`, error);
+        }
+      }
+
+      // 3. Confirmar a quien hizo la solicitud.
+      await say({
+        text: 'Solicitud de vínculo enviada',
+        blocks: [{ type: 'section', text: { type: 'mrkdwn', text: `✅ Se envió la solicitud para vincularte con el funcionario *${funcionario.nombre || funcionario.funCod}*. ` +
+          (notificados > 0 ? 'Te avisaremos cuando un administrador la apruebe.' : 'No hay administradores disponibles en Slack; contacta al servicio técnico.') } }]
+      });
+    } catch (error) {
+      console.error('🚨 Error en ComandoVincular:', error);
+      await say({ text: '❌ No se pudo solicitar el vínculo', blocks: ConstructorMensajesSlack.construirMensajeError(error, 'No se pudo solicitar el vínculo') });
+    }
+  }
+}
+
+// Exportar la clase principal para su uso en `botCore.js`.
+module.exports = ComandoVincular;
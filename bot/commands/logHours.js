@@ -0,0 +1,189 @@
+// Importaciones de módulos y servicios necesarios.
+const { format } = require('date-fns'); // Librería para manipulación de fechas.
+const { ServicioUsuario, ConstructorMensajesSlack } = require('../services/reportes.js'); // Identificación del funcionario y mensajes comunes.
+const ServicioRegistroHoras = require('../services/registroHoras.js'); // Validación y registro de horas en el CRM.
+const { MAXIMO_HORAS_DIA } = ServicioRegistroHoras;
+
+/**
+ * @constant {string} CALLBACK_MODAL
+ * @description `callback_id` del modal de registro de horas, usado por `bot.view` en `botCore.js`.
+ */
+const CALLBACK_MODAL = 'registro_horas';
+
+/**
+ * @class ConstructorMensajesRegistro
+ * @description Construye el modal y los mensajes del registro de horas.
+ */
+class ConstructorMensajesRegistro {
+  /**
+   * Construye una vista de modal con el título y los botones comunes.
+   * @param {Array<Object>} bloques - Bloques de la vista.
+   * @param {boolean} [conEnvio=false] - Si la vista muestra el botón "Registrar".
+   * @returns {Object} La vista de Slack.
+   */
+  static construirVistaBase(bloques, conEnvio = false) {
+    return {
+      type: 'modal',
+      callback_id: CALLBACK_MODAL,
+      title: { type: 'plain_text', text: 'Registrar horas' },
+      close: { type: 'plain_text', text: 'Cancelar' },
+      ...(conEnvio ? { submit: { type: 'plain_text', text: 'Registrar' } } : {}),
+      blocks: bloques
+    };
+  }
+
+  /**
+   * Construye el formulario: actividad, fecha, horas y minutos. El `block_id` de cada campo es el
+   * nombre que usa `ServicioRegistroHoras` en sus errores de validación.
+   * @param {Array<Object>} actividades - Resultado de `ServicioRegistroHoras.obtenerActividades`.
+   * @param {string} fecha - Día propuesto (`yyyy-MM-dd`).
+   * @returns {Object} La vista de Slack.
+   */
+  static construirFormulario(actividades, fecha) {
+    if (actividades.length === 0) {
+      return this.construirVistaBase([{ type: 'section', text: { type: 'mrkdwn', text: 'ℹ️ No tienes actividades asignadas. Registra las horas desde el CRM.' } }]);
+    }
+
+    const opciones = actividades.map(actividad => {
+      const texto = `#${actividad.tickSec} · línea ${actividad.tickActLinSec}${actividad.descripcion ? ` — ${actividad.descripcion}` : ''}`;
+      return {
+        text: { type: 'plain_text', text: texto.length > 75 ? `${texto.slice(0, 74)}…` : texto },
+        value: `${actividad.tickSec}-${actividad.tickActLinSec}`
+      };
+    });
+
+    return this.construirVistaBase([
+      { type: 'input', block_id: 'actividad', label: { type: 'plain_text', text: 'Ticket y actividad' },
+        element: { type: 'static_select', action_id: 'valor', placeholder: { type: 'plain_text', text: 'Elige una actividad' }, options: opciones } },
+      { type: 'input', block_id: 'fecha', label: { type: 'plain_text', text: 'Fecha' },
+        element: { type: 'datepicker', action_id: 'valor', initial_date: fecha } },
+      { type: 'input', block_id: 'horas', label: { type: 'plain_text', text: 'Horas' },
+        element: { type: 'number_input', action_id: 'valor', is_decimal_allowed: false, min_value: '0', max_value: String(MAXIMO_HORAS_DIA), initial_value: '0' } },
+      { type: 'input', block_id: 'minutos', label: { type: 'plain_text', text: 'Minutos' },
+        element: { type: 'number_input', action_id: 'valor', is_decimal_allowed: false, min_value: '0', max_value: '59', initial_value: '0' } },
+      { type: 'context', elements: [{ type: 'mrkdwn', text: `No se permiten fechas futuras ni más de ${MAXIMO_HORAS_DIA}h registradas en un día. El CRM rechaza las actividades de tickets cerrados.` }] }
+    ], true);
+  }
+
+  /**
+   * Construye la vista que se muestra mientras se consultan las actividades.
+   * @returns {Object} La vista de Slack.
+   */
+  static construirVistaCargando() {
+    return this.construirVistaBase([{ type: 'section', text: { type: 'mrkdwn', text: '⏳ Consultando tus actividades...' } }]);
+  }
+
+  /**
+   * Construye la vista de error del modal.
+   * @param {Error} error - El error capturado.
+   * @returns {Object} La vista de Slack.
+   */
+  static construirVistaError(error) {
+    return this.construirVistaBase(ConstructorMensajesSlack.construirMensajeError(error, 'No se pudieron registrar las horas'));
+  }
+
+  /**
+   * Construye la confirmación que recibe el funcionario por mensaje directo.
+   * @param {Object} registro - Resultado de `ServicioRegistroHoras.registrar`.
+   * @returns {Object} El mensaje de Slack.
+   */
+  static construirConfirmacion(registro) {
+    const horasDia = Math.floor(registro.minutosDia / 60);
+    const minutosDia = (registro.minutosDia % 60).toString().padStart(2, '0');
+    return {
+      text: 'Horas registradas en el CRM',
+      blocks: [
+        { type: 'section', text: { type: 'mrkdwn', text: `✅ Registraste *${registro.horas}h ${registro.minutos.toString().padStart(2, '0')}m* el ${format(registro.fecha, 'dd/MM/yyyy')} en el *Ticket #${registro.tickSec}* · línea ${registro.tickActLinSec}` +
+          (registro.descripcion ? `\n_${registro.descripcion}_` : '') } },
+        { type: 'context', elements: [{ type: 'mrkdwn', text: `Total registrado ese día: *${horasDia}h ${minutosDia}m*. Consulta el detalle con \`crm-check-day ${format(registro.fecha, 'yyyy-MM-dd')}\`.` }] }
+      ]
+    };
+  }
+}
+
+/**
+ * @class ComandoRegistrarHoras
+ * @description Orquesta el comando `crm-log` y el modal para registrar horas en el CRM desde Slack.
+ * Los mensajes de texto no permiten abrir modales, así que el comando responde con un botón;
+ * el mismo botón aparece en el detalle de los días con faltantes (`crm-check-day`).
+ */
+class ComandoRegistrarHoras {
+  /**
+   * Construye el bloque con el botón que abre el modal de registro.
+   * @param {string} fecha - Día propuesto en el modal (`yyyy-MM-dd`).
+   * @returns {Object} Bloque `actions` de Slack.
+   */
+  static construirBotonRegistrar(fecha) {
+    return {
+      type: 'actions',
+      elements: [{ type: 'button', action_id: 'registro_horas_abrir', style: 'primary', text: { type: 'plain_text', text: '📝 Registrar horas' }, value: fecha }]
+    };
+  }
+
+  /**
+   * Construye el modal de registro para un usuario de Slack.
+   * @param {string} userId - El ID del usuario en Slack.
+   * @param {string} [fecha] - Día propuesto (`yyyy-MM-dd`); por defecto, hoy.
+   * @returns {Promise<Object>} La vista de Slack (el formulario o el error).
+   */
+  static async construirVista(userId, fecha) {
+    try {
+      // Sin el procedimiento del CRM no se puede registrar: se avisa antes de mostrar el formulario.
+      ServicioRegistroHoras.obtenerProcedimiento();
+      const informacionUsuario = await ServicioUsuario.obtenerInformacionUsuario(userId);
+      const funcionario = await ServicioUsuario.obtenerDatosEmpleado(informacionUsuario);
+      const actividades = await ServicioRegistroHoras.obtenerActividades(funcionario.funCod);
+      return ConstructorMensajesRegistro.construirFormulario(actividades, fecha || format(new Date(), 'yyyy-MM-dd'));
+    } catch (error) {
+      console.error('🚨 Error al abrir el registro de horas:', error);
+      return ConstructorMensajesRegistro.construirVistaError(error);
+    }
+  }
+
+  /**
+   * Registra las horas enviadas en el modal. Los errores de validación llevan la propiedad `campo`
+   * (el `block_id` donde se deben mostrar).
+   * @param {string} userId - El ID del usuario en Slack.
+   * @param {Object} vista - La vista enviada (`view` de `view_submission`).
+   * @returns {Promise<Object>} El mensaje de confirmación.
+   */
+  static async registrar(userId, vista) {
+    const valores = vista.state.values;
+    const informacionUsuario = await ServicioUsuario.obtenerInformacionUsuario(userId);
+    const funcionario = await ServicioUsuario.obtenerDatosEmpleado(informacionUsuario);
+
+    const registro = await ServicioRegistroHoras.registrar(funcionario.funCod, {
+      actividad: valores.actividad.valor.selected_option?.value,
+      fecha: valores.fecha.valor.selected_date,
+      horas: valores.horas.valor.value,
+      minutos: valores.minutos.valor.value
+    });
+    console.log(`📝 ${funcionario.funCod} registró ${registro.horas}h ${registro.minutos}m en el ticket ${registro.tickSec} (línea ${registro.tickActLinSec}) el ${format(registro.fecha, 'yyyy-MM-dd')}.`);
+    return ConstructorMensajesRegistro.construirConfirmacion(registro);
+  }
+
+  /**
+   * Ejecuta el comando: responde con el botón que abre el modal.
+   * @param {Object} comando - Objeto del comando de Slack. `comando.args[0]` es la fecha propuesta (`AAAA-MM-DD`, opcional).
+   * @param {Function} say - Función para enviar mensajes a Slack.
+   */
+  async execute(comando, say) {
+    const [fecha] = comando.args || [];
+    if (fecha && !/^\d{4}-\d{2}-\d{2}$/.test(fecha)) {
+      return await say({ text: '❌ Fecha no válida', blocks: ConstructorMensajesSlack.construirMensajeError(new Error(`La fecha "${fecha}" no es válida. Usa el formato AAAA-MM-DD (ej. \`crm-log 2026-10-14\`).`), 'Fecha no válida') });
+    }
+
+    await say({
+      text: 'Registrar horas en el CRM',
+      blocks: [
+        { type: 'section', text: { type: 'mrkdwn', text: `📝 *Registrar horas en el CRM*\nElige el ticket y la actividad, la fecha${fecha ? ` (propuesta: ${fecha})` : ''} y el tiempo trabajado.` } },
+        ComandoRegistrarHoras.construirBotonRegistrar(fecha || format(new Date(), 'yyyy-MM-dd'))
+      ]
+    });
+  }
+}
+
+// Exportar la clase principal para su uso en `botCore.js` y en el detalle del día.
+module.exports = ComandoRegistrarHoras;
+module.exports.CALLBACK_MODAL = CALLBACK_MODAL;
+module.exports.ConstructorMensajesRegistro = ConstructorMensajesRegistro;
@@ -0,0 +1,105 @@
+// Importaciones de servicios compartidos.
+const ServicioCanalesArea = require('../services/canalesArea.js'); // Canales de Slack de cada área de trabajo.
+const { ConstructorMensajesSlack } = require('../services/reportes.js'); // Mensajes de confirmación y de error compartidos.
+
+/**
+ * @class ConstructorMensajesCanales
+ * @description Construye los bloques de Slack para el comando de administración de canales de área.
+ */
+class ConstructorMensajesCanales {
+  /**
+   * Construye el listado de áreas con su canal.
+   * @param {Array<{trabAreId: number, nombre: string}>} areas - Las áreas del CRM.
+   * @returns {Array<Object>} Bloques de Slack.
+   */
+  static construirListado(areas) {
+    const { canales } = ServicioCanalesArea.obtenerConfiguracion();
+    const lineas = areas.map(({ trabAreId, nombre }) =>
+      `• \`${trabAreId}\` ${nombre} → ${canales[trabAreId] ? `<#${canales[trabAreId].canal}>` : '_Sin canal_'}`);
+    return [
+      { type: 'header', text: { type: 'plain_text', text: '📣 Canales de las áreas' } },
+      { type: 'section', text: { type: 'mrkdwn', text: lineas.length > 0 ? lineas.join('\n') : '_No hay áreas registradas en el CRM._' } },
+      { type: 'context', elements: [{ type: 'mrkdwn', text: 'Las tareas se publican en el canal del área del funcionario asignado; los eventos siguientes de cada tarea quedan en su hilo.' }] }
+    ];
+  }
+
+  /**
+   * Construye el mensaje de uso del comando.
+   * @returns {Array<Object>} Bloques de Slack.
+   */
+  static construirAyuda() {
+    return [
+      { type: 'section', text: { type: 'mrkdwn', text: '*📣 Uso de `crm-canales`*' } },
+      { type: 'section', text: { type: 'mrkdwn', text:
+        '• `crm-canales listar` - Muestra las áreas y su canal\n' +
+        '• `crm-canales asignar AREA #canal` - Publica las tareas del área en el canal\n' +
+        '• `crm-canales quitar AREA` - Deja de publicar las tareas del área'
+      } },
+      { type: 'context', elements: [{ type: 'mrkdwn', text: '`AREA` es el ID o el nombre del área (entre comillas si tiene espacios). Invita al bot al canal antes de asignarlo.' }] }
+    ];
+  }
+}
+
+/**
+ * @class ComandoCanalesArea
+ * @description Orquesta el comando de administrador `crm-canales`, que asocia cada área de trabajo
+ * con el canal de Slack donde se publican sus tareas.
+ */
+class ComandoCanalesArea {
+  /**
+   * Obtiene el ID de un canal a partir de una mención (`<#C123ABC>` o `<#C123ABC|nombre>`) o del ID escrito.
+   * @param {string} texto - El canal escrito por el administrador.
+   * @returns {string} El ID del canal.
+   * @throws {Error} Si no es una mención ni un ID de canal.
+   */
+  static interpretarCanal(texto) {
+    const coincidencia = /^<#([CG][A-Z0-9]+)(?:\|[^>]*)?>$/.exec(texto) || /^([CG][A-Z0-9]{6,})$/.exec(texto);
+    if (!coincidencia) {
+      throw new Error(`"${texto}" no es un canal. Menciónalo con \`#\` para que Slack lo convierta en enlace o escribe su ID (ej. \`C0123ABCD\`).`);
+    }
+    return coincidencia[1];
+  }
+
+  /**
+   * Método principal que se ejecuta al invocar el comando.
+   * @param {Object} comando - Objeto del comando de Slack. `comando.args` contiene los argumentos.
+   * @param {Function} say - Función para enviar mensajes a Slack.
+   */
+  async execute(comando, say) {
+    try {
+      // Ejecutar la acción solicitada (los permisos de administrador los verifica el despachador).
+      const [accion = 'listar', ...argumentos] = comando.args || [];
+      switch (accion.toLowerCase()) {
+        case 'listar':
+          return await say({ text: 'Canales de las áreas', blocks: ConstructorMensajesCanales.construirListado(await ServicioCanalesArea.obtenerAreas()) });
+        case 'asignar': {
+          const [textoArea, textoCanal] = argumentos;
+          if (!textoArea || !textoCanal) {
+            return await say({ blocks: ConstructorMensajesCanales.construirAyuda() });
+          }
+          const area = await ServicioCanalesArea.buscarArea(textoArea);
+          const canal = ComandoCanalesArea.interpretarCanal(textoCanal);
+          await ServicioCanalesArea.asignarCanal(area.trabAreId, canal, comando.user_id);
+          return await say({ text: 'Canal asignado', blocks: ConstructorMensajesSlack.construirConfirmacion(`Las tareas del área *${area.nombre}* se publicarán en <#${canal}>. Recuerda invitar al bot al canal.`) });
+        }
+        case 'quitar': {
+          const [textoArea] = argumentos;
+          if (!textoArea) {
+            return await say({ blocks: ConstructorMensajesCanales.construirAyuda() });
+          }
+          const area = await ServicioCanalesArea.buscarArea(textoArea);
+          await ServicioCanalesArea.quitarCanal(area.trabAreId);
+          return await say({ text: 'Canal quitado', blocks: ConstructorMensajesSlack.construirConfirmacion(`Las tareas del área *${area.nombre}* ya no se publicarán en un canal.`) });
+        }
+        default:
+          return await say({ blocks: ConstructorMensajesCanales.construirAyuda() });
+      }
+    } catch (error) {
+      console.error('🚨 Error en ComandoCanalesArea:', error);
+      await say({ text: '❌ Error al administrar los canales de área', blocks: ConstructorMensajesSlack.construirMensajeError(error, 'Error al administrar los canales de área') });
+    }
+  }
+}
+
+// Exportar la clase principal para su uso en `botCore.js`.
+module.exports = ComandoCanalesArea;
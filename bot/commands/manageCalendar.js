@@ -0,0 +1,111 @@
+// Importaciones de servicios compartidos.
+const ServicioCalendarios = require('../services/calendarios.js'); // Calendarios de festivos configurables.
+const { ConstructorMensajesSlack } = require('../services/reportes.js'); // Mensajes de confirmación y de error compartidos.
+
+/**
+ * @class ConstructorMensajesCalendario
+ * @description Construye los bloques de Slack para el comando de administración de calendarios.
+ */
+class ConstructorMensajesCalendario {
+  /**
+   * Construye el listado de festivos y días de la empresa de un calendario para un año.
+   * @param {string} codigoCalendario - El código del calendario.
+   * @param {number} año - El año consultado.
+   * @returns {Array<Object>} Bloques de Slack.
+   */
+  static construirListado(codigoCalendario, año) {
+    const configuracion = ServicioCalendarios.obtenerConfiguracion();
+    const festivos = ServicioCalendarios.obtenerFestivosDetallados(codigoCalendario, año);
+    const lineas = festivos.map(festivo => `${festivo.esDiaEmpresa ? '🏢' : '🎉'} \`${festivo.fecha}\` ${festivo.nombre}`);
+    const calendarios = Object.entries(configuracion.calendarios)
+      .map(([codigo, calendario]) => `\`${codigo}\` ${calendario.nombre}${codigo === configuracion.calendarioPorDefecto ? ' _(por defecto)_' : ''}`);
+
+    return [
+      { type: 'header', text: { type: 'plain_text', text: `🗓️ Calendario ${codigoCalendario} - ${año}` } },
+      { type: 'section', text: { type: 'mrkdwn', text: lineas.length > 0 ? lineas.join('\n') : '_Sin festivos registrados_' } },
+      { type: 'divider' },
+      { type: 'section', text: { type: 'mrkdwn', text: `*Calendarios disponibles:*\n${calendarios.join('\n')}` } },
+      { type: 'context', elements: [{ type: 'mrkdwn', text: '🎉 Festivo del calendario · 🏢 Día no laborable de la empresa' }] }
+    ];
+  }
+
+  /**
+   * Construye el mensaje de uso del comando.
+   * @returns {Array<Object>} Bloques de Slack.
+   */
+  static construirAyuda() {
+    return [
+      { type: 'section', text: { type: 'mrkdwn', text: '*🗓️ Uso de `crm-calendario`*' } },
+      { type: 'section', text: { type: 'mrkdwn', text:
+        '• `crm-calendario listar [año] [calendario]` - Muestra los festivos\n' +
+        '• `crm-calendario agregar AAAA-MM-DD Descripción` - Agrega un día no laborable de la empresa\n' +
+        '• `crm-calendario quitar AAAA-MM-DD` - Elimina un día no laborable de la empresa\n' +
+        '• `crm-calendario asignar FUNCOD CALENDARIO` - Asigna un calendario a un funcionario'
+      } }
+    ];
+  }
+}
+
+/**
+ * @class ComandoCalendario
+ * @description Orquesta el comando de administrador `crm-calendario`, que permite consultar los festivos
+ * y agregar o quitar días no laborables de la empresa sin necesidad de desplegar código.
+ */
+class ComandoCalendario {
+  /**
+   * Método principal que se ejecuta al invocar el comando.
+   * @param {Object} comando - Objeto del comando de Slack. `comando.args` contiene los argumentos.
+   * @param {Function} say - Función para enviar mensajes a Slack.
+   */
+  async execute(comando, say) {
+    try {
+      // Ejecutar la acción solicitada (los permisos de administrador los verifica el despachador).
+      const [accion = 'listar', ...argumentos] = comando.args || [];
+      switch (accion.toLowerCase()) {
+        case 'listar': {
+          const año = argumentos[0] ? parseInt(argumentos[0], 10) : new Date().getFullYear();
+          if (Number.isNaN(año)) {
+            throw new Error(`El año "${argumentos[0]}" no es válido.`);
+          }
+          const codigo = (argumentos[1] || ServicioCalendarios.obtenerConfiguracion().calendarioPorDefecto).toUpperCase();
+          return await say({ text: `Calendario ${codigo} ${año}`, blocks: ConstructorMensajesCalendario.construirListado(codigo, año) });
+        }
+        case 'agregar': {
+          const [fecha, ...descripcion] = argumentos;
+          if (!fecha || descripcion.length === 0) {
+            return await say({ blocks: ConstructorMensajesCalendario.construirAyuda() });
+          }
+          await ServicioCalendarios.agregarDiaEmpresa(fecha, descripcion.join(' '));
+          return await say({ text: 'Día agregado', blocks: ConstructorMensajesSlack.construirConfirmacion(`Se agregó el día no laborable *${fecha}* (${descripcion.join(' ')}).`) });
+        }
+        case 'quitar': {
+          const [fecha] = argumentos;
+          if (!fecha) {
+            return await say({ blocks: ConstructorMensajesCalendario.construirAyuda() });
+          }
+          const eliminado = await ServicioCalendarios.quitarDiaEmpresa(fecha);
+          if (!eliminado) {
+            throw new Error(`No existe un día de la empresa registrado para ${fecha}.`);
+          }
+          return await say({ text: 'Día eliminado', blocks: ConstructorMensajesSlack.construirConfirmacion(`Se eliminó el día no laborable *${fecha}*.`) });
+        }
+        case 'asignar': {
+          const [funCod, codigo] = argumentos;
+          if (!funCod || !codigo) {
+            return await say({ blocks: ConstructorMensajesCalendario.construirAyuda() });
+          }
+          await ServicioCalendarios.asignarCalendario(funCod.toUpperCase(), codigo.toUpperCase());
+          return await say({ text: 'Calendario asignado', blocks: ConstructorMensajesSlack.construirConfirmacion(`El funcionario *${funCod.toUpperCase()}* ahora usa el calendario *${codigo.toUpperCase()}*.`) });
+        }
+        default:
+          return await say({ blocks: ConstructorMensajesCalendario.construirAyuda() });
+      }
+    } catch (error) {
+      console.error('🚨 Error en ComandoCalendario:', error);
+      await say({ text: '❌ Error al administrar el calendario', blocks: ConstructorMensajesSlack.construirMensajeError(error, 'Error al administrar el calendario') });
+    }
+  }
+}
+
+// Exportar la clase principal para su uso en `botCore.js`.
+module.exports = ComandoCalendario;
@@ -0,0 +1,201 @@
+// Importaciones de servicios compartidos.
+const ServicioVinculos = require('../services/vinculos.js'); // Vínculos entre funcionarios y usuarios de Slack.
+const DirectorioSlack = require('../services/directorioSlack.js'); // Directorio de usuarios de Slack en memoria.
+const ServicioEnvioReportes = require('../services/envioReportes.js'); // Envío de mensajes directos.
+const { ServicioUsuario, ConstructorMensajesSlack } = require('../services/reportes.js'); // Funcionarios activos, listas y mensajes compartidos.
+const { METODOS_VINCULO } = ServicioVinculos;
+
+/**
+ * @constant {number} MAXIMO_BLOQUES_MENSAJE
+ * @description Límite de bloques que Slack admite en un mensaje.
+ */
+const MAXIMO_BLOQUES_MENSAJE = 50;
+
+/**
+ * @class ConstructorMensajesVinculos
+ * @description Construye los bloques de Slack para el comando de administración de vínculos.
+ */
+class ConstructorMensajesVinculos {
+  /**
+   * Construye el reporte de funcionarios activos sin usuario de Slack y de solicitudes pendientes.
+   * @param {number} totalActivos - Cantidad de funcionarios activos.
+   * @param {Array<Object>} noVinculados - Funcionarios activos sin vínculo.
+   * @param {Object.<string, {userId: string, solicitadaEn: string}>} solicitudes - Solicitudes pendientes por `FunCod`.
+   * @returns {Array<Object>} Bloques de Slack.
+   */
+  static construirReporte(totalActivos, noVinculados, solicitudes) {
+    const lineasNoVinculados = noVinculados
+      .sort((a, b) => (a.nombre || '').localeCompare(b.nombre || ''))
+      .map(funcionario => `• *${funcionario.nombre || funcionario.funCod}* (\`${funcionario.funCod}\`) · ${funcionario.area} · ` +
+        (funcionario.username ? `FunDirEmail: \`${funcionario.username}\`` : '_sin FunDirEmail_'));
+    const lineasSolicitudes = Object.entries(solicitudes)
+      .map(([funCod, solicitud]) => `• \`${funCod}\` ← <@${solicitud.userId}> _(${solicitud.solicitadaEn.slice(0, 16).replace('T', ' ')})_`);
+
+    return [
+      { type: 'header', text: { type: 'plain_text', text: '🔗 Vínculos con Slack' } },
+      { type: 'section', text: { type: 'mrkdwn', text: `*${totalActivos - noVinculados.length}* de *${totalActivos}* funcionarios activos están vinculados con un usuario de Slack.` } },
+      { type: 'divider' },
+      ...(lineasNoVinculados.length > 0
+        ? ConstructorMensajesSlack.construirSeccionesLista(`*⚠️ Funcionarios activos sin vincular (${lineasNoVinculados.length}):*`, lineasNoVinculados)
+        : [{ type: 'section', text: { type: 'mrkdwn', text: '✅ Todos los funcionarios activos están vinculados.' } }]),
+      ...(lineasSolicitudes.length > 0
+        ? [{ type: 'divider' }, ...ConstructorMensajesSlack.construirSeccionesLista(`*⏳ Solicitudes pendientes (${lineasSolicitudes.length}):*`, lineasSolicitudes)]
+        : []),
+      { type: 'context', elements: [{ type: 'mrkdwn', text: 'Vincula a alguien con `crm-vinculos asignar FUNCOD @usuario` o pídele que escriba `vincular SU_USUARIO_CRM`.' }] }
+    ];
+  }
+
+  /**
+   * Construye el mensaje de uso del comando.
+   * @returns {Array<Object>} Bloques de Slack.
+   */
+  static construirAyuda() {
+    return [
+      { type: 'section', text: { type: 'mrkdwn', text: '*🔗 Uso de `crm-vinculos`*' } },
+      { type: 'section', text: { type: 'mrkdwn', text:
+        '• `crm-vinculos listar` - Muestra los funcionarios activos sin vincular y las solicitudes pendientes\n' +
+        '• `crm-vinculos ver FUNCOD` - Muestra el usuario de Slack vinculado a un funcionario\n' +
+        '• `crm-vinculos asignar FUNCOD @usuario` - Vincula un funcionario con un usuario de Slack\n' +
+        '• `crm-vinculos aprobar FUNCOD` / `rechazar FUNCOD` - Resuelve una solicitud de `vincular`\n' +
+        '• `crm-vinculos quitar FUNCOD` - Elimina el vínculo de un funcionario'
+      } }
+    ];
+  }
+}
+
+/**
+ * @class ComandoVinculos
+ * @description Orquesta el comando de administrador `crm-vinculos`, que muestra qué funcionarios
+ * activos no tienen usuario de Slack vinculado y permite crear, aprobar y quitar vínculos.
+ */
+class ComandoVinculos {
+  /**
+   * Obtiene el ID de Slack a partir de una mención (`<@U123ABC>` o `<@U123ABC|nombre>`) o de un `@nombre`.
+   * @param {string} texto - La mención escrita por el administrador.
+   * @returns {Promise<string|null>} El ID del usuario en Slack o `null` si no se encuentra.
+   */
+  static async interpretarMencion(texto) {
+    const mencion = /^<@([A-Z0-9]+)(?:\|[^>]*)?>$/.exec(texto);
+    if (mencion) return mencion[1];
+    const usuario = await DirectorioSlack.buscarPorUsername(texto.replace(/^@/, ''));
+    return usuario ? usuario.id : null;
+  }
+
+  /**
+   * Aprueba o rechaza una solicitud de `vincular` y avisa a quien la hizo.
+   * Se usa desde el comando y desde los botones del mensaje enviado a los administradores.
+   * @param {string} funCod - El código del funcionario.
+   * @param {boolean} aprobar - `true` para crear el vínculo.
+   * @param {string} administradorId - ID de Slack del administrador que resuelve la solicitud.
+   * @returns {Promise<{text: string, blocks: Array<Object>}>} El mensaje para el administrador.
+   */
+  static async resolverSolicitud(funCod, aprobar, administradorId) {
+    try {
+      const solicitud = await ServicioVinculos.resolverSolicitud(funCod, aprobar, administradorId);
+      const clave = ServicioVinculos.normalizar(funCod);
+      await ServicioEnvioReportes.enviarMensajeDirecto(solicitud.userId, {
+        text: aprobar ? 'Vínculo aprobado' : 'Vínculo rechazado',
+        blocks: [{ type: 'section', text: { type: 'mrkdwn', text: aprobar
+          ? `✅ Tu usuario de Slack quedó vinculado con el funcionario *${clave}*. Ya puedes usar los comandos del bot.`
+          : '❌ Un administrador rechazó tu solicitud de vínculo. Verifica tu usuario del CRM o contacta al servicio técnico.' } }]
+      });
+      return {
+        text: aprobar ? 'Vínculo aprobado' : 'Solicitud rechazada',
+        blocks: ConstructorMensajesSlack.construirConfirmacion(aprobar
+          ? `El funcionario *${clave}* quedó vinculado con <@${solicitud.userId}> (aprobado por <@${administradorId}>).`
+          : `Se rechazó la solicitud de <@${solicitud.userId}> para el funcionario *${clave}* (rechazada por <@${administradorId}>).`)
+      };
+    } catch (error) {
+      console.error('🚨 Error al resolver la solicitud de vínculo:', error);
+      return { text: '❌ Error al administrar los vínculos', blocks: ConstructorMensajesSlack.construirMensajeError(error, 'Error al administrar los vínculos') };
+    }
+  }
+
+  /**
+   * Genera el reporte de vínculos. Antes de listar a los funcionarios sin vínculo se intenta
+   * emparejarlos por `FunDirEmail`, de modo que solo aparecen quienes requieren una acción.
+   * @param {Function} say - Función para enviar mensajes a Slack.
+   */
+  static async enviarReporte(say) {
+    const funcionarios = await ServicioUsuario.obtenerTodosFuncionariosActivos();
+    const noVinculados = [];
+    for (const funcionario of funcionarios) {
+      if (!(await ServicioVinculos.obtenerUserId(funcionario.funCod, funcionario.username))) {
+        noVinculados.push(funcionario);
+      }
+    }
+
+    const { solicitudes } = ServicioVinculos.obtenerConfiguracion();
+    const bloques = ConstructorMensajesVinculos.construirReporte(funcionarios.length, noVinculados, solicitudes);
+    for (let inicio = 0; inicio < bloques.length; inicio += MAXIMO_BLOQUES_MENSAJE) {
+      await say({ text: 'Vínculos con Slack', blocks: bloques.slice(inicio, inicio + MAXIMO_BLOQUES_MENSAJE) });
+    }
+  }
+
+  /**
+   * Método principal que se ejecuta al invocar el comando.
+   * @param {Object} comando - Objeto del comando de Slack. `comando.args` contiene los argumentos.
+   * @param {Function} say - Función para enviar mensajes a Slack.
+   */
+  async execute(comando, say) {
+    try {
+      // Ejecutar la acción solicitada (los permisos de administrador los verifica el despachador).
+      const [accion = 'listar', ...argumentos] = comando.args || [];
+      const [funCod] = argumentos;
+      switch (accion.toLowerCase()) {
+        case 'listar':
+          return await ComandoVinculos.enviarReporte(say);
+        case 'ver': {
+          if (!funCod) {
+            return await say({ blocks: ConstructorMensajesVinculos.construirAyuda() });
+          }
+          const vinculo = ServicioVinculos.obtenerConfiguracion().vinculos[ServicioVinculos.normalizar(funCod)];
+          if (!vinculo) {
+            throw new Error(`El funcionario ${funCod.toUpperCase()} no está vinculado a ningún usuario de Slack.`);
+          }
+          return await say({ text: 'Vínculo del funcionario', blocks: [{ type: 'section', text: { type: 'mrkdwn', text:
+            `🔗 *${funCod.toUpperCase()}* → <@${vinculo.userId}>\n*Método:* ${METODOS_VINCULO[vinculo.metodo] || vinculo.metodo}\n` +
+            `*Fecha:* ${vinculo.vinculadoEn.slice(0, 16).replace('T', ' ')}` + (vinculo.vinculadoPor ? ` · por <@${vinculo.vinculadoPor}>` : '') } }] });
+        }
+        case 'asignar': {
+          const [, mencion] = argumentos;
+          if (!funCod || !mencion) {
+            return await say({ blocks: ConstructorMensajesVinculos.construirAyuda() });
+          }
+          const userId = await ComandoVinculos.interpretarMencion(mencion);
+          if (!userId) {
+            throw new Error(`No se encontró el usuario de Slack ${mencion}.`);
+          }
+          const funcionario = await ServicioVinculos.buscarFuncionario(funCod);
+          if (!funcionario) {
+            throw new Error(`No se encontró un funcionario activo con código o usuario ${funCod}.`);
+          }
+          await ServicioVinculos.vincular(funcionario.FunCod, userId, 'admin', comando.user_id);
+          return await say({ text: 'Vínculo creado', blocks: ConstructorMensajesSlack.construirConfirmacion(`El funcionario *${ServicioVinculos.normalizar(funcionario.FunCod)}* quedó vinculado con <@${userId}>.`) });
+        }
+        case 'aprobar':
+        case 'rechazar': {
+          if (!funCod) {
+            return await say({ blocks: ConstructorMensajesVinculos.construirAyuda() });
+          }
+          return await say(await ComandoVinculos.resolverSolicitud(funCod, accion.toLowerCase() === 'aprobar', comando.user_id));
+        }
+        case 'quitar': {
+          if (!funCod) {
+            return await say({ blocks: ConstructorMensajesVinculos.construirAyuda() });
+          }
+          await ServicioVinculos.desvincular(funCod);
+          return await say({ text: 'Vínculo eliminado', blocks: ConstructorMensajesSlack.construirConfirmacion(`Se eliminó el vínculo del funcionario *${funCod.toUpperCase()}*.`) });
+        }
+        default:
+          return await say({ blocks: ConstructorMensajesVinculos.construirAyuda() });
+      }
+    } catch (error) {
+      console.error('🚨 Error en ComandoVinculos:', error);
+      await say({ text: '❌ Error al administrar los vínculos', blocks: ConstructorMensajesSlack.construirMensajeError(error, 'Error al administrar los vínculos') });
+    }
+  }
+}
+
+// Exportar la clase principal para su uso en `botCore.js`.
+module.exports = ComandoVinculos;
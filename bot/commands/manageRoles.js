@@ -0,0 +1,109 @@
+// Importaciones de servicios compartidos.
+const ServicioAutorizacion = require('../services/autorizacion.js'); // Roles y permisos.
+const { ConstructorMensajesSlack } = require('../services/reportes.js'); // Mensajes de confirmación y de error compartidos.
+const { ROLES } = ServicioAutorizacion;
+
+/**
+ * @class ConstructorMensajesRoles
+ * @description Construye los bloques de Slack para el comando de administración de roles.
+ */
+class ConstructorMensajesRoles {
+  /**
+   * Construye el listado de funcionarios con un rol distinto de empleado y de los comandos limitados a ciertos funcionarios.
+   * @param {{roles: Object.<string, string>, comandos: Object.<string, Array<string>>}} configuracion - Resultado de `ServicioAutorizacion.obtenerConfiguracion`.
+   * @returns {Array<Object>} Bloques de Slack.
+   */
+  static construirListado({ roles, comandos }) {
+    const secciones = Object.keys(ROLES)
+      .filter(rol => rol !== 'empleado')
+      .map(rol => {
+        const funcionarios = Object.keys(roles).filter(funCod => roles[funCod] === rol).sort();
+        return `*${ROLES[rol].nombre}* (\`${rol}\`):\n${funcionarios.length > 0 ? funcionarios.map(funCod => `• \`${funCod}\``).join('\n') : '_Ninguno_'}`;
+      });
+
+    return [
+      { type: 'header', text: { type: 'plain_text', text: '🔐 Roles del bot' } },
+      { type: 'section', text: { type: 'mrkdwn', text: secciones.join('\n\n') } },
+      ...Object.keys(comandos).sort().map(nombre => ({
+        type: 'section',
+        text: { type: 'mrkdwn', text: `*\`${nombre}\`* solo lo ejecutan:\n${comandos[nombre].sort().map(funCod => `• \`${funCod}\``).join('\n')}` }
+      })),
+      { type: 'context', elements: [{ type: 'mrkdwn', text: 'Los funcionarios que no aparecen tienen el rol `empleado`.' }] }
+    ];
+  }
+
+  /**
+   * Construye el mensaje de uso del comando.
+   * @returns {Array<Object>} Bloques de Slack.
+   */
+  static construirAyuda() {
+    return [
+      { type: 'section', text: { type: 'mrkdwn', text: '*🔐 Uso de `crm-roles`*' } },
+      { type: 'section', text: { type: 'mrkdwn', text:
+        '• `crm-roles listar` - Muestra los administradores, los líderes de área y las listas de los comandos\n' +
+        `• \`crm-roles asignar FUNCOD ROL\` - Asigna un rol (${Object.keys(ROLES).map(rol => `\`${rol}\``).join(', ')})\n` +
+        '• `crm-roles revocar FUNCOD` - Devuelve al funcionario al rol `empleado`\n' +
+        '• `crm-roles comando COMANDO permitir FUNCOD` - Limita un comando a ciertos funcionarios, además de su rol\n' +
+        '• `crm-roles comando COMANDO quitar FUNCOD` - Quita a un funcionario de esa lista (sin funcionarios, basta el rol)'
+      } }
+    ];
+  }
+}
+
+/**
+ * @class ComandoRoles
+ * @description Orquesta el comando de administrador `crm-roles`, que permite otorgar y revocar
+ * roles (administrador, líder de área) sin necesidad de desplegar código.
+ */
+class ComandoRoles {
+  /**
+   * Método principal que se ejecuta al invocar el comando.
+   * @param {Object} comando - Objeto del comando de Slack. `comando.args` contiene los argumentos.
+   * @param {Function} say - Función para enviar mensajes a Slack.
+   */
+  async execute(comando, say) {
+    try {
+      // Ejecutar la acción solicitada (los permisos de administrador los verifica el despachador).
+      const [accion = 'listar', ...argumentos] = comando.args || [];
+      switch (accion.toLowerCase()) {
+        case 'listar':
+          return await say({ text: 'Roles del bot', blocks: ConstructorMensajesRoles.construirListado(await ServicioAutorizacion.obtenerConfiguracion()) });
+        case 'asignar': {
+          const [funCod, rol] = argumentos;
+          if (!funCod || !rol) {
+            return await say({ blocks: ConstructorMensajesRoles.construirAyuda() });
+          }
+          const clave = await ServicioAutorizacion.asignarRol(funCod, rol.toLowerCase());
+          return await say({ text: 'Rol asignado', blocks: ConstructorMensajesSlack.construirConfirmacion(`El funcionario *${clave}* ahora tiene el rol *${ROLES[rol.toLowerCase()].nombre}*.`) });
+        }
+        case 'revocar': {
+          const [funCod] = argumentos;
+          if (!funCod) {
+            return await say({ blocks: ConstructorMensajesRoles.construirAyuda() });
+          }
+          const clave = await ServicioAutorizacion.asignarRol(funCod, 'empleado');
+          return await say({ text: 'Rol revocado', blocks: ConstructorMensajesSlack.construirConfirmacion(`El funcionario *${clave}* ahora tiene el rol *${ROLES.empleado.nombre}*.`) });
+        }
+        case 'comando': {
+          const [nombreComando, operacion = '', funCod] = argumentos;
+          if (!nombreComando || !funCod || !['permitir', 'quitar'].includes(operacion.toLowerCase())) {
+            return await say({ blocks: ConstructorMensajesRoles.construirAyuda() });
+          }
+          const permitir = operacion.toLowerCase() === 'permitir';
+          const clave = await ServicioAutorizacion.asignarComando(nombreComando, funCod, permitir);
+          return await say({ text: 'Lista del comando actualizada', blocks: ConstructorMensajesSlack.construirConfirmacion(permitir
+            ? `El comando *${nombreComando}* ahora también lo ejecuta *${clave}* (si tiene el rol que exige).`
+            : `El funcionario *${clave}* ya no está en la lista del comando *${nombreComando}*.`) });
+        }
+        default:
+          return await say({ blocks: ConstructorMensajesRoles.construirAyuda() });
+      }
+    } catch (error) {
+      console.error('🚨 Error en ComandoRoles:', error);
+      await say({ text: '❌ Error al administrar los roles', blocks: ConstructorMensajesSlack.construirMensajeError(error, 'Error al administrar los roles') });
+    }
+  }
+}
+
+// Exportar la clase principal para su uso en `botCore.js`.
+module.exports = ComandoRoles;
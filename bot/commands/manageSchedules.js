@@ -0,0 +1,114 @@
+// Importaciones de servicios compartidos.
+const ServicioProgramaciones = require('../services/programaciones.js'); // Programador de recordatorios.
+const { TAREAS_RECORDATORIO } = require('../services/recordatorios.js'); // Tareas disponibles.
+const { ConstructorMensajesSlack } = require('../services/reportes.js'); // Mensajes de confirmación y de error compartidos.
+
+/**
+ * @class ConstructorMensajesProgramacion
+ * @description Construye los bloques de Slack para el comando de administración de programaciones.
+ */
+class ConstructorMensajesProgramacion {
+  /**
+   * Construye el listado de programaciones.
+   * @returns {Array<Object>} Bloques de Slack.
+   */
+  static construirListado() {
+    const { programaciones } = ServicioProgramaciones.obtenerConfiguracion();
+    const lineas = programaciones.map(programacion =>
+      `${programacion.activa ? '🟢' : '⚪'} *#${programacion.id}* \`${programacion.cron}\` → \`${programacion.tarea}\`` +
+      (programacion.ultimaEjecucion ? ` _(última: ${programacion.ultimaEjecucion.replace('T', ' ')})_` : ''));
+    const tareas = Object.entries(TAREAS_RECORDATORIO).map(([nombre, tarea]) => `\`${nombre}\` ${tarea.descripcion}`);
+
+    return [
+      { type: 'header', text: { type: 'plain_text', text: '⏰ Recordatorios programados' } },
+      { type: 'section', text: { type: 'mrkdwn', text: lineas.length > 0 ? lineas.join('\n') : '_Sin programaciones registradas_' } },
+      { type: 'divider' },
+      { type: 'section', text: { type: 'mrkdwn', text: `*Tareas disponibles:*\n${tareas.join('\n')}` } },
+      { type: 'context', elements: [{ type: 'mrkdwn', text: '🟢 Activa · ⚪ Inactiva · Formato cron: `minuto hora día mes díaSemana`' }] }
+    ];
+  }
+
+  /**
+   * Construye el mensaje de uso del comando.
+   * @returns {Array<Object>} Bloques de Slack.
+   */
+  static construirAyuda() {
+    return [
+      { type: 'section', text: { type: 'mrkdwn', text: '*⏰ Uso de `crm-programacion`*' } },
+      { type: 'section', text: { type: 'mrkdwn', text:
+        '• `crm-programacion listar` - Muestra las programaciones y las tareas disponibles\n' +
+        '• `crm-programacion agregar "30 17 * * 1-5" faltantes-hoy` - Crea una programación\n' +
+        '• `crm-programacion activar ID` / `desactivar ID` - Cambia el estado de una programación\n' +
+        '• `crm-programacion quitar ID` - Elimina una programación\n' +
+        '• `crm-programacion ejecutar ID` - Ejecuta una programación ahora'
+      } }
+    ];
+  }
+}
+
+/**
+ * @class ComandoProgramaciones
+ * @description Orquesta el comando de administrador `crm-programacion`, que permite consultar, crear,
+ * activar y eliminar los recordatorios automáticos de horas sin reiniciar el bot.
+ */
+class ComandoProgramaciones {
+  /**
+   * Método principal que se ejecuta al invocar el comando.
+   * @param {Object} comando - Objeto del comando de Slack. `comando.args` contiene los argumentos.
+   * @param {Function} say - Función para enviar mensajes a Slack.
+   */
+  async execute(comando, say) {
+    try {
+      // Ejecutar la acción solicitada (los permisos de administrador los verifica el despachador).
+      const [accion = 'listar', ...argumentos] = comando.args || [];
+      switch (accion.toLowerCase()) {
+        case 'listar':
+          return await say({ text: 'Recordatorios programados', blocks: ConstructorMensajesProgramacion.construirListado() });
+        case 'agregar': {
+          const [cron, tarea] = argumentos;
+          if (!cron || !tarea) {
+            return await say({ blocks: ConstructorMensajesProgramacion.construirAyuda() });
+          }
+          const programacion = await ServicioProgramaciones.agregar(cron, tarea.toLowerCase(), comando.user_id);
+          return await say({ text: 'Programación creada', blocks: ConstructorMensajesSlack.construirConfirmacion(`Se creó la programación *#${programacion.id}*: \`${programacion.cron}\` → \`${programacion.tarea}\`.`) });
+        }
+        case 'activar':
+        case 'desactivar': {
+          const [id] = argumentos;
+          if (!id) {
+            return await say({ blocks: ConstructorMensajesProgramacion.construirAyuda() });
+          }
+          const programacion = await ServicioProgramaciones.cambiarEstado(id, accion.toLowerCase() === 'activar');
+          return await say({ text: 'Programación actualizada', blocks: ConstructorMensajesSlack.construirConfirmacion(`La programación *#${programacion.id}* ahora está *${programacion.activa ? 'activa' : 'inactiva'}*.`) });
+        }
+        case 'quitar': {
+          const [id] = argumentos;
+          if (!id) {
+            return await say({ blocks: ConstructorMensajesProgramacion.construirAyuda() });
+          }
+          await ServicioProgramaciones.quitar(id);
+          return await say({ text: 'Programación eliminada', blocks: ConstructorMensajesSlack.construirConfirmacion(`Se eliminó la programación *#${id}*.`) });
+        }
+        case 'ejecutar': {
+          const [id] = argumentos;
+          if (!id) {
+            return await say({ blocks: ConstructorMensajesProgramacion.construirAyuda() });
+          }
+          const programacion = ServicioProgramaciones.obtener(id);
+          await say({ text: 'Ejecutando programación', blocks: [{ type: 'section', text: { type: 'mrkdwn', text: `⏳ Ejecutando la programación *#${programacion.id}* (\`${programacion.tarea}\`)...` } }] });
+          const resultado = await ServicioProgramaciones.ejecutar(programacion);
+          return await say({ text: 'Programación ejecutada', blocks: ConstructorMensajesSlack.construirConfirmacion(`Programación *#${programacion.id}* ejecutada: ${resultado.notificados} de ${resultado.revisados} funcionarios notificados` +
+            (resultado.fallidos > 0 ? ` (${resultado.fallidos} con error, ver el log del bot).` : '.')) });
+        }
+        default:
+          return await say({ blocks: ConstructorMensajesProgramacion.construirAyuda() });
+      }
+    } catch (error) {
+      console.error('🚨 Error en ComandoProgramaciones:', error);
+      await say({ text: '❌ Error al administrar las programaciones', blocks: ConstructorMensajesSlack.construirMensajeError(error, 'Error al administrar las programaciones') });
+    }
+  }
+}
+
+// Exportar la clase principal para su uso en `botCore.js`.
+module.exports = ComandoProgramaciones;
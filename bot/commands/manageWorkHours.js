@@ -0,0 +1,186 @@
+// Importaciones de servicios compartidos.
+const ServicioHorarios = require('../services/horarios.js'); // Perfiles de horario de los funcionarios.
+const { DIAS_SEMANA, SEMANAS_DESCANSO } = require('../services/horarios.js');
+const { ConstructorMensajesSlack } = require('../services/reportes.js'); // Mensajes de confirmación y de error compartidos.
+
+/**
+ * @function formatearMinutos
+ * @description Muestra una cantidad de minutos como horas y minutos (ej. `8h 30m`).
+ * @param {number} minutos - Los minutos.
+ * @returns {string} El tiempo formateado.
+ */
+const formatearMinutos = (minutos) => `${Math.floor(minutos / 60)}h ${(minutos % 60).toString().padStart(2, '0')}m`;
+
+/**
+ * @function normalizarDia
+ * @description Normaliza el nombre de un día escrito por el administrador (sin tildes y en minúsculas).
+ * @param {string} dia - El día escrito (ej. 'Miércoles').
+ * @returns {string} La clave del día (ej. 'miercoles').
+ */
+const normalizarDia = (dia) => dia.trim().toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+
+/**
+ * @class ConstructorMensajesHorarios
+ * @description Construye los bloques de Slack para el comando de administración de horarios.
+ */
+class ConstructorMensajesHorarios {
+  /**
+   * Describe un perfil en una línea por día laborable y su rotación.
+   * @param {string} codigo - El código del perfil.
+   * @param {Object} perfil - El perfil tal como está en el almacén.
+   * @param {boolean} esPorDefecto - Si es el perfil por defecto.
+   * @param {number} asignados - Cantidad de funcionarios asignados explícitamente.
+   * @returns {string} El texto del perfil.
+   */
+  static describirPerfil(codigo, perfil, esPorDefecto, asignados) {
+    const dias = DIAS_SEMANA
+      .filter(dia => perfil.minutosPorDia[dia] > 0)
+      .map(dia => `${dia} ${formatearMinutos(perfil.minutosPorDia[dia])}`)
+      .join(' · ');
+    const rotacion = perfil.rotacion
+      ? `${perfil.rotacion.dias.join(', ')} semana de por medio (${SEMANAS_DESCANSO[perfil.rotacion.semanasDescanso]})`
+      : 'Sin rotación';
+    return `*\`${codigo}\` ${perfil.nombre}*${esPorDefecto ? ' _(por defecto)_' : ''}\n${dias}\n_Descansos:_ ${rotacion} · _Asignados:_ ${esPorDefecto ? 'todos los demás' : asignados}`;
+  }
+
+  /**
+   * Construye el listado de perfiles de horario.
+   * @returns {Array<Object>} Bloques de Slack.
+   */
+  static construirListado() {
+    const configuracion = ServicioHorarios.obtenerConfiguracion();
+    const asignaciones = Object.values(configuracion.asignaciones);
+    return [
+      { type: 'header', text: { type: 'plain_text', text: '🕘 Perfiles de horario' } },
+      ...Object.entries(configuracion.perfiles).map(([codigo, perfil]) => ({
+        type: 'section',
+        text: { type: 'mrkdwn', text: this.describirPerfil(codigo, perfil, codigo === configuracion.perfilPorDefecto, asignaciones.filter(asignado => asignado === codigo).length) }
+      })),
+      { type: 'context', elements: [{ type: 'mrkdwn', text: 'Los reportes, recordatorios y el tablero de Inicio calculan el requerido de cada día con el perfil del funcionario.' }] }
+    ];
+  }
+
+  /**
+   * Construye el mensaje de uso del comando.
+   * @returns {Array<Object>} Bloques de Slack.
+   */
+  static construirAyuda() {
+    return [
+      { type: 'section', text: { type: 'mrkdwn', text: '*🕘 Uso de `crm-horarios`*' } },
+      { type: 'section', text: { type: 'mrkdwn', text:
+        '• `crm-horarios listar` - Muestra los perfiles de horario\n' +
+        '• `crm-horarios crear CODIGO "Nombre" dia=H[:MM] ... [--rotacion=DIAS:SEMANAS]` - Crea o reemplaza un perfil\n' +
+        '• `crm-horarios quitar CODIGO` - Elimina un perfil sin funcionarios asignados\n' +
+        '• `crm-horarios asignar FUNCOD CODIGO` - Asigna un perfil a un funcionario\n' +
+        '• `crm-horarios ver FUNCOD` - Muestra el perfil de un funcionario'
+      } },
+      { type: 'context', elements: [{ type: 'mrkdwn', text:
+        `Días: ${DIAS_SEMANA.join(', ')}. Semanas de descanso: ${Object.keys(SEMANAS_DESCANSO).join(', ')}.\n` +
+        'Ej. `crm-horarios crear MEDIO "Medio tiempo" lunes=4 martes=4 miercoles=4 jueves=4 viernes=4` · ' +
+        '`crm-horarios crear 4X10 "4x10" lunes=10 martes=10 miercoles=10 jueves=10`'
+      }] }
+    ];
+  }
+}
+
+/**
+ * @class ComandoHorarios
+ * @description Orquesta el comando de administrador `crm-horarios`, que define los perfiles de horario
+ * (minutos requeridos por día y rotación de descansos) y los asigna a los funcionarios.
+ */
+class ComandoHorarios {
+  /**
+   * Interpreta los días de un perfil (`lunes=8:30 sabado=3`).
+   * @param {Array<string>} argumentos - Los argumentos escritos después del nombre del perfil.
+   * @returns {Object.<string, number>} Minutos requeridos por día.
+   */
+  static interpretarDias(argumentos) {
+    return Object.fromEntries(argumentos.map(argumento => {
+      const [dia, tiempo] = argumento.split('=');
+      const clave = normalizarDia(dia);
+      if (tiempo === undefined) {
+        throw new Error(`"${argumento}" no es válido. Escribe cada día como \`dia=H[:MM]\` (ej. \`lunes=8:30\`).`);
+      }
+      return [clave, ServicioHorarios.interpretarTiempo(tiempo)];
+    }));
+  }
+
+  /**
+   * Interpreta la bandera `--rotacion` (`sabado:tipoDescanso`, `viernes,sabado:pares` o `ninguna`).
+   * @param {string|boolean|undefined} valor - El valor de la bandera.
+   * @returns {{dias: Array<string>, semanasDescanso: string}|null} La rotación, o `null` sin rotación.
+   */
+  static interpretarRotacion(valor) {
+    if (!valor || valor === 'ninguna') return null;
+    const [dias, semanasDescanso] = String(valor).split(':');
+    if (!semanasDescanso) {
+      throw new Error(`La rotación "${valor}" no es válida. Usa \`--rotacion=DIAS:SEMANAS\` (ej. \`--rotacion=sabado:tipoDescanso\`).`);
+    }
+    return {
+      dias: dias.split(',').map(normalizarDia),
+      // Se acepta cualquier combinación de mayúsculas (ej. `tipodescanso`).
+      semanasDescanso: Object.keys(SEMANAS_DESCANSO).find(clave => clave.toLowerCase() === semanasDescanso.toLowerCase()) || semanasDescanso
+    };
+  }
+
+  /**
+   * Método principal que se ejecuta al invocar el comando.
+   * @param {Object} comando - Objeto del comando de Slack. `comando.args` contiene los argumentos.
+   * @param {Function} say - Función para enviar mensajes a Slack.
+   */
+  async execute(comando, say) {
+    try {
+      // Ejecutar la acción solicitada (los permisos de administrador los verifica el despachador).
+      const [accion = 'listar', ...argumentos] = comando.args || [];
+      switch (accion.toLowerCase()) {
+        case 'listar':
+          return await say({ text: 'Perfiles de horario', blocks: ConstructorMensajesHorarios.construirListado() });
+        case 'crear': {
+          const [codigo, nombre, ...dias] = argumentos;
+          if (!codigo || !nombre || dias.length === 0) {
+            return await say({ blocks: ConstructorMensajesHorarios.construirAyuda() });
+          }
+          const rotacion = ComandoHorarios.interpretarRotacion((comando.flags || {}).rotacion);
+          await ServicioHorarios.guardarPerfil(codigo, nombre, ComandoHorarios.interpretarDias(dias), rotacion);
+          return await say({ text: 'Perfil guardado', blocks: ConstructorMensajesSlack.construirConfirmacion(`Se guardó el perfil de horario *${ServicioHorarios.normalizar(codigo)}* (${nombre}).`) });
+        }
+        case 'quitar': {
+          const [codigo] = argumentos;
+          if (!codigo) {
+            return await say({ blocks: ConstructorMensajesHorarios.construirAyuda() });
+          }
+          await ServicioHorarios.quitarPerfil(codigo);
+          return await say({ text: 'Perfil eliminado', blocks: ConstructorMensajesSlack.construirConfirmacion(`Se eliminó el perfil de horario *${ServicioHorarios.normalizar(codigo)}*.`) });
+        }
+        case 'asignar': {
+          const [funCod, codigo] = argumentos;
+          if (!funCod || !codigo) {
+            return await say({ blocks: ConstructorMensajesHorarios.construirAyuda() });
+          }
+          await ServicioHorarios.asignarPerfil(funCod, codigo);
+          return await say({ text: 'Perfil asignado', blocks: ConstructorMensajesSlack.construirConfirmacion(`El funcionario *${ServicioHorarios.normalizar(funCod)}* ahora usa el perfil de horario *${ServicioHorarios.normalizar(codigo)}*.`) });
+        }
+        case 'ver': {
+          const [funCod] = argumentos;
+          if (!funCod) {
+            return await say({ blocks: ConstructorMensajesHorarios.construirAyuda() });
+          }
+          const configuracion = ServicioHorarios.obtenerConfiguracion();
+          const codigo = ServicioHorarios.obtenerPerfilDeFuncionario(funCod);
+          return await say({
+            text: `Horario de ${funCod}`,
+            blocks: [{ type: 'section', text: { type: 'mrkdwn', text: `*Funcionario:* ${ServicioHorarios.normalizar(funCod)}\n${ConstructorMensajesHorarios.describirPerfil(codigo, configuracion.perfiles[codigo], codigo === configuracion.perfilPorDefecto, Object.values(configuracion.asignaciones).filter(asignado => asignado === codigo).length)}` } }]
+          });
+        }
+        default:
+          return await say({ blocks: ConstructorMensajesHorarios.construirAyuda() });
+      }
+    } catch (error) {
+      console.error('🚨 Error en ComandoHorarios:', error);
+      await say({ text: '❌ Error al administrar los horarios', blocks: ConstructorMensajesSlack.construirMensajeError(error, 'Error al administrar los horarios') });
+    }
+  }
+}
+
+// Exportar la clase principal para su uso en `botCore.js`.
+module.exports = ComandoHorarios;
@@ -0,0 +1,181 @@
+// Importaciones de módulos y servicios compartidos.
+const { format, subDays, startOfMonth, startOfDay } = require('date-fns'); // Librería para manipulación de fechas.
+const { ServicioUsuario, ServicioFechas, ServicioReporteTiempo, MotorReportePeriodo } = require('../services/reportes.js'); // Motor de reportes.
+
+/**
+ * @constant {Object.<string, string>} ACCIONES_INICIO
+ * @description Botones del tablero mapeados al comando que ejecutan (mismo nombre que en el enrutador).
+ */
+const ACCIONES_INICIO = {
+  home_reporte_mes: 'crm-check-me',
+  home_reporte_mes_pasado: 'crm-check-me-past',
+  home_perfil: 'unicheck'
+};
+
+/**
+ * @constant {number} MAXIMO_DIAS_LISTADOS
+ * @description Cantidad máxima de días con faltantes que se listan en el tablero.
+ */
+const MAXIMO_DIAS_LISTADOS = 15;
+
+/**
+ * Formatea una cantidad de minutos como `Xh YYm`.
+ * @param {number} minutos - Cantidad de minutos.
+ * @returns {string} El texto formateado.
+ */
+const formatearMinutos = (minutos) => `${Math.floor(minutos / 60)}h ${(minutos % 60).toString().padStart(2, '0')}m`;
+
+/**
+ * @class ServicioTableroInicio
+ * @description Reúne los datos del tablero personal de horas que se muestra en la pestaña Inicio (App Home).
+ */
+class ServicioTableroInicio {
+  /**
+   * Obtiene el cumplimiento del mes actual (hasta ayer) y el avance del día de hoy de un usuario.
+   * @param {string} userId - El ID del usuario en Slack.
+   * @returns {Promise<Object>} Datos del tablero: `nombreUsuario`, `reporteMes` y `hoy`.
+   */
+  static async obtenerDatos(userId) {
+    const informacionUsuario = await ServicioUsuario.obtenerInformacionUsuario(userId);
+    const funcionario = await ServicioUsuario.obtenerDatosEmpleado(informacionUsuario);
+
+    // 1. Cumplimiento del mes actual hasta ayer (los días cerrados).
+    const ahora = new Date();
+    const reporteMes = await MotorReportePeriodo.generar(funcionario, startOfMonth(ahora), startOfDay(subDays(ahora, 1)));
+
+    // 2. Avance de hoy, solo si hoy es un día laborable para el funcionario.
+    const hoy = startOfDay(ahora);
+    const festivos = ServicioFechas.obtenerFestivos(funcionario.funCod, hoy, hoy);
+    const esLaborable = ServicioFechas.obtenerDiasLaborables(hoy, hoy, funcionario.horario, festivos).length > 0;
+    const reporteHoy = esLaborable ? await ServicioReporteTiempo.obtenerReporteDiario(funcionario, hoy) : null;
+
+    return {
+      nombreUsuario: informacionUsuario.real_name || 'Usuario',
+      funcionario,
+      reporteMes,
+      hoy: reporteHoy,
+      actualizado: ahora
+    };
+  }
+}
+
+/**
+ * @class ConstructorVistaInicio
+ * @description Construye la vista (Block Kit) de la pestaña Inicio del bot.
+ */
+class ConstructorVistaInicio {
+  /**
+   * Construye los botones que ejecutan los reportes existentes.
+   * @returns {Object} Bloque de acciones de Slack.
+   */
+  static construirBotones() {
+    return {
+      type: 'actions',
+      elements: [
+        { type: 'button', action_id: 'home_reporte_mes', style: 'primary', text: { type: 'plain_text', text: '📊 Reporte de este mes' } },
+        { type: 'button', action_id: 'home_reporte_mes_pasado', text: { type: 'plain_text', text: '⏪ Reporte mes pasado' } },
+        { type: 'button', action_id: 'home_perfil', text: { type: 'plain_text', text: '🪪 Mi perfil' } }
+      ]
+    };
+  }
+
+  /**
+   * Construye la vista del tablero con el cumplimiento del mes y el avance de hoy.
+   * @param {Object} datos - Resultado de `ServicioTableroInicio.obtenerDatos`.
+   * @returns {Object} La vista de tipo `home`.
+   */
+  static construir(datos) {
+    const { nombreUsuario, funcionario, reporteMes, hoy, actualizado } = datos;
+    const { resumenMensual, reportesDiarios, fechaInicio, fechaFin } = reporteMes;
+    const diasConFaltantes = reportesDiarios.filter(dia => !dia.cumpleRequerimiento);
+
+    const bloques = [
+      { type: 'header', text: { type: 'plain_text', text: `⏱️ Tablero de horas - ${nombreUsuario}` } },
+      { type: 'context', elements: [{ type: 'mrkdwn', text: `Funcionario *${funcionario.funCod}* · Actualizado ${format(actualizado, 'dd/MM/yyyy HH:mm')}` }] },
+      { type: 'divider' }
+    ];
+
+    // Cumplimiento del mes.
+    if (reportesDiarios.length === 0) {
+      bloques.push({ type: 'section', text: { type: 'mrkdwn', text: `*📅 ${format(fechaInicio, 'MMMM yyyy')}*\nAún no hay días laborables cerrados este mes.` } });
+    } else {
+      bloques.push(
+        { type: 'section', text: { type: 'mrkdwn', text: `*📅 ${format(fechaInicio, 'MMMM yyyy')}* (hasta ${format(fechaFin, 'dd/MM/yyyy')})` } },
+        { type: 'section', fields: [
+            { type: 'mrkdwn', text: `*Total registrado:*\n${resumenMensual.totalHoras}h ${resumenMensual.totalMinutos.toString().padStart(2, '0')}m` },
+            { type: 'mrkdwn', text: `*Requerido:*\n${resumenMensual.horasRequeridas}` },
+            { type: 'mrkdwn', text: `*Estado:*\n${resumenMensual.cumpleRequerimiento ? '✅ Cumple' : '⚠️ No cumple'}` },
+            { type: 'mrkdwn', text: `*Días con faltantes:*\n${diasConFaltantes.length}` }
+        ]}
+      );
+    }
+
+    // Avance de hoy.
+    let textoHoy;
+    if (!hoy) {
+      textoHoy = '🌴 Hoy no es un día laborable para ti.';
+    } else if (hoy.cumpleRequerimiento) {
+      textoHoy = `✅ Ya completaste las horas de hoy: *${hoy.horas}h ${hoy.minutos.toString().padStart(2, '0')}m*.`;
+    } else {
+      textoHoy = `Llevas *${hoy.horas}h ${hoy.minutos.toString().padStart(2, '0')}m* · Te faltan *${formatearMinutos(hoy.minutosPendientes)}*`;
+    }
+    bloques.push({ type: 'divider' }, { type: 'section', text: { type: 'mrkdwn', text: `*🕒 Hoy (${format(actualizado, 'dd/MM/yyyy')})*\n${textoHoy}` } });
+
+    // Días marcados con ⚠️.
+    if (diasConFaltantes.length > 0) {
+      const lineas = diasConFaltantes.slice(0, MAXIMO_DIAS_LISTADOS).map(dia => `⚠️ *${dia.fecha}* ${dia.mensaje}`);
+      if (diasConFaltantes.length > MAXIMO_DIAS_LISTADOS) {
+        lineas.push(`_…y ${diasConFaltantes.length - MAXIMO_DIAS_LISTADOS} días más. Usa "Reporte de este mes" para ver el detalle._`);
+      }
+      bloques.push({ type: 'divider' }, { type: 'section', text: { type: 'mrkdwn', text: `*Días con faltantes*\n${lineas.join('\n')}` } });
+    }
+
+    bloques.push({ type: 'divider' }, this.construirBotones());
+    bloques.push({ type: 'context', elements: [{ type: 'mrkdwn', text: 'Los reportes se envían a la pestaña *Mensajes* de este bot.' }] });
+
+    return { type: 'home', blocks: bloques };
+  }
+
+  /**
+   * Construye la vista mostrada cuando no se pueden obtener los datos del usuario.
+   * @param {Error} error - El error capturado.
+   * @returns {Object} La vista de tipo `home`.
+   */
+  static construirError(error) {
+    return {
+      type: 'home',
+      blocks: [
+        { type: 'header', text: { type: 'plain_text', text: '⏱️ Tablero de horas' } },
+        { type: 'section', text: { type: 'mrkdwn', text: `❌ *No se pudo cargar tu tablero*\n${error.message}` } },
+        this.construirBotones()
+      ]
+    };
+  }
+}
+
+/**
+ * @class TableroInicio
+ * @description Publica el tablero personal de horas en la pestaña Inicio del bot.
+ * Es invocado desde `botCore.js` en el evento `app_home_opened` y después de usar sus botones.
+ */
+class TableroInicio {
+  /**
+   * Calcula y publica el tablero de un usuario.
+   * @param {Object} client - El cliente `WebClient` de Bolt.
+   * @param {string} userId - El ID del usuario en Slack.
+   */
+  async publicar(client, userId) {
+    let vista;
+    try {
+      vista = ConstructorVistaInicio.construir(await ServicioTableroInicio.obtenerDatos(userId));
+    } catch (error) {
+      console.error(`🚨 Error al generar el tablero de inicio de ${userId}:`, error);
+      vista = ConstructorVistaInicio.construirError(error);
+    }
+    await client.views.publish({ user_id: userId, view: vista });
+  }
+}
+
+// Exportar la clase principal y el mapa de botones para su uso en `botCore.js`.
+module.exports = TableroInicio;
+module.exports.ACCIONES_INICIO = ACCIONES_INICIO;
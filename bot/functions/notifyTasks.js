@@ -2,10 +2,28 @@
 const { pool, poolConnect } = require('../../db/conection.js'); // Conexión a la base de datos.
 const { WebClient } = require('@slack/web-api'); // Cliente de la API de Slack.
 const sql = require('mssql'); // Driver de SQL Server.
+const ServicioVinculos = require('../services/vinculos.js'); // Vínculos entre funcionarios y usuarios de Slack.
+const ColaEnvios = require('../services/colaEnvios.js'); // Reintentos de las llamadas a Slack.
+const ColaNotificaciones = require('../services/colaNotificaciones.js'); // Cola persistente de notificaciones.
+const ServicioCanalesArea = require('../services/canalesArea.js'); // Canales de Slack de cada área de trabajo.
 
 // Inicializar el cliente de la API de Slack con el token del bot.
 const slackClient = new WebClient(process.env.SLACK_BOT_TOKEN);
 
+/**
+ * @constant {string} DESTINATARIO_CANAL
+ * @description Clave con la que se registra el canal del área entre los destinatarios de una notificación,
+ * para que la cola no lo vuelva a publicar al reintentar.
+ */
+const DESTINATARIO_CANAL = '#canal';
+
+/**
+ * @constant {Array<string>} ERRORES_CANAL_INACCESIBLE
+ * @description Errores de Slack con los que el canal de un hilo ya no admite mensajes del bot (canal
+ * eliminado o archivado, o el bot ya no está en él). El hilo se olvida y se publica en el canal actual del área.
+ */
+const ERRORES_CANAL_INACCESIBLE = ['channel_not_found', 'not_in_channel', 'is_archived'];
+
 /**
  * @class ServicioSlack
  * @description Encapsula la lógica para interactuar con la API de Slack,
@@ -13,36 +31,20 @@ const slackClient = new WebClient(process.env.SLACK_BOT_TOKEN);
  */
 class ServicioSlack {
     /**
-     * Busca el ID de un usuario en Slack a partir de su nombre de usuario (username).
-     * @param {string} username - El nombre de usuario a buscar (ej. 'lvillamizarmurillo').
-     * @returns {Promise<string|null>} El ID del usuario de Slack (ej. 'U123ABC456') o `null` si no se encuentra.
+     * Busca el ID del usuario de Slack vinculado a un funcionario.
+     * @param {string} funCod - El código del funcionario.
+     * @returns {Promise<string|null>} El ID del usuario de Slack (ej. 'U123ABC456') o `null` si no está vinculado.
      */
-    static async obtenerIdUsuarioPorUsername(username) {
-        if (!username) {
-            console.warn('Se intentó buscar un usuario de Slack sin proporcionar un username.');
+    static async obtenerIdUsuarioPorFuncionario(funCod) {
+        if (!funCod) {
+            console.warn('Se intentó buscar un usuario de Slack sin proporcionar un código de funcionario.');
             return null;
         }
         try {
-            // 1. Obtener la lista completa de usuarios del workspace.
-            // Slack no ofrece un endpoint directo para buscar por `username`, por lo que este es el método estándar.
-            const respuesta = await slackClient.users.list();
-            
-            if (respuesta.ok && respuesta.members) {
-                // 2. Buscar en la lista de miembros el que coincida con el `username` (insensible a mayúsculas).
-                const usuarioEncontrado = respuesta.members.find(
-                    miembro => miembro.name === username.toLowerCase()
-                );
-
-                if (usuarioEncontrado) {
-                    // 3. Si se encuentra, devolver su ID.
-                    return usuarioEncontrado.id;
-                }
-            }
-            // Si no se encuentra el usuario o la respuesta de la API falla.
-            console.log(`No se encontró un usuario en Slack con el username: ${username}`);
-            return null;
+            // El vínculo se consulta en `ServicioVinculos`; si aún no existe, se intenta emparejar por `FunDirEmail`.
+            return await ServicioVinculos.obtenerUserId(funCod);
         } catch (error) {
-            console.error(`Error al listar o buscar usuarios de Slack por username (${username}):`, error);
+            console.error(`Error al buscar el usuario de Slack del funcionario ${funCod}:`, error);
             return null;
         }
     }
@@ -55,7 +57,7 @@ class ServicioSlack {
  */
 class ServicioNotificaciones {
     /**
-     * Obtiene los detalles de una tarea específica por su ID.
+     * Obtiene los detalles de una tarea específica por su ID, junto con el área (`TrabAreId`) del asignado.
      * @param {number} tarSec - El ID secuencial de la tarea.
      * @returns {Promise<Object|null>} Un objeto con los datos de la tarea o `null` si no se encuentra.
      */
@@ -64,7 +66,12 @@ class ServicioNotificaciones {
         try {
             const resultado = await pool.request()
                 .input('TarSec', sql.Int, tarSec)
-                .query('SELECT TarSec, TarDes, FunCod, SubFunCodTar FROM Tareas WHERE TarSec = @TarSec');
+                .query(`
+                    SELECT t.TarSec, t.TarDes, t.FunCod, t.SubFunCodTar, f.TrabAreId
+                    FROM Tareas t
+                    LEFT JOIN Funcionarios f ON f.FunCod = t.SubFunCodTar
+                    WHERE t.TarSec = @TarSec
+                `);
             if (resultado.recordset.length === 0) {
                 console.warn(`⚠️ No se encontró la tarea con TarSec: ${tarSec}`);
                 return null;
@@ -76,25 +83,6 @@ class ServicioNotificaciones {
         }
     }
 
-    /**
-     * Obtiene el `username` de Slack (almacenado en `FunDirEmail`) de un funcionario a partir de su código.
-     * @param {string} funCod - El código del funcionario.
-     * @returns {Promise<string|null>} El `username` del funcionario o `null` si no se encuentra.
-     */
-    static async obtenerUsernameDeFuncionario(funCod) {
-        if (!funCod) return null;
-        await poolConnect;
-        try {
-            const resultado = await pool.request()
-                .input('FunCod', sql.VarChar, funCod)
-                .query(`SELECT FunDirEmail FROM Funcionarios WHERE FunCod = @FunCod AND FunEst = 'A' AND FunDirEmail IS NOT NULL`);
-            return resultado.recordset.length > 0 ? resultado.recordset[0].FunDirEmail : null;
-        } catch (error) {
-            console.error('Error al obtener username del funcionario:', error);
-            throw new Error('No se pudo obtener el username del funcionario.');
-        }
-    }
-
     /**
      * Obtiene el nombre completo de un funcionario a partir de su código.
      * @param {string} funCod - El código del funcionario.
@@ -115,75 +103,403 @@ class ServicioNotificaciones {
     }
 }
 
+/**
+ * @class ConstructorMensajesTarea
+ * @description Construye la notificación de una tarea con Block Kit: descripción, creador y asignado,
+ * más el botón para abrirla en el CRM.
+ */
+class ConstructorMensajesTarea {
+    /**
+     * Construye la URL de la tarea en el CRM a partir de `CRM_URL_TAREA` (ej. `https://crm.empresa.com/tarea?{TarSec}`).
+     * @param {number} tarSec - El ID de la tarea.
+     * @returns {string|null} La URL o `null` si no está configurada.
+     */
+    static construirUrlCrm(tarSec) {
+        const plantilla = process.env.CRM_URL_TAREA;
+        return plantilla ? plantilla.replace('{TarSec}', encodeURIComponent(tarSec)) : null;
+    }
+
+    /**
+     * Construye los bloques de la notificación.
+     * @param {string} titulo - Texto del encabezado (ej. "*Ana* te asignó una tarea").
+     * @param {Object} tarea - Resultado de `ServicioNotificaciones.obtenerTareaPorId`.
+     * @param {{creador: string, asignado: string}} nombres - Nombres del creador y del asignado.
+     * @returns {Array<Object>} Bloques de Slack.
+     */
+    static construir(titulo, tarea, nombres) {
+        const descripcion = (tarea.TarDes || '').trim() || '_Sin descripción_';
+        const bloques = [
+            { type: 'section', text: { type: 'mrkdwn', text: titulo } },
+            { type: 'section', text: { type: 'mrkdwn', text: `*Tarea #${tarea.TarSec}*\n${descripcion.length > 2800 ? `${descripcion.slice(0, 2800)}…` : descripcion}` } },
+            { type: 'section', fields: [
+                { type: 'mrkdwn', text: `*Creador:*\n${nombres.creador}` },
+                { type: 'mrkdwn', text: `*Asignado:*\n${nombres.asignado}` }
+            ] }
+        ];
+
+        const urlCrm = this.construirUrlCrm(tarea.TarSec);
+        if (urlCrm) {
+            bloques.push({ type: 'actions', elements: [{ type: 'button', action_id: 'tarea_abrir_crm', text: { type: 'plain_text', text: '🔗 Abrir en CRM' }, url: urlCrm }] });
+        }
+        return bloques;
+    }
+}
+
+/**
+ * @function crearErrorSolicitud
+ * @description Crea un error causado por la solicitud de GeneXus (no por el bot). El endpoint responde con `codigoHttp`.
+ * @param {string} mensaje - El mensaje para el sistema externo.
+ * @param {number} [codigoHttp=400] - El código HTTP de la respuesta.
+ * @returns {Error} El error con la propiedad `codigoHttp`.
+ */
+const crearErrorSolicitud = (mensaje, codigoHttp = 400) => Object.assign(new Error(mensaje), { codigoHttp });
+
+/**
+ * @function escaparTexto
+ * @description Escapa los caracteres de control de mrkdwn en un texto libre recibido de GeneXus (ej. un comentario).
+ * @param {string} texto - El texto recibido.
+ * @returns {string} El texto seguro para un bloque de Slack.
+ */
+const escaparTexto = (texto) => String(texto).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+
+/**
+ * @constant {Object.<string, Function>} DESTINATARIOS_TAREA
+ * @description Cómo obtener el `FunCod` de cada tipo de destinatario a partir de la tarea y de los datos del evento.
+ * `observadores` puede traer varios códigos (arreglo o separados por comas).
+ */
+const DESTINATARIOS_TAREA = {
+    creador: (tarea) => [tarea.FunCod],
+    asignado: (tarea) => [tarea.SubFunCodTar],
+    asignadoAnterior: (tarea, datos) => [datos.asignadoAnterior],
+    observadores: (tarea, datos) => Array.isArray(datos.observadores) ? datos.observadores : String(datos.observadores || '').split(',')
+};
+
+/**
+ * @constant {Map<string, Object>} eventosTarea
+ * @description Eventos de tarea registrados con `RegistroEventosTarea.registrar`, por nombre.
+ */
+const eventosTarea = new Map();
+
+/**
+ * @class RegistroEventosTarea
+ * @description Registro de los eventos del ciclo de vida de una tarea que GeneXus puede notificar.
+ * Cada evento define a quién se avisa, qué datos necesita y cómo se escribe el mensaje, así que
+ * un evento nuevo solo necesita una llamada a `registrar`.
+ */
+class RegistroEventosTarea {
+    /**
+     * Registra (o reemplaza) un evento.
+     * @param {string} nombre - El nombre del evento, tal como llega en la URL (ej. 'Reasignacion').
+     * @param {Object} definicion - La definición del evento.
+     * @param {Array<string>} definicion.destinatarios - Claves de `DESTINATARIOS_TAREA` a notificar.
+     * @param {Function} definicion.plantilla - Recibe `{ tarea, nombres, datos, rol }` y devuelve `{ titulo, texto }`.
+     * @param {Function} [definicion.plantillaCanal] - Igual que `plantilla`, para el canal del área. Por defecto
+     * se usa `plantilla` con el rol `canal` (sirve cuando el mensaje no le habla a un destinatario en particular).
+     * @param {Array<string>} [definicion.requiere=[]] - Datos obligatorios del cuerpo de la solicitud.
+     */
+    static registrar(nombre, { destinatarios, plantilla, plantillaCanal, requiere = [] }) {
+        const desconocidos = destinatarios.filter(rol => !DESTINATARIOS_TAREA[rol]);
+        if (desconocidos.length > 0) {
+            throw new Error(`Destinatarios desconocidos en el evento ${nombre}: ${desconocidos.join(', ')}.`);
+        }
+        eventosTarea.set(nombre, { destinatarios, plantilla, plantillaCanal: plantillaCanal || plantilla, requiere });
+    }
+
+    /**
+     * Obtiene la definición de un evento.
+     * @param {string} nombre - El nombre del evento.
+     * @returns {Object} La definición del evento.
+     * @throws {Error} Con `codigoHttp` 400 si el evento no está registrado.
+     */
+    static obtener(nombre) {
+        const evento = eventosTarea.get(nombre);
+        if (!evento) {
+            throw crearErrorSolicitud(`El evento "${nombre}" no es válido. Eventos disponibles: ${this.listar().join(', ')}.`);
+        }
+        return evento;
+    }
+
+    /**
+     * Lista los nombres de los eventos registrados.
+     * @returns {Array<string>} Los nombres de los eventos.
+     */
+    static listar() {
+        return [...eventosTarea.keys()];
+    }
+
+    /**
+     * Resuelve los funcionarios a notificar. Cada funcionario recibe un solo mensaje (con el primer rol
+     * en que aparece) y nunca se notifica a quien originó el evento (`datos.autor`).
+     * @param {Object} evento - La definición del evento.
+     * @param {Object} tarea - La tarea.
+     * @param {Object} datos - Los datos del evento.
+     * @returns {Array<{funCod: string, rol: string}>} Los destinatarios.
+     */
+    static resolverDestinatarios(evento, tarea, datos) {
+        const vistos = new Set(datos.autor ? [ServicioVinculos.normalizar(datos.autor)] : []);
+        const destinatarios = [];
+        evento.destinatarios.forEach(rol => {
+            DESTINATARIOS_TAREA[rol](tarea, datos)
+                .filter(funCod => funCod && String(funCod).trim())
+                .forEach(funCod => {
+                    const clave = ServicioVinculos.normalizar(funCod);
+                    if (vistos.has(clave)) return;
+                    vistos.add(clave);
+                    destinatarios.push({ funCod: clave, rol });
+                });
+        });
+        return destinatarios;
+    }
+}
+
+// Eventos que GeneXus puede notificar. `NotificarAsignado` y `NotificarCreador` son los originales del endpoint.
+RegistroEventosTarea.registrar('NotificarAsignado', {
+    destinatarios: ['asignado'],
+    plantilla: ({ tarea, nombres }) => ({
+        titulo: `👋 ¡Hola! *${nombres.creador}* te asignó una tarea.`,
+        texto: `${nombres.creador} te asignó la tarea ${tarea.TarSec}: ${(tarea.TarDes || '').trim()}`
+    }),
+    plantillaCanal: ({ tarea, nombres }) => ({
+        titulo: `🆕 *${nombres.creador}* asignó una tarea a *${nombres.asignado}*.`,
+        texto: `${nombres.creador} asignó la tarea ${tarea.TarSec} a ${nombres.asignado}`
+    })
+});
+RegistroEventosTarea.registrar('NotificarCreador', {
+    destinatarios: ['creador'],
+    plantilla: ({ tarea, nombres }) => ({
+        titulo: `👍 ¡Buenas noticias! *${nombres.asignado}* finalizó la tarea. Ya puedes verificarla.`,
+        texto: `${nombres.asignado} finalizó la tarea ${tarea.TarSec}`
+    }),
+    plantillaCanal: ({ tarea, nombres }) => ({
+        titulo: `✅ *${nombres.asignado}* finalizó la tarea.`,
+        texto: `${nombres.asignado} finalizó la tarea ${tarea.TarSec}`
+    })
+});
+RegistroEventosTarea.registrar('Reasignacion', {
+    destinatarios: ['asignado', 'asignadoAnterior'],
+    requiere: ['asignadoAnterior'],
+    plantilla: ({ tarea, nombres, rol }) => rol === 'asignado'
+        ? { titulo: `🔀 Te reasignaron una tarea que tenía *${nombres.asignadoAnterior}*.`, texto: `Te reasignaron la tarea ${tarea.TarSec}` }
+        : { titulo: `🔀 La tarea se reasignó a *${nombres.asignado}*. Ya no está a tu cargo.`, texto: `La tarea ${tarea.TarSec} se reasignó a ${nombres.asignado}` },
+    plantillaCanal: ({ tarea, nombres }) => ({
+        titulo: `🔀 La tarea pasó de *${nombres.asignadoAnterior}* a *${nombres.asignado}*.`,
+        texto: `La tarea ${tarea.TarSec} se reasignó a ${nombres.asignado}`
+    })
+});
+RegistroEventosTarea.registrar('CambioVencimiento', {
+    destinatarios: ['asignado', 'observadores'],
+    plantilla: ({ tarea, datos }) => ({
+        titulo: `📅 Cambió la fecha de vencimiento de la tarea${datos.vencimientoAnterior ? ` (antes: ${escaparTexto(datos.vencimientoAnterior)})` : ''}.`,
+        texto: `Cambió el vencimiento de la tarea ${tarea.TarSec}`
+    })
+});
+RegistroEventosTarea.registrar('Comentario', {
+    destinatarios: ['creador', 'asignado', 'observadores'],
+    requiere: ['comentario'],
+    plantilla: ({ tarea, nombres, datos }) => ({
+        titulo: `💬 *${nombres.autor || 'Alguien'}* comentó la tarea:\n>${escaparTexto(datos.comentario).slice(0, 2000).replace(/\n/g, '\n>')}`,
+        texto: `${nombres.autor || 'Alguien'} comentó la tarea ${tarea.TarSec}`
+    })
+});
+RegistroEventosTarea.registrar('Reapertura', {
+    destinatarios: ['asignado', 'observadores'],
+    plantilla: ({ tarea, nombres }) => ({
+        titulo: `🔁 *${nombres.autor || nombres.creador}* reabrió la tarea.`,
+        texto: `Se reabrió la tarea ${tarea.TarSec}`
+    })
+});
+RegistroEventosTarea.registrar('Cancelacion', {
+    destinatarios: ['asignado', 'observadores'],
+    plantilla: ({ tarea, nombres, datos }) => ({
+        titulo: `🚫 *${nombres.autor || nombres.creador}* canceló la tarea.${datos.motivo ? `\n*Motivo:* ${escaparTexto(datos.motivo)}` : ''}`,
+        texto: `Se canceló la tarea ${tarea.TarSec}`
+    })
+});
+
 /**
  * @class NotifyTasksFunction
  * @description Clase principal que orquesta la lógica de notificación.
- * Es invocada desde el endpoint de `botCore.js` cuando GeneXus realiza una llamada.
+ * El endpoint de `botCore.js` valida y encola cada llamada de GeneXus (`encolar`), y el trabajador de
+ * `ColaNotificaciones` la entrega con `execute`, reintentando lo que falle.
  */
 class NotifyTasksFunction {
     /**
-     * Ejecuta el proceso de notificación.
-     * @param {string} vaDirigidoA - Define el tipo de notificación ('NotificarAsignado' o 'NotificarCreador').
+     * Valida un evento antes de encolarlo, para responder a GeneXus de inmediato si la solicitud está mal.
+     * @param {string} evento - El evento a notificar (ver `RegistroEventosTarea.listar()`).
+     * @param {number|string} tarSec - El ID de la tarea.
+     * @param {Object} datos - Datos adicionales del evento.
+     * @returns {Object} La definición del evento.
+     * @throws {Error} Con `codigoHttp` 400 si el evento no existe, faltan datos o el ID no es numérico.
+     */
+    static validar(evento, tarSec, datos) {
+        const definicion = RegistroEventosTarea.obtener(evento);
+        const faltantes = definicion.requiere.filter(campo => !datos[campo]);
+        if (faltantes.length > 0) {
+            throw crearErrorSolicitud(`El evento "${evento}" requiere en el cuerpo: ${faltantes.join(', ')}.`);
+        }
+        if (!/^\d+$/.test(String(tarSec))) {
+            throw crearErrorSolicitud(`El ID de tarea "${tarSec}" no es válido.`);
+        }
+        return definicion;
+    }
+
+    /**
+     * Valida y guarda una notificación en la cola persistente. Si ya existe una con el mismo evento,
+     * `TarSec` y timestamp (un reintento de GeneXus), se devuelve la existente sin volver a enviarla.
+     * @param {string} evento - El evento a notificar.
+     * @param {number|string} tarSec - El ID de la tarea.
+     * @param {Object} datos - Datos adicionales del evento.
+     * @param {number|string} timestamp - El momento del evento, parte de la clave de idempotencia (obligatorio).
+     * @returns {Promise<{notificacion: Object, duplicada: boolean}>} La notificación encolada.
+     * @throws {Error} Con `codigoHttp` 400 si el evento, los datos, el `TarSec` o el `timestamp` no son válidos.
+     */
+    static async encolar(evento, tarSec, datos, timestamp) {
+        this.validar(evento, tarSec, datos);
+        if (timestamp === undefined || timestamp === null || String(timestamp).trim() === '') {
+            throw crearErrorSolicitud('Falta el `timestamp` del evento en el cuerpo de la solicitud.', 400);
+        }
+        return ColaNotificaciones.encolar({ evento, tarSec: parseInt(tarSec, 10), datos, timestamp });
+    }
+
+    /**
+     * Entrega una notificación de un evento de la tarea. La invoca el trabajador de `ColaNotificaciones`.
+     * @param {string} evento - El evento a notificar (ver `RegistroEventosTarea.listar()`), ej. 'NotificarAsignado'.
      * @param {number} tarSec - El ID de la tarea a notificar.
-     * @returns {Promise<string>} Un mensaje indicando el resultado de la operación.
+     * @param {Object} [datos={}] - Datos adicionales del evento enviados en el cuerpo de la solicitud
+     * (`autor`, `asignadoAnterior`, `observadores`, `comentario`, `vencimientoAnterior`, `motivo`).
+     * @param {Array<string>} [omitidos=[]] - `FunCod` que ya recibieron la notificación en un intento anterior.
+     * @returns {Promise<{enviados: Array<string>, sinVinculo: Array<string>, fallidos: Array<{funCod: string, motivo: string}>}>}
+     * El resultado por destinatario.
      */
-    async execute(vaDirigidoA, tarSec) {
-        // 1. Obtener la información de la tarea.
+    async execute(evento, tarSec, datos = {}, omitidos = []) {
+        // 1. Validar el evento, los datos que requiere y el ID de la tarea antes de consultar nada.
+        const definicion = NotifyTasksFunction.validar(evento, tarSec, datos);
+
+        // 2. Obtener la información de la tarea y los nombres de las personas involucradas.
         const tarea = await ServicioNotificaciones.obtenerTareaPorId(tarSec);
         if (!tarea) {
-            throw new Error(`La tarea con ID ${tarSec} no existe.`);
+            throw crearErrorSolicitud(`La tarea con ID ${tarSec} no existe.`, 404);
         }
+        const nombres = {
+            creador: await ServicioNotificaciones.obtenerNombreDeFuncionario(tarea.FunCod),
+            asignado: await ServicioNotificaciones.obtenerNombreDeFuncionario(tarea.SubFunCodTar),
+            ...(datos.autor ? { autor: await ServicioNotificaciones.obtenerNombreDeFuncionario(datos.autor) } : {}),
+            ...(datos.asignadoAnterior ? { asignadoAnterior: await ServicioNotificaciones.obtenerNombreDeFuncionario(datos.asignadoAnterior) } : {})
+        };
 
-        let targetFunCod = null;
-        let mensaje = "";
-
-        // 2. Determinar el destinatario y el contenido del mensaje según el tipo de notificación.
-        if (vaDirigidoA === 'NotificarAsignado') {
-            // Notificación para el usuario a quien se le asignó la tarea.
-            targetFunCod = tarea.SubFunCodTar; // El destinatario es el funcionario asignado.
-            const nombreCreador = await ServicioNotificaciones.obtenerNombreDeFuncionario(tarea.FunCod);
-            mensaje = `👋 ¡Hola! *${nombreCreador}* te asignó la tarea con ID *${tarSec}*. Por favor, revísala en el sistema.`;
-        } else if (vaDirigidoA === 'NotificarCreador') {
-            // Notificación para el usuario que creó la tarea.
-            targetFunCod = tarea.FunCod; // El destinatario es el funcionario creador.
-            const nombreAsignado = await ServicioNotificaciones.obtenerNombreDeFuncionario(tarea.SubFunCodTar);
-            mensaje = `👍 ¡Buenas noticias! *${nombreAsignado}* finalizó la tarea con ID *${tarSec}*. Ya puedes verificarla.`;
-        } else {
-            throw new Error(`El parámetro 'vaDirigidoA' ("${vaDirigidoA}") no es válido.`);
-        }
+        // 3. Determinar los destinatarios del evento que todavía no lo recibieron.
+        const destinatarios = RegistroEventosTarea.resolverDestinatarios(definicion, tarea, datos)
+            .filter(({ funCod }) => !omitidos.includes(funCod));
+
+        // 4. Enviar a cada destinatario su mensaje directo, según su rol en el evento.
+        const resultado = { enviados: [], sinVinculo: [], fallidos: [] };
+        for (const { funCod, rol } of destinatarios) {
+            const slackUserId = await ServicioSlack.obtenerIdUsuarioPorFuncionario(funCod);
+            if (!slackUserId) {
+                console.warn(`⚠️ El funcionario ${funCod} no está vinculado a un usuario de Slack.`);
+                resultado.sinVinculo.push(funCod);
+                continue;
+            }
 
-        if (!targetFunCod) {
-            return `La tarea ${tarSec} no tiene un destinatario válido para la acción '${vaDirigidoA}'.`;
+            const { titulo, texto } = definicion.plantilla({ tarea, nombres, datos, rol });
+            try {
+                await ColaEnvios.conReintentos(() => slackClient.chat.postMessage({
+                    channel: slackUserId, // El ID del canal de DM es el mismo que el ID de usuario.
+                    text: texto,
+                    blocks: ConstructorMensajesTarea.construir(titulo, tarea, nombres)
+                }));
+                resultado.enviados.push(funCod);
+            } catch(err) {
+                // Se sigue con los demás destinatarios; la cola reintenta solo los que fallaron.
+                console.error(`Error al enviar mensaje a ${slackUserId}: ${err.data ? err.data.error : err.message}`);
+                resultado.fallidos.push({ funCod, motivo: ColaEnvios.describirError(err) });
+            }
         }
-        
-        // 3. Obtener el `username` de Slack del funcionario destinatario desde la base de datos.
-        const usernameSlack = await ServicioNotificaciones.obtenerUsernameDeFuncionario(targetFunCod);
-        if (!usernameSlack) {
-            console.warn(`⚠️ No se encontró un username de Slack en la BD para el funcionario ${targetFunCod}.`);
-            return `No se encontró el username de Slack para el funcionario ${targetFunCod}.`;
+
+        // 5. Publicar el evento en el hilo de la tarea o, si aún no tiene, en el canal de su área.
+        if (!omitidos.includes(DESTINATARIO_CANAL)) {
+            try {
+                if (await NotifyTasksFunction.publicarEnCanal(definicion, tarea, nombres, datos)) {
+                    resultado.enviados.push(DESTINATARIO_CANAL);
+                }
+            } catch(err) {
+                console.error(`Error al publicar la tarea ${tarSec} en el canal de su área: ${err.data ? err.data.error : err.message}`);
+                resultado.fallidos.push({ funCod: DESTINATARIO_CANAL, motivo: ColaEnvios.describirError(err) });
+            }
         }
 
-        // 4. Usar el `username` para encontrar el ID de usuario de Slack.
-        const slackUserId = await ServicioSlack.obtenerIdUsuarioPorUsername(usernameSlack);
-        if (!slackUserId) {
-            console.warn(`⚠️ No se encontró un usuario en Slack con el username ${usernameSlack} (del Funcionario: ${targetFunCod}).`);
-            return `No se encontró el usuario de Slack correspondiente al funcionario ${targetFunCod}.`;
+        return resultado;
+    }
+
+    /**
+     * Publica un evento en el canal del área del asignado (ver `ServicioCanalesArea`). El primer evento de la
+     * tarea publica su tarjeta; los siguientes responden en el hilo de esa tarjeta y la actualizan para que
+     * muestre el último evento. El hilo sigue en su canal aunque la tarea se reasigne a
+     * otra área, para no partir la historia de la tarea; si ese canal ya no está
+     * disponible, el hilo se olvida y la tarjeta se publica de nuevo en el canal actual del área.
+     * Una vez publicado el mensaje, la entrega al canal cuenta como hecha: si después falla guardar el hilo
+     * o actualizar la tarjeta, solo se registra, para que el reintento de la cola no duplique el mensaje.
+     * @param {Object} definicion - La definición del evento.
+     * @param {Object} tarea - La tarea (incluye `TrabAreId`).
+     * @param {Object} nombres - Los nombres de las personas involucradas.
+     * @param {Object} datos - Los datos del evento.
+     * @returns {Promise<boolean>} `true` si se publicó, `false` si la tarea no tiene hilo y su área no tiene canal.
+     */
+    static async publicarEnCanal(definicion, tarea, nombres, datos) {
+        const { titulo, texto } = definicion.plantillaCanal({ tarea, nombres, datos, rol: 'canal' });
+        const tarjeta = ConstructorMensajesTarea.construir(titulo, tarea, nombres);
+
+        const hilo = ServicioCanalesArea.obtenerHilo(tarea.TarSec);
+        if (hilo) {
+            try {
+                await ColaEnvios.conReintentos(() => slackClient.chat.postMessage({
+                    channel: hilo.canal,
+                    thread_ts: hilo.ts,
+                    text: texto,
+                    blocks: [{ type: 'section', text: { type: 'mrkdwn', text: titulo } }]
+                }));
+            } catch (err) {
+                if (!err.data || !ERRORES_CANAL_INACCESIBLE.includes(err.data.error)) throw err;
+                console.warn(`⚠️ El hilo de la tarea ${tarea.TarSec} en ${hilo.canal} ya no está disponible (${err.data.error}); se publica en el canal actual del área.`);
+                await ServicioCanalesArea.olvidarHilo(tarea.TarSec);
+                return NotifyTasksFunction.publicarTarjeta(tarea, texto, tarjeta);
+            }
+
+            try {
+                await ServicioCanalesArea.guardarHilo(tarea.TarSec, hilo.canal, hilo.ts);
+                await slackClient.chat.update({ channel: hilo.canal, ts: hilo.ts, text: texto, blocks: tarjeta });
+            } catch (err) {
+                // El evento ya quedó en el hilo; la tarjeta solo se queda con el estado anterior.
+                console.warn(`⚠️ No se pudo actualizar la tarjeta de la tarea ${tarea.TarSec} en ${hilo.canal}: ${err.data ? err.data.error : err.message}`);
+            }
+            return true;
         }
-        
-        // 5. Enviar el mensaje directo al ID de usuario de Slack encontrado.
+
+        return NotifyTasksFunction.publicarTarjeta(tarea, texto, tarjeta);
+    }
+
+    /**
+     * Publica la tarjeta de una tarea en el canal de su área y guarda el mensaje como raíz de su hilo.
+     * @param {Object} tarea - La tarea.
+     * @param {string} texto - El texto del mensaje (notificaciones y accesibilidad).
+     * @param {Array<Object>} tarjeta - Los bloques de la tarjeta.
+     * @returns {Promise<boolean>} `true` si se publicó, `false` si el área no tiene canal.
+     */
+    static async publicarTarjeta(tarea, texto, tarjeta) {
+        const canal = ServicioCanalesArea.obtenerCanal(tarea.TrabAreId);
+        if (!canal) return false;
+
+        const respuesta = await ColaEnvios.conReintentos(() => slackClient.chat.postMessage({ channel: canal, text: texto, blocks: tarjeta }));
         try {
-            await slackClient.chat.postMessage({
-                channel: slackUserId, // El ID del canal de DM es el mismo que el ID de usuario.
-                text: mensaje
-            });
-        } catch(err) {
-            console.error(`Error al enviar mensaje a ${slackUserId}: ${err.data ? err.data.error : err.message}`);
-            throw new Error(`No se pudo enviar el mensaje de Slack al usuario ${slackUserId}.`);
+            await ServicioCanalesArea.guardarHilo(tarea.TarSec, canal, respuesta.ts);
+        } catch (err) {
+            // La tarjeta ya se publicó; sin el hilo guardado, el siguiente evento abre uno nuevo.
+            console.warn(`⚠️ No se pudo guardar el hilo de la tarea ${tarea.TarSec} en ${canal}: ${err.message}`);
         }
-        
-        return `Notificación para la tarea ${tarSec} enviada correctamente a ${targetFunCod}.`;
+        return true;
     }
 }
 
-// Exportar la clase para que pueda ser instanciada en `botCore.js`.
-module.exports = NotifyTasksFunction;
\ No newline at end of file
+// Exportar la clase para que pueda ser instanciada en `botCore.js` y el registro de eventos.
+module.exports = NotifyTasksFunction;
+module.exports.RegistroEventosTarea = RegistroEventosTarea;
@@ -0,0 +1,93 @@
+// Importar módulos nativos de Node.js para el manejo de archivos.
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * @constant {string} DIRECTORIO_DATOS
+ * @description Carpeta donde el bot guarda su configuración editable en tiempo de ejecución.
+ * Se puede cambiar con la variable de entorno `BOT_DATA_DIR`.
+ */
+const DIRECTORIO_DATOS = process.env.BOT_DATA_DIR || path.join(__dirname, '..', '..', 'data');
+
+/**
+ * @constant {Map<string, Object>} cache
+ * @description Copia en memoria de cada archivo ya leído, para no ir a disco en cada consulta.
+ */
+const cache = new Map();
+
+/**
+ * @constant {Map<string, Promise<void>>} escrituras
+ * @description Última escritura pendiente de cada almacén. Las escrituras de un mismo archivo se
+ * encadenan para que dos envíos simultáneos no usen el archivo temporal al mismo tiempo.
+ */
+const escrituras = new Map();
+
+/**
+ * @class AlmacenJson
+ * @description Persistencia sencilla en archivos JSON para la configuración propia del bot
+ * (datos que no pertenecen a las tablas del CRM y que los administradores modifican desde Slack).
+ */
+class AlmacenJson {
+  /**
+   * Obtiene la ruta absoluta del archivo de un almacén.
+   * @param {string} nombre - Nombre del almacén (ej. 'calendarios').
+   * @returns {string} Ruta del archivo `.json`.
+   */
+  static obtenerRuta(nombre) {
+    return path.join(DIRECTORIO_DATOS, `${nombre}.json`);
+  }
+
+  /**
+   * Lee un almacén. Si el archivo no existe, devuelve una copia del valor por defecto.
+   * @param {string} nombre - Nombre del almacén.
+   * @param {Object} valorPorDefecto - Contenido inicial cuando el archivo aún no existe.
+   * @returns {Object} El contenido del almacén.
+   */
+  static leer(nombre, valorPorDefecto = {}) {
+    if (cache.has(nombre)) return cache.get(nombre);
+
+    const ruta = this.obtenerRuta(nombre);
+    let datos;
+    if (fs.existsSync(ruta)) {
+      try {
+        datos = JSON.parse(fs.readFileSync(ruta, 'utf8'));
+      } catch (error) {
+        throw new Error(`El archivo ${ruta} no contiene un JSON válido: ${error.message}`);
+      }
+    } else {
+      datos = JSON.parse(JSON.stringify(valorPorDefecto));
+    }
+
+    cache.set(nombre, datos);
+    return datos;
+  }
+
+  /**
+   * Guarda el contenido de un almacén en disco y actualiza la copia en memoria.
+   * @param {string} nombre - Nombre del almacén.
+   * @param {Object} datos - Contenido completo a guardar.
+   * @returns {Promise<void>}
+   */
+  static async guardar(nombre, datos) {
+    const anterior = escrituras.get(nombre) || Promise.resolve();
+    const escritura = anterior.catch(() => {}).then(async () => {
+      await fs.promises.mkdir(DIRECTORIO_DATOS, { recursive: true });
+      const ruta = this.obtenerRuta(nombre);
+      // Se escribe primero a un archivo temporal para no dejar el JSON a medias si el proceso se cae.
+      const rutaTemporal = `${ruta}.tmp`;
+      await fs.promises.writeFile(rutaTemporal, JSON.stringify(datos, null, 2), 'utf8');
+      await fs.promises.rename(rutaTemporal, ruta);
+      cache.set(nombre, datos);
+    });
+    escrituras.set(nombre, escritura);
+
+    try {
+      await escritura;
+    } finally {
+      if (escrituras.get(nombre) === escritura) escrituras.delete(nombre);
+    }
+  }
+}
+
+// Exportar la clase para que los servicios del bot compartan el mismo mecanismo de persistencia.
+module.exports = AlmacenJson;
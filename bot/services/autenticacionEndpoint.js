@@ -0,0 +1,168 @@
+// Importaciones de módulos necesarios.
+const crypto = require('crypto'); // Firmas HMAC y comparación en tiempo constante.
+
+/**
+ * @constant {number} VENTANA_POR_DEFECTO
+ * @description Segundos de diferencia aceptados entre `X-Crm-Timestamp` y la hora del servidor.
+ */
+const VENTANA_POR_DEFECTO = 300;
+
+/**
+ * @constant {Map<string, number>} solicitudesUsadas
+ * @description Huellas de las solicitudes ya aceptadas (la firma, o la API key con el timestamp y la ruta)
+ * y el momento (ms) en que salen de la ventana. Cada huella solo se acepta una vez, así que repetir una
+ * solicitud capturada no vuelve a enviar la notificación.
+ */
+const solicitudesUsadas = new Map();
+
+/**
+ * @function crearErrorAutenticacion
+ * @description Crea un error de autenticación. El endpoint responde con `codigoHttp` sin ejecutar nada.
+ * @param {string} mensaje - El motivo (solo se registra en el log; al cliente se le responde un mensaje genérico).
+ * @param {number} [codigoHttp=401] - El código HTTP de la respuesta.
+ * @returns {Error} El error con la propiedad `codigoHttp`.
+ */
+const crearErrorAutenticacion = (mensaje, codigoHttp = 401) => Object.assign(new Error(mensaje), { codigoHttp });
+
+/**
+ * @function compararSeguro
+ * @description Compara dos textos en tiempo constante para no filtrar información por el tiempo de respuesta.
+ * @param {string} a - El valor recibido.
+ * @param {string} b - El valor esperado.
+ * @returns {boolean} `true` si son iguales.
+ */
+const compararSeguro = (a, b) => {
+  const bufferA = Buffer.from(String(a));
+  const bufferB = Buffer.from(String(b));
+  return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+};
+
+/**
+ * @class ServicioAutenticacionEndpoint
+ * @description Protege el endpoint de notificaciones de GeneXus. Cada solicitud debe venir de una IP
+ * permitida (si hay lista) y traer una firma HMAC o la API key, junto con un timestamp dentro de la
+ * ventana de tiempo. Se configura con variables de entorno:
+ * - `NOTIFICACIONES_SECRETO`: secreto compartido para la firma HMAC-SHA256 (recomendado).
+ * - `NOTIFICACIONES_API_KEY`: alternativa más simple, enviada en `X-Api-Key`.
+ * - `NOTIFICACIONES_VENTANA_SEGUNDOS`: ventana contra repeticiones (300 por defecto).
+ * - `NOTIFICACIONES_IPS_PERMITIDAS`: IPs separadas por comas (vacío = cualquier IP).
+ * - `NOTIFICACIONES_TRUST_PROXY`: proxies de confianza para leer la IP real del cliente (ver `obtenerConfianzaProxy`).
+ * Si no hay ni secreto ni API key, el endpoint rechaza todas las solicitudes.
+ */
+class ServicioAutenticacionEndpoint {
+  /**
+   * Calcula la firma esperada de una solicitud: HMAC-SHA256 de `timestamp:ruta:cuerpo` en hexadecimal.
+   * La ruta se incluye porque el evento y el `TarSec` viajan en la URL.
+   * @param {string} secreto - El secreto compartido.
+   * @param {string} timestamp - El valor de `X-Crm-Timestamp` (segundos Unix).
+   * @param {string} ruta - La ruta con su query string (ej. `/api/notificar-tareas/NotificarAsignado/15`).
+   * @param {string} cuerpo - El cuerpo crudo de la solicitud (vacío si no tiene).
+   * @returns {string} La firma con el prefijo `sha256=`.
+   */
+  static calcularFirma(secreto, timestamp, ruta, cuerpo) {
+    return `sha256=${crypto.createHmac('sha256', secreto).update(`${timestamp}:${ruta}:${cuerpo}`).digest('hex')}`;
+  }
+
+  /**
+   * Obtiene la lista de IPs permitidas.
+   * @returns {Array<string>} Las IPs, o un arreglo vacío si se acepta cualquiera.
+   */
+  static obtenerIpsPermitidas() {
+    return (process.env.NOTIFICACIONES_IPS_PERMITIDAS || '').split(',').map(ip => ip.trim()).filter(Boolean);
+  }
+
+  /**
+   * Obtiene el valor de `trust proxy` de Express a partir de `NOTIFICACIONES_TRUST_PROXY`, para que `req.ip`
+   * sea la IP del cliente (tomada de `X-Forwarded-For`) y no la del proxy:
+   * - `true`: confía en cualquier proxy (solo si el bot no es accesible sin pasar por el proxy).
+   * - Un número: cantidad de proxies delante del bot (ej. `1`).
+   * - IPs o subredes separadas por comas (ej. `10.0.0.2` o `loopback, 10.0.0.0/8`): los proxies de confianza.
+   * @returns {boolean|number|string} El valor para `app.set('trust proxy', ...)` (`false` si no está configurado).
+   */
+  static obtenerConfianzaProxy() {
+    const valor = (process.env.NOTIFICACIONES_TRUST_PROXY || '').trim();
+    if (!valor || valor === 'false') return false;
+    if (valor === 'true') return true;
+    return /^\d+$/.test(valor) ? parseInt(valor, 10) : valor;
+  }
+
+  /**
+   * Normaliza la IP de origen (Express reporta las IPv4 como `::ffff:10.0.0.5`).
+   * @param {string} ip - La IP de la solicitud.
+   * @returns {string} La IP sin el prefijo IPv6 de compatibilidad.
+   */
+  static normalizarIp(ip) {
+    return String(ip || '').replace(/^::ffff:/, '');
+  }
+
+  /**
+   * Verifica una solicitud al endpoint. No devuelve nada si es válida.
+   * @param {Object} req - La solicitud de Express. `req.cuerpoCrudo` es el cuerpo sin interpretar.
+   * @throws {Error} Con `codigoHttp` 403 (IP no permitida) o 401 (credenciales, timestamp o firma inválidos).
+   * Si la solicitud es válida pero repetida, el error trae además `repetida: true`.
+   */
+  static verificar(req) {
+    const ip = this.normalizarIp(req.ip);
+    const ipsPermitidas = this.obtenerIpsPermitidas();
+    if (ipsPermitidas.length > 0 && !ipsPermitidas.includes(ip)) {
+      throw crearErrorAutenticacion(`La IP ${ip} no está en NOTIFICACIONES_IPS_PERMITIDAS.`, 403);
+    }
+
+    const secreto = process.env.NOTIFICACIONES_SECRETO;
+    const apiKey = process.env.NOTIFICACIONES_API_KEY;
+    if (!secreto && !apiKey) {
+      throw crearErrorAutenticacion('El endpoint no tiene credenciales configuradas (NOTIFICACIONES_SECRETO o NOTIFICACIONES_API_KEY).');
+    }
+
+    // El timestamp se exige con ambos métodos; con la firma, además, queda protegido contra modificaciones.
+    const timestamp = req.get('X-Crm-Timestamp');
+    const ventana = parseInt(process.env.NOTIFICACIONES_VENTANA_SEGUNDOS, 10) || VENTANA_POR_DEFECTO;
+    if (!/^\d+$/.test(timestamp || '') || Math.abs(Date.now() / 1000 - parseInt(timestamp, 10)) > ventana) {
+      throw crearErrorAutenticacion(`Timestamp ausente o fuera de la ventana de ${ventana}s (${timestamp || 'sin X-Crm-Timestamp'}).`);
+    }
+
+    const firma = req.get('X-Crm-Firma');
+    if (secreto && firma) {
+      const cuerpo = req.cuerpoCrudo ? req.cuerpoCrudo.toString('utf8') : '';
+      if (!compararSeguro(firma, this.calcularFirma(secreto, timestamp, req.originalUrl, cuerpo))) {
+        throw crearErrorAutenticacion('La firma X-Crm-Firma no coincide.');
+      }
+      this.registrarSolicitud(firma, ventana);
+      return;
+    }
+
+    const apiKeyRecibida = req.get('X-Api-Key');
+    if (apiKey && apiKeyRecibida) {
+      if (!compararSeguro(apiKeyRecibida, apiKey)) {
+        throw crearErrorAutenticacion('La API key X-Api-Key no es válida.');
+      }
+      // La API key es siempre la misma, así que lo que no se puede repetir es su uso con el mismo timestamp y ruta.
+      this.registrarSolicitud(`api-key:${crypto.createHash('sha256').update(`${apiKey}:${timestamp}:${req.originalUrl}`).digest('hex')}`, ventana);
+      return;
+    }
+
+    throw crearErrorAutenticacion(`La solicitud no trae ${secreto ? 'X-Crm-Firma' : 'X-Api-Key'}.`);
+  }
+
+  /**
+   * Registra una solicitud aceptada y rechaza las repetidas dentro de la ventana.
+   * @param {string} huella - La firma recibida, o la huella de la API key con el timestamp y la ruta.
+   * @param {number} ventana - La ventana en segundos.
+   * @throws {Error} Con `codigoHttp` 401 y `repetida: true` si la solicitud ya se recibió.
+   */
+  static registrarSolicitud(huella, ventana) {
+    const ahora = Date.now();
+    solicitudesUsadas.forEach((expira, clave) => {
+      if (expira < ahora) solicitudesUsadas.delete(clave);
+    });
+    if (solicitudesUsadas.has(huella)) {
+      // La solicitud es auténtica pero repetida: `repetida` permite que un endpoint idempotente la procese de nuevo.
+      throw Object.assign(crearErrorAutenticacion('La solicitud ya fue recibida (firma o API key repetida con el mismo timestamp y ruta).'), { repetida: true });
+    }
+    // La solicitud sigue siendo válida hasta `ventana` segundos después de su timestamp; se guarda el doble por seguridad.
+    solicitudesUsadas.set(huella, ahora + ventana * 2 * 1000);
+  }
+}
+
+// Exportar la clase para proteger el endpoint de `botCore.js`.
+module.exports = ServicioAutenticacionEndpoint;
@@ -0,0 +1,207 @@
+// Importaciones de módulos necesarios.
+const { pool, poolConnect } = require('../../db/conection.js'); // Conexión a la base de datos.
+const sql = require('mssql'); // Driver de SQL Server.
+const ServicioVinculos = require('./vinculos.js'); // Vínculos entre funcionarios y usuarios de Slack.
+
+/**
+ * @constant {Object.<string, {nombre: string, nivel: number}>} ROLES
+ * @description Roles disponibles. Un rol incluye los permisos de los roles de menor nivel.
+ */
+const ROLES = {
+  empleado: { nombre: 'Empleado', nivel: 1 },
+  lider: { nombre: 'Líder de área', nivel: 2 },
+  admin: { nombre: 'Administrador', nivel: 3 }
+};
+
+/**
+ * @class ServicioAutorizacion
+ * @description Centraliza los roles del bot (administrador, líder de área y empleado) y la verificación
+ * de permisos. El despachador de comandos de `botCore.js` la consulta antes de ejecutar cada comando.
+ */
+class ServicioAutorizacion {
+  /**
+   * Obtiene la configuración actual de roles desde las tablas `BotRoles` y `BotRolesComando`
+   * (ver `db/migraciones/001_roles_bot.sql`).
+   * @returns {Promise<{roles: Object.<string, string>, comandos: Object.<string, Array<string>>}>}
+   * `roles` es un mapa `FunCod -> rol` y `comandos` un mapa `comando -> FunCod[]`.
+   */
+  static async obtenerConfiguracion() {
+    await poolConnect;
+    const [roles, comandos] = await Promise.all([
+      pool.request().query('SELECT FunCod, Rol FROM BotRoles'),
+      pool.request().query('SELECT Comando, FunCod FROM BotRolesComando')
+    ]);
+    const configuracion = { roles: {}, comandos: {} };
+    roles.recordset.forEach(fila => {
+      configuracion.roles[String(fila.FunCod).trim().toUpperCase()] = fila.Rol.trim();
+    });
+    comandos.recordset.forEach(fila => {
+      const comando = fila.Comando.trim();
+      configuracion.comandos[comando] = [...(configuracion.comandos[comando] || []), String(fila.FunCod).trim().toUpperCase()];
+    });
+    return configuracion;
+  }
+
+  /**
+   * Obtiene el rol de un funcionario.
+   * @param {string|null} funCod - El código del funcionario (`null` si el usuario no es funcionario).
+   * @returns {Promise<string>} El rol (`admin`, `lider` o `empleado`).
+   */
+  static async obtenerRol(funCod) {
+    if (funCod === null || funCod === undefined) return 'empleado';
+    await poolConnect;
+    const resultado = await pool.request()
+      .input('funCod', sql.VarChar, String(funCod).trim().toUpperCase())
+      .query('SELECT Rol FROM BotRoles WHERE FunCod = @funCod');
+    return resultado.recordset.length > 0 ? resultado.recordset[0].Rol.trim() : 'empleado';
+  }
+
+  /**
+   * Asigna un rol a un funcionario. Asignar `empleado` equivale a revocar su rol.
+   * Para otorgar un rol, el funcionario debe existir y estar activo en `Funcionarios` (se acepta
+   * su `FunCod` o su usuario del CRM); revocar no lo exige, para poder limpiar códigos que ya no existen.
+   * La verificación del último administrador y el cambio se hacen en una transacción serializable, de modo
+   * que dos revocaciones simultáneas no puedan dejar el bot sin administradores.
+   * @param {string} funCod - El código (o el usuario del CRM) del funcionario.
+   * @param {string} rol - El rol a asignar.
+   * @returns {Promise<string>} El `FunCod` con el que quedó guardado el rol.
+   * @throws {Error} Si el rol no existe, el funcionario no existe o es el último administrador.
+   */
+  static async asignarRol(funCod, rol) {
+    if (!ROLES[rol]) {
+      throw new Error(`El rol "${rol}" no existe. Roles disponibles: ${Object.keys(ROLES).join(', ')}.`);
+    }
+    let clave = String(funCod).trim().toUpperCase();
+    if (rol !== 'empleado') {
+      const funcionario = await ServicioVinculos.buscarFuncionario(funCod);
+      if (!funcionario) {
+        throw new Error(`No se encontró un funcionario activo con código o usuario ${funCod}.`);
+      }
+      clave = String(funcionario.FunCod).trim().toUpperCase();
+    }
+
+    await poolConnect;
+    const transaccion = new sql.Transaction(pool);
+    await transaccion.begin(sql.ISOLATION_LEVEL.SERIALIZABLE);
+    try {
+      const administradores = await new sql.Request(transaccion)
+        .query(`SELECT FunCod FROM BotRoles WHERE Rol = 'admin'`);
+      const codigos = administradores.recordset.map(fila => String(fila.FunCod).trim().toUpperCase());
+      if (rol !== 'admin' && codigos.length === 1 && codigos[0] === clave) {
+        throw new Error('No se puede quitar el rol al último administrador.');
+      }
+
+      const solicitud = new sql.Request(transaccion)
+        .input('funCod', sql.VarChar, clave)
+        .input('rol', sql.VarChar, rol);
+      if (rol === 'empleado') {
+        await solicitud.query('DELETE FROM BotRoles WHERE FunCod = @funCod');
+      } else {
+        await solicitud.query(`
+          UPDATE BotRoles SET Rol = @rol, AsignadoEn = GETDATE() WHERE FunCod = @funCod;
+          IF @@ROWCOUNT = 0 INSERT INTO BotRoles (FunCod, Rol) VALUES (@funCod, @rol);
+        `);
+      }
+      await transaccion.commit();
+      return clave;
+    } catch (error) {
+      // Si el rollback también falla (ej. la conexión se cayó), se registra y se conserva el error original.
+      try {
+        await transaccion.rollback();
+      } catch (errorRollback) {
+        console.error('🚨 Error al revertir la asignación de rol:', errorRollback);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Agrega o quita un funcionario de la lista que limita un comando. Un comando sin funcionarios
+   * en su lista lo ejecuta cualquiera que tenga el rol que exige.
+   * @param {string} nombreComando - El nombre principal del comando (ej. 'crm-check-all-admin').
+   * @param {string} funCod - El código (o el usuario del CRM) del funcionario.
+   * @param {boolean} permitir - `true` para agregarlo a la lista, `false` para quitarlo.
+   * @returns {Promise<string>} El `FunCod` con el que quedó guardado.
+   * @throws {Error} Si se agrega un funcionario que no existe o no está activo.
+   */
+  static async asignarComando(nombreComando, funCod, permitir) {
+    let clave = String(funCod).trim().toUpperCase();
+    if (permitir) {
+      const funcionario = await ServicioVinculos.buscarFuncionario(funCod);
+      if (!funcionario) {
+        throw new Error(`No se encontró un funcionario activo con código o usuario ${funCod}.`);
+      }
+      clave = String(funcionario.FunCod).trim().toUpperCase();
+    }
+
+    await poolConnect;
+    const solicitud = pool.request()
+      .input('comando', sql.VarChar, nombreComando.trim().toLowerCase())
+      .input('funCod', sql.VarChar, clave);
+    if (permitir) {
+      await solicitud.query(`
+        IF NOT EXISTS (SELECT 1 FROM BotRolesComando WHERE Comando = @comando AND FunCod = @funCod)
+          INSERT INTO BotRolesComando (Comando, FunCod) VALUES (@comando, @funCod);
+      `);
+    } else {
+      await solicitud.query('DELETE FROM BotRolesComando WHERE Comando = @comando AND FunCod = @funCod');
+    }
+    return clave;
+  }
+
+  /**
+   * Obtiene el código de funcionario activo asociado a un usuario de Slack.
+   * Se usa el vínculo registrado en `ServicioVinculos`, igual que en los reportes.
+   * @param {string} userId - El ID del usuario en Slack.
+   * @returns {Promise<string|null>} El `FunCod` o `null` si no hay un funcionario asociado.
+   */
+  static async obtenerFunCodPorUsuarioSlack(userId) {
+    return ServicioVinculos.obtenerFunCod(userId);
+  }
+
+  /**
+   * Obtiene los funcionarios a los que está limitado un comando.
+   * @param {string} nombreComando - El nombre principal del comando (ej. 'crm-check-all-admin').
+   * @returns {Promise<Array<string>|null>} Los `FunCod` permitidos o `null` si basta con el rol.
+   */
+  static async obtenerFuncionariosComando(nombreComando) {
+    await poolConnect;
+    const resultado = await pool.request()
+      .input('comando', sql.VarChar, nombreComando)
+      .query('SELECT FunCod FROM BotRolesComando WHERE Comando = @comando');
+    return resultado.recordset.length > 0 ? resultado.recordset.map(fila => String(fila.FunCod).trim().toUpperCase()) : null;
+  }
+
+  /**
+   * Verifica si el usuario de Slack que ejecuta un comando tiene al menos el rol requerido y,
+   * si el comando está limitado a ciertos funcionarios, que sea uno de ellos.
+   * @param {string} userId - El ID del usuario en Slack.
+   * @param {string} rolRequerido - El rol mínimo (`empleado`, `lider` o `admin`).
+   * @param {string} [nombreComando] - El comando a ejecutar, para aplicar su lista de `BotRolesComando`.
+   * @returns {Promise<boolean>} `true` si está autorizado.
+   */
+  static async tieneRol(userId, rolRequerido, nombreComando) {
+    const permitidos = nombreComando ? await this.obtenerFuncionariosComando(nombreComando) : null;
+    if (ROLES[rolRequerido].nivel <= ROLES.empleado.nivel && !permitidos) return true;
+    const funCod = await this.obtenerFunCodPorUsuarioSlack(userId);
+    if (funCod === null) return false;
+    if (permitidos && !permitidos.includes(String(funCod).trim().toUpperCase())) return false;
+    return ROLES[await this.obtenerRol(funCod)].nivel >= ROLES[rolRequerido].nivel;
+  }
+
+  /**
+   * Construye el mensaje estándar de acceso denegado.
+   * @param {string} [rolRequerido='admin'] - El rol que exige el comando.
+   * @returns {Array<Object>} Bloques de Slack.
+   */
+  static construirMensajeSinPermisos(rolRequerido = 'admin') {
+    return [
+      { type: 'section', text: { type: 'mrkdwn', text: '⛔ *Acceso denegado*' } },
+      { type: 'section', text: { type: 'mrkdwn', text: `No tienes permisos para ejecutar este comando. Requiere el rol *${ROLES[rolRequerido].nombre}*.\n\nPor favor, contacta al servicio técnico si necesitas acceso.` } }
+    ];
+  }
+}
+
+// Exportar la clase y el catálogo de roles para el despachador y el comando de roles.
+module.exports = ServicioAutorizacion;
+module.exports.ROLES = ROLES;
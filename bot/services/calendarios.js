@@ -0,0 +1,204 @@
+// Importar utilidades de date-fns y los servicios de los que depende el calendario.
+const { format, isValid, parseISO } = require('date-fns');
+const AlmacenJson = require('./almacenJson.js');
+const ServicioFestivos = require('./festivos.js');
+
+/**
+ * @constant {string} NOMBRE_ALMACEN
+ * @description Nombre del archivo JSON (dentro de `data/`) donde se guardan los calendarios.
+ */
+const NOMBRE_ALMACEN = 'calendarios';
+
+/**
+ * @constant {Object} CONFIGURACION_INICIAL
+ * @description Contenido del almacén cuando todavía no existe el archivo.
+ * - `calendarioPorDefecto`: calendario de los funcionarios sin asignación explícita.
+ * - `calendarios`: definiciones por país/sede. `base` indica un calendario calculado (ej. 'CO')
+ *   y `festivos` agrega fechas fijas recurrentes (`MM-dd`) o de un año puntual (`yyyy-MM-dd`).
+ * - `asignaciones`: mapa `FunCod -> código de calendario`.
+ * - `diasEmpresa`: días no laborables decretados por la empresa. Si `calendarios` es `null` aplican a todos.
+ */
+const CONFIGURACION_INICIAL = {
+  calendarioPorDefecto: 'CO',
+  calendarios: {
+    CO: { nombre: 'Colombia', base: 'CO', festivos: [] }
+  },
+  asignaciones: {},
+  diasEmpresa: []
+};
+
+/**
+ * @constant {Object.<string, function(number): Array<Object>>} CALENDARIOS_CALCULADOS
+ * @description Generadores de los calendarios que se calculan por reglas en lugar de listarse a mano.
+ */
+const CALENDARIOS_CALCULADOS = {
+  CO: (año) => ServicioFestivos.obtenerFestivosDetallados(año)
+};
+
+/**
+ * @class ServicioCalendarios
+ * @description Administra los calendarios de festivos configurables: un calendario por país o sede,
+ * la asignación de cada funcionario a un calendario y los días no laborables propios de la empresa.
+ */
+class ServicioCalendarios {
+  /**
+   * Obtiene la configuración actual de calendarios.
+   * @returns {Object} El contenido del almacén de calendarios.
+   */
+  static obtenerConfiguracion() {
+    return AlmacenJson.leer(NOMBRE_ALMACEN, CONFIGURACION_INICIAL);
+  }
+
+  /**
+   * Valida que un texto sea una fecha real en formato `yyyy-MM-dd`.
+   * @param {string} fechaStr - El texto a validar.
+   * @returns {boolean} `true` si es una fecha válida.
+   */
+  static esFechaValida(fechaStr) {
+    return /^\d{4}-\d{2}-\d{2}$/.test(fechaStr || '') && isValid(parseISO(fechaStr));
+  }
+
+  /**
+   * Normaliza un código de funcionario para usarlo como clave del almacén.
+   * @param {string|number} funCod - El código del funcionario.
+   * @returns {string} El código sin espacios y en mayúsculas.
+   */
+  static normalizar(funCod) {
+    return String(funCod).trim().toUpperCase();
+  }
+
+  /**
+   * Obtiene el código del calendario asignado a un funcionario.
+   * @param {string} funCod - El código del funcionario.
+   * @returns {string} El código del calendario (ej. 'CO').
+   */
+  static obtenerCalendarioDeFuncionario(funCod) {
+    const configuracion = this.obtenerConfiguracion();
+    const codigo = configuracion.asignaciones[this.normalizar(funCod)] || configuracion.calendarioPorDefecto;
+    if (!configuracion.calendarios[codigo]) {
+      throw new Error(`El calendario "${codigo}" asignado al funcionario ${funCod} no existe.`);
+    }
+    return codigo;
+  }
+
+  /**
+   * Obtiene los festivos de un calendario para un año, incluyendo los días de la empresa.
+   * @param {string} codigoCalendario - El código del calendario.
+   * @param {number} año - El año a consultar.
+   * @returns {Array<{fecha: string, nombre: string, esDiaEmpresa: boolean}>} Festivos ordenados por fecha.
+   */
+  static obtenerFestivosDetallados(codigoCalendario, año) {
+    const configuracion = this.obtenerConfiguracion();
+    const calendario = configuracion.calendarios[codigoCalendario];
+    if (!calendario) {
+      throw new Error(`El calendario "${codigoCalendario}" no existe.`);
+    }
+
+    const festivos = [];
+    const generador = calendario.base ? CALENDARIOS_CALCULADOS[calendario.base] : null;
+    if (calendario.base && !generador) {
+      throw new Error(`El calendario "${codigoCalendario}" usa una base desconocida: ${calendario.base}.`);
+    }
+    if (generador) {
+      generador(año).forEach(({ fecha, nombre }) => festivos.push({ fecha, nombre, esDiaEmpresa: false }));
+    }
+
+    (calendario.festivos || []).forEach(({ fecha, nombre }) => {
+      // Las fechas `MM-dd` se repiten todos los años; las `yyyy-MM-dd` solo aplican a su año.
+      const fechaCompleta = fecha.length === 5 ? `${año}-${fecha}` : fecha;
+      if (fechaCompleta.startsWith(`${año}-`)) {
+        festivos.push({ fecha: fechaCompleta, nombre, esDiaEmpresa: false });
+      }
+    });
+
+    configuracion.diasEmpresa
+      .filter(dia => dia.fecha.startsWith(`${año}-`))
+      .filter(dia => !dia.calendarios || dia.calendarios.includes(codigoCalendario))
+      .forEach(({ fecha, nombre }) => festivos.push({ fecha, nombre, esDiaEmpresa: true }));
+
+    return festivos.sort((festivoA, festivoB) => festivoA.fecha.localeCompare(festivoB.fecha));
+  }
+
+  /**
+   * Obtiene las fechas no laborables de un funcionario dentro de un rango, según su calendario asignado.
+   * @param {string} funCod - El código del funcionario.
+   * @param {Date} fechaInicio - Inicio del rango (inclusive).
+   * @param {Date} fechaFin - Fin del rango (inclusive).
+   * @returns {Array<string>} Fechas únicas en formato `yyyy-MM-dd`.
+   */
+  static obtenerFestivos(funCod, fechaInicio, fechaFin) {
+    const codigoCalendario = this.obtenerCalendarioDeFuncionario(funCod);
+    const inicioStr = format(fechaInicio, 'yyyy-MM-dd');
+    const finStr = format(fechaFin, 'yyyy-MM-dd');
+
+    const fechas = new Set();
+    for (let año = fechaInicio.getFullYear(); año <= fechaFin.getFullYear(); año++) {
+      this.obtenerFestivosDetallados(codigoCalendario, año)
+        .filter(festivo => festivo.fecha >= inicioStr && festivo.fecha <= finStr)
+        .forEach(festivo => fechas.add(festivo.fecha));
+    }
+    return Array.from(fechas).sort();
+  }
+
+  /**
+   * Agrega un día no laborable de la empresa.
+   * @param {string} fecha - Fecha en formato `yyyy-MM-dd`.
+   * @param {string} nombre - Descripción del día (ej. 'Aniversario de la empresa').
+   * @param {Array<string>|null} [calendarios=null] - Calendarios a los que aplica; `null` para todos.
+   * @returns {Promise<void>}
+   */
+  static async agregarDiaEmpresa(fecha, nombre, calendarios = null) {
+    if (!this.esFechaValida(fecha)) {
+      throw new Error(`La fecha "${fecha}" no es válida. Usa el formato AAAA-MM-DD.`);
+    }
+    const configuracion = this.obtenerConfiguracion();
+    const desconocidos = (calendarios || []).filter(codigo => !configuracion.calendarios[codigo]);
+    if (desconocidos.length > 0) {
+      throw new Error(`Calendarios inexistentes: ${desconocidos.join(', ')}.`);
+    }
+    if (configuracion.diasEmpresa.some(dia => dia.fecha === fecha)) {
+      throw new Error(`Ya existe un día de la empresa registrado para ${fecha}.`);
+    }
+
+    configuracion.diasEmpresa.push({ fecha, nombre, calendarios });
+    configuracion.diasEmpresa.sort((diaA, diaB) => diaA.fecha.localeCompare(diaB.fecha));
+    await AlmacenJson.guardar(NOMBRE_ALMACEN, configuracion);
+  }
+
+  /**
+   * Elimina un día no laborable de la empresa.
+   * @param {string} fecha - Fecha en formato `yyyy-MM-dd`.
+   * @returns {Promise<boolean>} `true` si el día existía y se eliminó.
+   */
+  static async quitarDiaEmpresa(fecha) {
+    const configuracion = this.obtenerConfiguracion();
+    const cantidadInicial = configuracion.diasEmpresa.length;
+    configuracion.diasEmpresa = configuracion.diasEmpresa.filter(dia => dia.fecha !== fecha);
+    if (configuracion.diasEmpresa.length === cantidadInicial) return false;
+
+    await AlmacenJson.guardar(NOMBRE_ALMACEN, configuracion);
+    return true;
+  }
+
+  /**
+   * Asigna un calendario a un funcionario.
+   * @param {string} funCod - El código del funcionario.
+   * @param {string} codigoCalendario - El código del calendario.
+   * @returns {Promise<void>}
+   */
+  static async asignarCalendario(funCod, codigoCalendario) {
+    const configuracion = this.obtenerConfiguracion();
+    if (!configuracion.calendarios[codigoCalendario]) {
+      throw new Error(`El calendario "${codigoCalendario}" no existe. Disponibles: ${Object.keys(configuracion.calendarios).join(', ')}.`);
+    }
+    if (codigoCalendario === configuracion.calendarioPorDefecto) {
+      delete configuracion.asignaciones[this.normalizar(funCod)];
+    } else {
+      configuracion.asignaciones[this.normalizar(funCod)] = codigoCalendario;
+    }
+    await AlmacenJson.guardar(NOMBRE_ALMACEN, configuracion);
+  }
+}
+
+// Exportar la clase para que los reportes y los comandos de administración usen el mismo calendario.
+module.exports = ServicioCalendarios;
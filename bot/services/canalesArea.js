@@ -0,0 +1,148 @@
+// Importaciones de módulos necesarios.
+const { pool, poolConnect } = require('../../db/conection.js'); // Conexión a la base de datos.
+const sql = require('mssql'); // Driver de SQL Server.
+const AlmacenJson = require('./almacenJson.js'); // Persistencia de los canales y los hilos.
+
+/**
+ * @constant {string} NOMBRE_ALMACEN
+ * @description Nombre del archivo JSON (dentro de `data/`) donde se guardan los canales de cada área.
+ */
+const NOMBRE_ALMACEN = 'canalesArea';
+
+/**
+ * @constant {Object} CONFIGURACION_INICIAL
+ * @description Contenido del almacén cuando todavía no existe el archivo.
+ * - `canales`: mapa `TrabAreId -> { canal, asignadoPor, asignadoEn }`.
+ * - `hilos`: mapa `TarSec -> { canal, ts, actualizadoEn }` con el mensaje raíz de cada tarea en el canal.
+ */
+const CONFIGURACION_INICIAL = {
+  canales: {},
+  hilos: {}
+};
+
+/**
+ * @constant {number} DIAS_RETENCION_HILOS
+ * @description Días sin eventos tras los cuales se olvida el hilo de una tarea (el siguiente evento abre uno nuevo).
+ */
+const DIAS_RETENCION_HILOS = 180;
+
+/**
+ * @class ServicioCanalesArea
+ * @description Asocia cada área de trabajo (`TrabajoArea`) con un canal de Slack donde se publica el
+ * tablero de tareas del equipo, y recuerda el hilo de cada tarea para que sus eventos siguientes
+ * (finalización, comentarios, reasignaciones...) queden agrupados bajo el primer mensaje.
+ */
+class ServicioCanalesArea {
+  /**
+   * Obtiene la configuración actual de canales y hilos.
+   * @returns {Object} El contenido del almacén.
+   */
+  static obtenerConfiguracion() {
+    return AlmacenJson.leer(NOMBRE_ALMACEN, CONFIGURACION_INICIAL);
+  }
+
+  /**
+   * Obtiene las áreas de trabajo del CRM.
+   * @returns {Promise<Array<{trabAreId: number, nombre: string}>>} Las áreas ordenadas por nombre.
+   */
+  static async obtenerAreas() {
+    await poolConnect;
+    const resultado = await pool.request().query('SELECT TrabAreId, TrabAreNom FROM TrabajoArea ORDER BY TrabAreNom');
+    return resultado.recordset.map(({ TrabAreId, TrabAreNom }) => ({ trabAreId: TrabAreId, nombre: (TrabAreNom || '').trim() }));
+  }
+
+  /**
+   * Busca un área por su ID o por su nombre (sin distinguir mayúsculas).
+   * @param {string} texto - El ID o el nombre escrito por el administrador.
+   * @returns {Promise<{trabAreId: number, nombre: string}>} El área.
+   * @throws {Error} Si el área no existe.
+   */
+  static async buscarArea(texto) {
+    const areas = await this.obtenerAreas();
+    const area = areas.find(({ trabAreId, nombre }) => String(trabAreId) === String(texto).trim() || nombre.toLowerCase() === String(texto).trim().toLowerCase());
+    if (!area) {
+      throw new Error(`El área "${texto}" no existe. Consulta los IDs con \`crm-canales listar\`.`);
+    }
+    return area;
+  }
+
+  /**
+   * Obtiene el canal de un área.
+   * @param {number|null} trabAreId - El ID del área.
+   * @returns {string|null} El ID del canal de Slack o `null` si el área no tiene canal.
+   */
+  static obtenerCanal(trabAreId) {
+    if (trabAreId === null || trabAreId === undefined) return null;
+    const asignacion = this.obtenerConfiguracion().canales[trabAreId];
+    return asignacion ? asignacion.canal : null;
+  }
+
+  /**
+   * Asigna el canal de un área (reemplaza el anterior).
+   * @param {number} trabAreId - El ID del área.
+   * @param {string} canal - El ID del canal de Slack (ej. 'C123ABC456').
+   * @param {string} asignadoPor - ID de Slack del administrador.
+   * @returns {Promise<void>}
+   */
+  static async asignarCanal(trabAreId, canal, asignadoPor) {
+    const configuracion = this.obtenerConfiguracion();
+    configuracion.canales[trabAreId] = { canal, asignadoPor, asignadoEn: new Date().toISOString() };
+    await AlmacenJson.guardar(NOMBRE_ALMACEN, configuracion);
+  }
+
+  /**
+   * Quita el canal de un área. Las tareas del área dejan de publicarse en el canal.
+   * @param {number} trabAreId - El ID del área.
+   * @returns {Promise<void>}
+   */
+  static async quitarCanal(trabAreId) {
+    const configuracion = this.obtenerConfiguracion();
+    if (!configuracion.canales[trabAreId]) {
+      throw new Error(`El área ${trabAreId} no tiene un canal asignado.`);
+    }
+    delete configuracion.canales[trabAreId];
+    await AlmacenJson.guardar(NOMBRE_ALMACEN, configuracion);
+  }
+
+  /**
+   * Obtiene el hilo de una tarea. El hilo se conserva aunque la tarea cambie de área, para que todos
+   * sus eventos queden juntos en el canal donde se publicó primero.
+   * @param {number} tarSec - El ID de la tarea.
+   * @returns {{canal: string, ts: string}|null} El canal y el `ts` del mensaje raíz, o `null` si la tarea aún no se publicó.
+   */
+  static obtenerHilo(tarSec) {
+    const hilo = this.obtenerConfiguracion().hilos[tarSec];
+    return hilo ? { canal: hilo.canal, ts: hilo.ts } : null;
+  }
+
+  /**
+   * Guarda (o renueva) el hilo de una tarea y olvida los hilos sin eventos recientes.
+   * @param {number} tarSec - El ID de la tarea.
+   * @param {string} canal - El canal del mensaje raíz.
+   * @param {string} ts - El `ts` del mensaje raíz.
+   * @returns {Promise<void>}
+   */
+  static async guardarHilo(tarSec, canal, ts) {
+    const configuracion = this.obtenerConfiguracion();
+    const limite = Date.now() - DIAS_RETENCION_HILOS * 24 * 60 * 60 * 1000;
+    Object.keys(configuracion.hilos)
+      .filter(clave => new Date(configuracion.hilos[clave].actualizadoEn).getTime() < limite)
+      .forEach(clave => delete configuracion.hilos[clave]);
+    configuracion.hilos[tarSec] = { canal, ts, actualizadoEn: new Date().toISOString() };
+    await AlmacenJson.guardar(NOMBRE_ALMACEN, configuracion);
+  }
+
+  /**
+   * Olvida el hilo de una tarea (ej. porque su canal se archivó); el siguiente evento abre uno nuevo.
+   * @param {number} tarSec - El ID de la tarea.
+   * @returns {Promise<void>}
+   */
+  static async olvidarHilo(tarSec) {
+    const configuracion = this.obtenerConfiguracion();
+    delete configuracion.hilos[tarSec];
+    await AlmacenJson.guardar(NOMBRE_ALMACEN, configuracion);
+  }
+}
+
+// Exportar la clase para las notificaciones de tareas y el comando de administración de canales.
+module.exports = ServicioCanalesArea;
@@ -0,0 +1,110 @@
+// Importaciones de módulos necesarios.
+const { ErrorCode } = require('@slack/web-api'); // Códigos de error de la API de Slack.
+
+/**
+ * @constant {number} CONCURRENCIA_ENVIOS
+ * @description Cantidad de funcionarios que se procesan al mismo tiempo en los envíos masivos.
+ */
+const CONCURRENCIA_ENVIOS = 4;
+
+/**
+ * @constant {number} MAXIMO_INTENTOS
+ * @description Intentos de cada llamada a Slack antes de darla por fallida.
+ */
+const MAXIMO_INTENTOS = 4;
+
+/**
+ * @constant {number} ESPERA_BASE_MS
+ * @description Espera antes del primer reintento de un error temporal; se duplica en cada intento.
+ */
+const ESPERA_BASE_MS = 1000;
+
+/**
+ * @function esperar
+ * @description Espera la cantidad de milisegundos indicada.
+ * @param {number} milisegundos - El tiempo a esperar.
+ * @returns {Promise<void>}
+ */
+const esperar = (milisegundos) => new Promise(resolve => setTimeout(resolve, milisegundos));
+
+/**
+ * @class ColaEnvios
+ * @description Cola de trabajo de los envíos masivos: procesa varios elementos a la vez con una
+ * concurrencia acotada y reintenta las llamadas a Slack que fallan por límite de velocidad
+ * (respetando `Retry-After`) o por errores temporales de red.
+ */
+class ColaEnvios {
+  /**
+   * Ejecuta una llamada a Slack con reintentos.
+   * - `ratelimited`: espera los segundos que indica Slack en `Retry-After`.
+   * - Errores de red o HTTP: espera `ESPERA_BASE_MS`, duplicándola en cada intento.
+   * - Errores de la plataforma (ej. `channel_not_found`): no se reintentan.
+   * @param {function(): Promise<*>} operacion - La llamada a ejecutar.
+   * @returns {Promise<*>} El resultado de la llamada.
+   */
+  static async conReintentos(operacion) {
+    for (let intento = 1; ; intento++) {
+      try {
+        return await operacion();
+      } catch (error) {
+        const esLimite = error.code === ErrorCode.RateLimitedError;
+        const esTemporal = error.code === ErrorCode.RequestError || error.code === ErrorCode.HTTPError;
+        if ((!esLimite && !esTemporal) || intento >= MAXIMO_INTENTOS) throw error;
+
+        const espera = esLimite ? (error.retryAfter || 1) * 1000 : ESPERA_BASE_MS * 2 ** (intento - 1);
+        console.warn(`⏳ Slack respondió ${esLimite ? 'ratelimited' : error.code}; reintento ${intento}/${MAXIMO_INTENTOS - 1} en ${espera} ms.`);
+        await esperar(espera);
+      }
+    }
+  }
+
+  /**
+   * Obtiene un motivo de error legible para el resumen del administrador.
+   * @param {Error} error - El error capturado.
+   * @returns {string} El motivo (el código de Slack si existe, o el mensaje del error).
+   */
+  static describirError(error) {
+    if (error.code === ErrorCode.PlatformError && error.data) return `Slack: ${error.data.error}`;
+    if (error.code === ErrorCode.RateLimitedError) return 'Slack: ratelimited (se agotaron los reintentos)';
+    return error.message;
+  }
+
+  /**
+   * Procesa una lista de elementos con `CONCURRENCIA_ENVIOS` trabajos simultáneos.
+   * Un error con un elemento no detiene a los demás: se registra y se devuelve en `fallidos`.
+   * @param {Array<*>} elementos - Los elementos a procesar.
+   * @param {function(*): Promise<void>} trabajo - Procesa un elemento.
+   * @param {function(number, number): (void|Promise<void>)} [alProgresar] - Se llama tras cada elemento con
+   * la cantidad procesada y el total.
+   * @returns {Promise<{procesados: number, fallidos: Array<{elemento: *, motivo: string}>}>} El resultado.
+   */
+  static async procesar(elementos, trabajo, alProgresar = null) {
+    const fallidos = [];
+    let siguiente = 0, procesados = 0;
+
+    const trabajador = async () => {
+      while (siguiente < elementos.length) {
+        const elemento = elementos[siguiente++];
+        try {
+          await trabajo(elemento);
+        } catch (error) {
+          fallidos.push({ elemento, motivo: this.describirError(error) });
+        }
+        procesados++;
+        if (alProgresar) {
+          try {
+            await alProgresar(procesados, elementos.length);
+          } catch (error) {
+            console.error('🚨 Error al informar el progreso del envío:', error);
+          }
+        }
+      }
+    };
+
+    await Promise.all(Array.from({ length: Math.min(CONCURRENCIA_ENVIOS, elementos.length) }, trabajador));
+    return { procesados, fallidos };
+  }
+}
+
+// Exportar la clase para los envíos masivos y los recordatorios.
+module.exports = ColaEnvios;
@@ -0,0 +1,269 @@
+// Importaciones de módulos necesarios.
+const AlmacenJson = require('./almacenJson.js'); // Persistencia de las notificaciones y su estado de entrega.
+
+/**
+ * @constant {string} NOMBRE_ALMACEN
+ * @description Nombre del archivo JSON (dentro de `data/`) donde se guardan las notificaciones de tareas.
+ */
+const NOMBRE_ALMACEN = 'notificaciones';
+
+/**
+ * @constant {Object} CONFIGURACION_INICIAL
+ * @description Contenido del almacén cuando todavía no existe el archivo.
+ * - `siguienteId`: consecutivo para identificar las notificaciones.
+ * - `notificaciones`: mapa `id -> notificación` con su estado de entrega por destinatario.
+ */
+const CONFIGURACION_INICIAL = {
+  siguienteId: 1,
+  notificaciones: {}
+};
+
+/**
+ * @constant {number} MAXIMO_INTENTOS
+ * @description Intentos de entrega de una notificación antes de marcarla como fallida.
+ */
+const MAXIMO_INTENTOS = 6;
+
+/**
+ * @constant {number} ESPERA_BASE_MS
+ * @description Espera antes del primer reintento; se duplica en cada intento (30s, 1m, 2m, 4m, 8m).
+ */
+const ESPERA_BASE_MS = 30000;
+
+/**
+ * @constant {number} INTERVALO_REVISION_MS
+ * @description Cada cuánto revisa el trabajador si hay notificaciones pendientes cuyo reintento ya venció.
+ */
+const INTERVALO_REVISION_MS = 15000;
+
+/**
+ * @constant {number} DIAS_RETENCION
+ * @description Días que se conservan las notificaciones terminadas (entregadas o fallidas) para consultarlas.
+ */
+const DIAS_RETENCION = 30;
+
+/**
+ * @constant {Object.<string, string>} ESTADOS_NOTIFICACION
+ * @description Estados de una notificación y de cada uno de sus destinatarios.
+ */
+const ESTADOS_NOTIFICACION = {
+  pendiente: 'Pendiente de enviar o reintentar',
+  entregada: 'Entregada',
+  sin_vinculo: 'El funcionario no tiene usuario de Slack',
+  fallida: 'Fallida'
+};
+
+/**
+ * @type {NodeJS.Timeout|null}
+ * @description Temporizador activo del trabajador (uno solo por proceso).
+ */
+let temporizador = null;
+
+/**
+ * @type {function(Object, Array<string>): Promise<Object>|null}
+ * @description Función que entrega una notificación, recibida en `iniciar`.
+ */
+let entregar = null;
+
+/**
+ * @type {boolean}
+ * @description Evita que dos revisiones procesen las mismas notificaciones al mismo tiempo.
+ */
+let procesando = false;
+
+/**
+ * @class ColaNotificaciones
+ * @description Cola persistente de las notificaciones de tareas. Cada notificación se guarda con una clave
+ * de idempotencia (evento + `TarSec` + timestamp) antes de enviarse, así que un reintento de GeneXus no
+ * vuelve a enviar los mensajes. Un trabajador en segundo plano la entrega y, si Slack o la base de datos
+ * fallan, la reintenta con espera exponencial. El estado de cada destinatario queda registrado para
+ * consultarlo con `GET /api/notificaciones/:id`.
+ */
+class ColaNotificaciones {
+  /**
+   * Obtiene el contenido actual del almacén de notificaciones.
+   * @returns {Object} El contenido del almacén.
+   */
+  static obtenerConfiguracion() {
+    return AlmacenJson.leer(NOMBRE_ALMACEN, CONFIGURACION_INICIAL);
+  }
+
+  /**
+   * Construye la clave de idempotencia de una notificación.
+   * @param {string} evento - El evento (ej. 'NotificarAsignado').
+   * @param {number|string} tarSec - El ID de la tarea.
+   * @param {number|string} timestamp - El momento del evento según GeneXus.
+   * @returns {string} La clave (ej. `NotificarAsignado:15:1792430035`).
+   */
+  static construirClave(evento, tarSec, timestamp) {
+    return `${evento}:${tarSec}:${timestamp}`;
+  }
+
+  /**
+   * Obtiene una notificación por su ID.
+   * @param {number|string} id - El ID de la notificación.
+   * @returns {Object|null} La notificación o `null` si no existe.
+   */
+  static obtener(id) {
+    return this.obtenerConfiguracion().notificaciones[id] || null;
+  }
+
+  /**
+   * Busca una notificación por su clave de idempotencia.
+   * @param {string} evento - El evento.
+   * @param {number} tarSec - El ID de la tarea.
+   * @param {number|string} timestamp - El momento del evento según GeneXus.
+   * @returns {Object|null} La notificación o `null` si no se ha recibido.
+   */
+  static buscar(evento, tarSec, timestamp) {
+    const clave = this.construirClave(evento, tarSec, timestamp);
+    return Object.values(this.obtenerConfiguracion().notificaciones).find(notificacion => notificacion.clave === clave) || null;
+  }
+
+  /**
+   * Guarda una notificación nueva, salvo que ya exista una con la misma clave de idempotencia,
+   * y pide al trabajador que la entregue de inmediato.
+   * @param {{evento: string, tarSec: number, datos: Object, timestamp: (number|string)}} solicitud - La notificación a encolar.
+   * @returns {Promise<{notificacion: Object, duplicada: boolean}>} La notificación guardada (o la existente).
+   */
+  static async encolar({ evento, tarSec, datos, timestamp }) {
+    const clave = this.construirClave(evento, tarSec, timestamp);
+    const configuracion = this.obtenerConfiguracion();
+    const existente = this.buscar(evento, tarSec, timestamp);
+    if (existente) {
+      return { notificacion: existente, duplicada: true };
+    }
+
+    this.depurar(configuracion);
+    const ahora = new Date().toISOString();
+    const notificacion = {
+      id: configuracion.siguienteId,
+      clave,
+      evento,
+      tarSec,
+      datos,
+      estado: 'pendiente',
+      intentos: 0,
+      destinatarios: {},
+      ultimoError: null,
+      creadaEn: ahora,
+      actualizadaEn: ahora,
+      proximoIntento: ahora
+    };
+    configuracion.notificaciones[notificacion.id] = notificacion;
+    configuracion.siguienteId++;
+    await AlmacenJson.guardar(NOMBRE_ALMACEN, configuracion);
+
+    // No se espera la entrega: el endpoint responde de inmediato y GeneXus consulta el estado después.
+    this.revisar().catch(error => console.error('🚨 Error en la cola de notificaciones:', error));
+    return { notificacion, duplicada: false };
+  }
+
+  /**
+   * Elimina las notificaciones terminadas hace más de `DIAS_RETENCION` días.
+   * @param {Object} configuracion - El contenido del almacén (se modifica; lo guarda quien llama).
+   */
+  static depurar(configuracion) {
+    const limite = Date.now() - DIAS_RETENCION * 24 * 60 * 60 * 1000;
+    Object.values(configuracion.notificaciones)
+      .filter(notificacion => notificacion.estado !== 'pendiente' && new Date(notificacion.actualizadaEn).getTime() < limite)
+      .forEach(notificacion => delete configuracion.notificaciones[notificacion.id]);
+  }
+
+  /**
+   * Hace un intento de entrega. Solo se envía a los destinatarios que todavía no la recibieron.
+   * - Si todos quedan entregados (o sin usuario de Slack), la notificación queda `entregada`.
+   * - Si el error es de la solicitud (trae `codigoHttp`, ej. la tarea no existe), queda `fallida` sin reintentos.
+   * - En otro caso se programa el siguiente intento, hasta `MAXIMO_INTENTOS`.
+   * @param {Object} notificacion - La notificación a entregar.
+   * @returns {Promise<void>}
+   */
+  static async procesar(notificacion) {
+    notificacion.intentos++;
+    const omitidos = Object.keys(notificacion.destinatarios)
+      .filter(funCod => notificacion.destinatarios[funCod].estado !== 'fallida');
+
+    try {
+      const resultado = await entregar(notificacion, omitidos);
+      const ahora = new Date().toISOString();
+      resultado.enviados.forEach(funCod => { notificacion.destinatarios[funCod] = { estado: 'entregada', entregadaEn: ahora }; });
+      resultado.sinVinculo.forEach(funCod => { notificacion.destinatarios[funCod] = { estado: 'sin_vinculo' }; });
+      resultado.fallidos.forEach(({ funCod, motivo }) => { notificacion.destinatarios[funCod] = { estado: 'fallida', motivo }; });
+      if (resultado.fallidos.length > 0) {
+        throw new Error(`No se pudo enviar a: ${resultado.fallidos.map(({ funCod, motivo }) => `${funCod} (${motivo})`).join(', ')}.`);
+      }
+      notificacion.estado = 'entregada';
+      notificacion.ultimoError = null;
+      console.log(`📨 Notificación #${notificacion.id} (${notificacion.clave}) entregada en el intento ${notificacion.intentos}.`);
+    } catch (error) {
+      notificacion.ultimoError = error.message;
+      if (error.codigoHttp || notificacion.intentos >= MAXIMO_INTENTOS) {
+        notificacion.estado = 'fallida';
+        console.error(`🚨 Notificación #${notificacion.id} (${notificacion.clave}) fallida tras ${notificacion.intentos} intento(s): ${error.message}`);
+      } else {
+        const espera = ESPERA_BASE_MS * 2 ** (notificacion.intentos - 1);
+        notificacion.proximoIntento = new Date(Date.now() + espera).toISOString();
+        console.warn(`⏳ Notificación #${notificacion.id} (${notificacion.clave}): ${error.message} Reintento ${notificacion.intentos}/${MAXIMO_INTENTOS - 1} en ${espera / 1000}s.`);
+      }
+    }
+
+    notificacion.actualizadaEn = new Date().toISOString();
+    await AlmacenJson.guardar(NOMBRE_ALMACEN, this.obtenerConfiguracion());
+  }
+
+  /**
+   * Entrega las notificaciones pendientes cuyo próximo intento ya venció. Si ya hay una revisión
+   * en curso, no hace nada (la siguiente revisión tomará lo que falte).
+   * @returns {Promise<void>}
+   */
+  static async revisar() {
+    if (!entregar || procesando) return;
+    procesando = true;
+    try {
+      const ahora = Date.now();
+      const pendientes = Object.values(this.obtenerConfiguracion().notificaciones)
+        .filter(notificacion => notificacion.estado === 'pendiente' && new Date(notificacion.proximoIntento).getTime() <= ahora);
+      for (const notificacion of pendientes) {
+        await this.procesar(notificacion);
+      }
+    } finally {
+      procesando = false;
+    }
+  }
+
+  /**
+   * Inicia el trabajador. Al arrancar retoma las notificaciones que quedaron pendientes antes de reiniciar el bot.
+   * Se invoca una sola vez desde `botCore.js`.
+   * @param {function(Object, Array<string>): Promise<{enviados: Array<string>, sinVinculo: Array<string>, fallidos: Array<{funCod: string, motivo: string}>}>} entregador
+   * Entrega una notificación, omitiendo los `FunCod` indicados.
+   */
+  static iniciar(entregador) {
+    if (temporizador) return;
+    entregar = entregador;
+    const programarSiguiente = () => {
+      temporizador = setTimeout(async () => {
+        try {
+          await this.revisar();
+        } catch (error) {
+          console.error('🚨 Error en la cola de notificaciones:', error);
+        }
+        programarSiguiente();
+      }, INTERVALO_REVISION_MS);
+    };
+    programarSiguiente();
+    this.revisar().catch(error => console.error('🚨 Error en la cola de notificaciones:', error));
+  }
+
+  /**
+   * Detiene el trabajador. Las notificaciones pendientes se conservan y se retoman en el siguiente `iniciar`.
+   */
+  static detener() {
+    clearTimeout(temporizador);
+    temporizador = null;
+    entregar = null;
+  }
+}
+
+// Exportar la clase y los estados para el endpoint de `botCore.js` y las notificaciones de tareas.
+module.exports = ColaNotificaciones;
+module.exports.ESTADOS_NOTIFICACION = ESTADOS_NOTIFICACION;
@@ -0,0 +1,131 @@
+// Importaciones de módulos necesarios.
+const crypto = require('crypto'); // Generación de tokens y hashes.
+const { addMinutes } = require('date-fns'); // Librería para manipulación de fechas.
+const { pool, poolConnect } = require('../../db/conection.js'); // Conexión a la base de datos.
+const sql = require('mssql'); // Driver de SQL Server.
+const AlmacenJson = require('./almacenJson.js'); // Persistencia de los tokens de restablecimiento.
+
+/**
+ * @constant {string} NOMBRE_ALMACEN
+ * @description Nombre del archivo JSON (dentro de `data/`) donde se guardan los tokens de restablecimiento pendientes.
+ */
+const NOMBRE_ALMACEN = 'restablecimientos';
+
+/**
+ * @constant {Object} CONFIGURACION_INICIAL
+ * @description Contenido del almacén cuando todavía no existe el archivo. `tokens` es un mapa
+ * `hash del token -> { funCod, expira }`: el token nunca se guarda, solo su hash SHA-256.
+ */
+const CONFIGURACION_INICIAL = {
+  tokens: {}
+};
+
+/**
+ * @constant {number} MINUTOS_VIGENCIA
+ * @description Minutos durante los que es válido un token de restablecimiento.
+ */
+const MINUTOS_VIGENCIA = 15;
+
+/**
+ * @constant {number} LONGITUD_MINIMA
+ * @description Longitud mínima de la nueva contraseña.
+ */
+const LONGITUD_MINIMA = 8;
+
+/**
+ * @function calcularHash
+ * @description Calcula el hash con el que se guarda un token.
+ * @param {string} token - El token.
+ * @returns {string} El hash SHA-256 en hexadecimal.
+ */
+const calcularHash = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * @class ServicioCredenciales
+ * @description Restablece la contraseña del CRM de un funcionario. El botón del perfil emite un token de un
+ * solo uso que vence a los `MINUTOS_VIGENCIA` minutos; con él, el funcionario escribe su nueva contraseña en
+ * un modal y el bot la guarda en `FunPass` igual que el CRM. El bot nunca lee `FunPass`, nunca genera una
+ * contraseña por el funcionario y nunca guarda la contraseña ni el token (solo el hash del token).
+ */
+class ServicioCredenciales {
+  /**
+   * Obtiene los tokens pendientes, sin los vencidos.
+   * @returns {Object} El contenido del almacén.
+   */
+  static obtenerConfiguracion() {
+    const configuracion = AlmacenJson.leer(NOMBRE_ALMACEN, CONFIGURACION_INICIAL);
+    const ahora = Date.now();
+    Object.keys(configuracion.tokens)
+      .filter(hash => new Date(configuracion.tokens[hash].expira).getTime() < ahora)
+      .forEach(hash => delete configuracion.tokens[hash]);
+    return configuracion;
+  }
+
+  /**
+   * Emite un token de restablecimiento para un funcionario. Un token nuevo reemplaza los anteriores del mismo funcionario.
+   * @param {string} funCod - El código del funcionario.
+   * @returns {Promise<{token: string, expira: Date}>} El token y su vencimiento.
+   */
+  static async emitirToken(funCod) {
+    const token = crypto.randomBytes(32).toString('hex');
+    const expira = addMinutes(new Date(), MINUTOS_VIGENCIA);
+    const configuracion = this.obtenerConfiguracion();
+    Object.keys(configuracion.tokens)
+      .filter(hash => configuracion.tokens[hash].funCod === funCod)
+      .forEach(hash => delete configuracion.tokens[hash]);
+    configuracion.tokens[calcularHash(token)] = { funCod, expira: expira.toISOString() };
+    await AlmacenJson.guardar(NOMBRE_ALMACEN, configuracion);
+    return { token, expira };
+  }
+
+  /**
+   * Valida la nueva contraseña escrita por el funcionario.
+   * @param {string} contrasena - La nueva contraseña.
+   * @param {string} confirmacion - La misma contraseña, escrita de nuevo.
+   * @throws {Error} Con la propiedad `campo` (`contrasena` o `confirmacion`) si no es válida.
+   */
+  static validar(contrasena, confirmacion) {
+    if (!contrasena || contrasena.length < LONGITUD_MINIMA) {
+      throw Object.assign(new Error(`La contraseña debe tener al menos ${LONGITUD_MINIMA} caracteres.`), { campo: 'contrasena' });
+    }
+    if (contrasena !== confirmacion) {
+      throw Object.assign(new Error('Las contraseñas no coinciden.'), { campo: 'confirmacion' });
+    }
+  }
+
+  /**
+   * Cambia la contraseña del CRM de un funcionario con un token de restablecimiento. El token se
+   * consume antes de escribir, así que no se puede usar dos veces aunque la actualización falle.
+   * @param {string} token - El token emitido por `emitirToken`.
+   * @param {string} funCod - El código del funcionario que envía el modal.
+   * @param {string} contrasena - La nueva contraseña.
+   * @param {string} confirmacion - La misma contraseña, escrita de nuevo.
+   * @returns {Promise<void>}
+   * @throws {Error} Si el token no existe, venció, ya se usó o es de otro funcionario, o si la contraseña no es válida.
+   */
+  static async cambiarContrasena(token, funCod, contrasena, confirmacion) {
+    this.validar(contrasena, confirmacion);
+
+    const configuracion = this.obtenerConfiguracion();
+    const hash = calcularHash(String(token || ''));
+    const pendiente = configuracion.tokens[hash];
+    if (!pendiente || pendiente.funCod !== funCod) {
+      throw new Error('El enlace para restablecer la contraseña venció o ya se usó. Pide uno nuevo desde tu perfil (`unicheck`).');
+    }
+    delete configuracion.tokens[hash];
+    await AlmacenJson.guardar(NOMBRE_ALMACEN, configuracion);
+
+    await poolConnect;
+    const resultado = await pool.request()
+      .input('funCod', sql.VarChar, funCod)
+      .input('contrasena', sql.VarChar, contrasena)
+      .query(`UPDATE Funcionarios SET FunPass = @contrasena WHERE FunCod = @funCod AND FunEst = 'A'`);
+    if (resultado.rowsAffected[0] === 0) {
+      throw new Error(`No se encontró un funcionario activo con código ${funCod}.`);
+    }
+    console.log(`🔑 El funcionario ${funCod} restableció su contraseña del CRM.`);
+  }
+}
+
+// Exportar la clase para el flujo de restablecimiento de contraseña del perfil.
+module.exports = ServicioCredenciales;
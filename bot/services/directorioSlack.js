@@ -0,0 +1,155 @@
+// Importaciones de módulos necesarios.
+const { WebClient } = require('@slack/web-api'); // Cliente de la API de Slack.
+
+// Inicialización del cliente de Slack.
+const slackClient = new WebClient(process.env.SLACK_BOT_TOKEN);
+
+/**
+ * @constant {number} HORAS_VIGENCIA
+ * @description Horas tras las que el directorio se vuelve a descargar completo, por si se perdió algún evento.
+ */
+const HORAS_VIGENCIA = 12;
+
+/**
+ * @constant {number} USUARIOS_POR_PAGINA
+ * @description Tamaño de página de `users.list` (Slack recomienda no superar 200).
+ */
+const USUARIOS_POR_PAGINA = 200;
+
+/**
+ * @description Estado del directorio en memoria, compartido por todo el proceso.
+ * - `porId`, `porUsername` y `porEmail`: índices de los usuarios activos (no eliminados).
+ * - `cargadoEn`: momento de la última descarga completa.
+ * - `cargaEnCurso`: promesa de la descarga actual, para que las consultas simultáneas no repitan la descarga.
+ */
+const estado = {
+  porId: new Map(),
+  porUsername: new Map(),
+  porEmail: new Map(),
+  cargadoEn: null,
+  cargaEnCurso: null
+};
+
+/**
+ * @class DirectorioSlack
+ * @description Copia en memoria del directorio de usuarios de Slack. Se descarga con paginación por cursor
+ * la primera vez que se necesita y se mantiene al día con los eventos `user_change` y `team_join`,
+ * de modo que los envíos masivos no llaman a `users.list` por cada funcionario.
+ */
+class DirectorioSlack {
+  /**
+   * Agrega o actualiza un usuario en los índices. Los usuarios eliminados se quitan.
+   * @param {Object} usuario - El objeto `user` de la API de Slack.
+   */
+  static actualizarUsuario(usuario) {
+    if (!usuario || !usuario.id) return;
+
+    // Quitar las claves anteriores, por si el usuario cambió su nombre o su email.
+    const anterior = estado.porId.get(usuario.id);
+    if (anterior) {
+      estado.porUsername.delete((anterior.name || '').toLowerCase());
+      estado.porEmail.delete((anterior.profile?.email || '').toLowerCase());
+      estado.porId.delete(usuario.id);
+    }
+    if (usuario.deleted) return;
+
+    estado.porId.set(usuario.id, usuario);
+    if (usuario.name) estado.porUsername.set(usuario.name.toLowerCase(), usuario);
+    if (usuario.profile?.email) estado.porEmail.set(usuario.profile.email.toLowerCase(), usuario);
+  }
+
+  /**
+   * Descarga el directorio completo recorriendo todas las páginas de `users.list`.
+   * @returns {Promise<void>}
+   */
+  static async cargar() {
+    if (estado.cargaEnCurso) return estado.cargaEnCurso;
+
+    estado.cargaEnCurso = (async () => {
+      const usuarios = [];
+      let cursor;
+      do {
+        const respuesta = await slackClient.users.list({ limit: USUARIOS_POR_PAGINA, cursor });
+        if (!respuesta.ok || !respuesta.members) {
+          throw new Error('No se pudo obtener la lista de usuarios de Slack');
+        }
+        usuarios.push(...respuesta.members);
+        cursor = respuesta.response_metadata?.next_cursor;
+      } while (cursor);
+
+      estado.porId.clear();
+      estado.porUsername.clear();
+      estado.porEmail.clear();
+      usuarios.forEach(usuario => this.actualizarUsuario(usuario));
+      estado.cargadoEn = Date.now();
+      console.log(`📇 Directorio de Slack cargado: ${estado.porId.size} usuarios.`);
+    })();
+
+    try {
+      await estado.cargaEnCurso;
+    } finally {
+      estado.cargaEnCurso = null;
+    }
+  }
+
+  /**
+   * Descarga el directorio si aún no se ha cargado o si ya venció su vigencia.
+   * @returns {Promise<void>}
+   */
+  static async asegurarCargado() {
+    if (!estado.cargadoEn || Date.now() - estado.cargadoEn > HORAS_VIGENCIA * 3600000) {
+      await this.cargar();
+    }
+  }
+
+  /**
+   * Busca un usuario por su ID. Si no está en el directorio (ej. se unió y el evento no llegó),
+   * se consulta a `users.info` y se agrega.
+   * @param {string} userId - El ID del usuario en Slack.
+   * @returns {Promise<Object|null>} El objeto `user` de Slack o `null` si no existe.
+   */
+  static async buscarPorId(userId) {
+    if (!userId) return null;
+    if (estado.porId.has(userId)) return estado.porId.get(userId);
+
+    const respuesta = await slackClient.users.info({ user: userId });
+    if (!respuesta.ok || !respuesta.user) return null;
+    this.actualizarUsuario(respuesta.user);
+    return respuesta.user;
+  }
+
+  /**
+   * Busca un usuario por su nombre de usuario (`name`), sin distinguir mayúsculas.
+   * @param {string} username - El nombre de usuario.
+   * @returns {Promise<Object|null>} El objeto `user` de Slack o `null` si no se encuentra.
+   */
+  static async buscarPorUsername(username) {
+    if (!username) return null;
+    await this.asegurarCargado();
+    return estado.porUsername.get(username.toLowerCase()) || null;
+  }
+
+  /**
+   * Busca un usuario por su email, sin distinguir mayúsculas.
+   * @param {string} email - El email.
+   * @returns {Promise<Object|null>} El objeto `user` de Slack o `null` si no se encuentra.
+   */
+  static async buscarPorEmail(email) {
+    if (!email) return null;
+    await this.asegurarCargado();
+    return estado.porEmail.get(email.toLowerCase()) || null;
+  }
+
+  /**
+   * Busca un usuario a partir del valor de `FunDirEmail`, que puede contener el email o el `name` de Slack.
+   * @param {string} valor - El email o el nombre de usuario.
+   * @returns {Promise<Object|null>} El objeto `user` de Slack o `null` si no se encuentra.
+   */
+  static async buscar(valor) {
+    if (!valor) return null;
+    return (await this.buscarPorEmail(valor)) || this.buscarPorUsername(valor);
+  }
+}
+
+// Exportar la clase para que todos los servicios compartan la misma copia del directorio.
+module.exports = DirectorioSlack;
@@ -0,0 +1,144 @@
+/**
+ * @class EnrutadorComandos
+ * @description Enrutador de comandos del bot. Convierte el texto escrito por el usuario en
+ * un nombre de comando, argumentos posicionales y banderas (`--flag`), resuelve alias
+ * y sugiere el comando más parecido cuando hay errores de escritura.
+ */
+class EnrutadorComandos {
+  constructor() {
+    /**
+     * @type {Map<string, {nombre: string, fabrica: function(): Object, descripcion: string, rol: string}>}
+     * @description Comandos registrados, indexados por nombre y por cada uno de sus alias.
+     */
+    this.comandos = new Map();
+  }
+
+  /**
+   * Registra un comando y sus alias.
+   * @param {string} nombre - Nombre principal del comando (ej. 'crm-check-me').
+   * @param {function(): Object} fabrica - Función que crea la instancia del manejador.
+   * @param {Object} [opciones] - Opciones adicionales.
+   * @param {Array<string>} [opciones.alias=[]] - Nombres alternativos del comando.
+   * @param {string} [opciones.descripcion=''] - Descripción corta para los mensajes de ayuda.
+   * @param {string} [opciones.rol='empleado'] - Rol mínimo para ejecutar el comando (`empleado`, `lider` o `admin`).
+   * @returns {EnrutadorComandos} La misma instancia, para encadenar registros.
+   */
+  registrar(nombre, fabrica, { alias = [], descripcion = '', rol = 'empleado' } = {}) {
+    const definicion = { nombre, fabrica, descripcion, rol };
+    [nombre, ...alias].forEach(clave => {
+      if (this.comandos.has(clave)) {
+        throw new Error(`El comando o alias "${clave}" ya está registrado.`);
+      }
+      this.comandos.set(clave, definicion);
+    });
+    return this;
+  }
+
+  /**
+   * Divide un texto en palabras, respetando los fragmentos entre comillas
+   * (ej. `agregar 2026-12-24 "Noche buena"` produce 3 palabras).
+   * @param {string} texto - El texto a dividir.
+   * @returns {Array<string>} Las palabras del texto.
+   */
+  static tokenizar(texto = '') {
+    const tokens = [];
+    // Slack reemplaza las comillas rectas por tipográficas en algunos clientes, se aceptan ambas.
+    const expresion = /"([^"]*)"|“([^”]*)”|'([^']*)'|(\S+)/g;
+    let coincidencia;
+    while ((coincidencia = expresion.exec(texto)) !== null) {
+      tokens.push(coincidencia[1] ?? coincidencia[2] ?? coincidencia[3] ?? coincidencia[4]);
+    }
+    return tokens;
+  }
+
+  /**
+   * Interpreta el texto de un mensaje.
+   * - La primera palabra es el nombre del comando (sin distinguir mayúsculas).
+   * - `--flag` se interpreta como `{ flag: true }` y `--flag=valor` como `{ flag: 'valor' }`.
+   * - El resto son argumentos posicionales, que conservan sus mayúsculas.
+   * @param {string} texto - El texto del mensaje.
+   * @returns {{nombre: string, args: Array<string>, flags: Object.<string, (string|boolean)>}} El comando interpretado.
+   */
+  static interpretar(texto) {
+    const [nombre = '', ...tokens] = this.tokenizar(texto.trim());
+    const args = [];
+    const flags = {};
+    tokens.forEach(token => {
+      // Algunos clientes de Slack convierten `--` en un guion largo (—).
+      const bandera = /^(?:--|—)([^=\s]+)(?:=(.*))?$/.exec(token);
+      if (bandera) {
+        flags[bandera[1].toLowerCase()] = bandera[2] === undefined ? true : bandera[2];
+      } else {
+        args.push(token);
+      }
+    });
+    return { nombre: nombre.toLowerCase(), args, flags };
+  }
+
+  /**
+   * Calcula la distancia de edición (Levenshtein) entre dos textos.
+   * @param {string} a - Primer texto.
+   * @param {string} b - Segundo texto.
+   * @returns {number} Cantidad mínima de inserciones, eliminaciones o sustituciones.
+   */
+  static calcularDistancia(a, b) {
+    let filaAnterior = Array.from({ length: b.length + 1 }, (_, indice) => indice);
+    for (let i = 1; i <= a.length; i++) {
+      const filaActual = [i];
+      for (let j = 1; j <= b.length; j++) {
+        const costo = a[i - 1] === b[j - 1] ? 0 : 1;
+        filaActual[j] = Math.min(filaAnterior[j] + 1, filaActual[j - 1] + 1, filaAnterior[j - 1] + costo);
+      }
+      filaAnterior = filaActual;
+    }
+    return filaAnterior[b.length];
+  }
+
+  /**
+   * Busca el comando registrado más parecido a un nombre desconocido.
+   * @param {string} nombre - El nombre escrito por el usuario.
+   * @returns {string|null} El nombre principal del comando sugerido o `null` si ninguno se parece.
+   */
+  sugerir(nombre) {
+    if (!nombre) return null;
+    const toleranciaMaxima = Math.max(2, Math.floor(nombre.length / 3));
+    let mejor = null;
+    for (const [clave, definicion] of this.comandos) {
+      const distancia = EnrutadorComandos.calcularDistancia(nombre, clave);
+      if (distancia <= toleranciaMaxima && (!mejor || distancia < mejor.distancia)) {
+        mejor = { distancia, nombre: definicion.nombre };
+      }
+    }
+    return mejor ? mejor.nombre : null;
+  }
+
+  /**
+   * Resuelve el texto de un mensaje al comando registrado correspondiente.
+   * @param {string} texto - El texto del mensaje.
+   * @returns {{definicion: Object|null, nombre: string, args: Array<string>, flags: Object, sugerencia: string|null}}
+   * La definición encontrada (o `null`), los datos interpretados y una sugerencia si no se encontró.
+   */
+  resolver(texto) {
+    const { nombre, args, flags } = EnrutadorComandos.interpretar(texto);
+    const definicion = this.comandos.get(nombre) || null;
+    return { definicion, nombre, args, flags, sugerencia: definicion ? null : this.sugerir(nombre) };
+  }
+
+  /**
+   * Lista los comandos registrados (sin repetir los alias), en orden de registro.
+   * @returns {Array<{nombre: string, descripcion: string, alias: Array<string>}>} Los comandos.
+   */
+  listar() {
+    const listado = new Map();
+    for (const [clave, definicion] of this.comandos) {
+      if (!listado.has(definicion.nombre)) {
+        listado.set(definicion.nombre, { nombre: definicion.nombre, descripcion: definicion.descripcion, alias: [] });
+      }
+      if (clave !== definicion.nombre) listado.get(definicion.nombre).alias.push(clave);
+    }
+    return Array.from(listado.values());
+  }
+}
+
+// Exportar la clase para que `botCore.js` registre los comandos del bot.
+module.exports = EnrutadorComandos;
@@ -0,0 +1,270 @@
+// Importaciones de módulos y servicios compartidos.
+const { format, parseISO } = require('date-fns'); // Librería para manipulación de fechas.
+const { WebClient } = require('@slack/web-api'); // Cliente de la API de Slack.
+const { ServicioUsuario, MotorReportePeriodo, ConstructorMensajesSlack } = require('./reportes.js'); // Motor de reportes.
+const ColaEnvios = require('./colaEnvios.js'); // Concurrencia y reintentos de los envíos masivos.
+
+// Inicialización del cliente de Slack. Los reintentos por límite de velocidad los maneja `ColaEnvios`,
+// así que el cliente devuelve el error `ratelimited` en lugar de esperar por su cuenta.
+const slackClient = new WebClient(process.env.SLACK_BOT_TOKEN, { rejectRateLimitedCalls: true, retryConfig: { retries: 0 } });
+
+/**
+ * @constant {number} INTERVALO_PROGRESO_MS
+ * @description Tiempo mínimo entre dos actualizaciones del mensaje de progreso de un envío masivo.
+ */
+const INTERVALO_PROGRESO_MS = 3000;
+
+/**
+ * @typedef {Object} PeriodoReporte
+ * @property {Date} fechaInicio - Inicio del período (inclusive).
+ * @property {Date} fechaFin - Fin del período (inclusive).
+ * @property {string} titulo - Título del encabezado del reporte (ej. 'Reporte Mensual - octubre 2026').
+ * @property {string} tituloResumen - Título del resumen final (ej. 'Resumen Mensual').
+ * @property {string} descripcion - Descripción del período para los mensajes al administrador.
+ * @property {string} tituloError - Título del mensaje de error.
+ */
+
+/**
+ * @typedef {import('./reportes.js').EstadoReporte} EstadoReporte
+ */
+
+/**
+ * @class ServicioEnvioReportes
+ * @description Orquesta el envío de reportes a Slack usando `MotorReportePeriodo`.
+ * Los comandos de reportes solo definen el período y delegan aquí el flujo completo.
+ */
+class ServicioEnvioReportes {
+  /**
+   * Crea el estado inicial del reporte interactivo de un período (primera semana, todos los días).
+   * @param {PeriodoReporte} periodo - El período a reportar.
+   * @returns {EstadoReporte} El estado inicial.
+   */
+  static crearEstado(periodo) {
+    return {
+      fechaInicio: format(periodo.fechaInicio, 'yyyy-MM-dd'),
+      fechaFin: format(periodo.fechaFin, 'yyyy-MM-dd'),
+      titulo: periodo.titulo,
+      tituloResumen: periodo.tituloResumen,
+      pagina: 0,
+      soloFaltantes: false
+    };
+  }
+
+  /**
+   * Genera el reporte interactivo de un usuario de Slack para un estado dado.
+   * Se usa al enviar el reporte y al presionar sus botones: el reporte siempre se calcula
+   * para quien lo consulta, de modo que los botones no permiten ver reportes ajenos.
+   * @param {string} userId - El ID del usuario en Slack.
+   * @param {EstadoReporte} estado - Período, página y filtro a mostrar.
+   * @returns {Promise<{text: string, blocks: Array<Object>}>} El mensaje de Slack.
+   */
+  static async construirReporteInteractivo(userId, estado) {
+    const informacionUsuario = await ServicioUsuario.obtenerInformacionUsuario(userId);
+    const nombreUsuario = informacionUsuario.real_name || 'Usuario';
+    const funcionario = await ServicioUsuario.obtenerDatosEmpleado(informacionUsuario);
+
+    const reporte = await MotorReportePeriodo.generar(funcionario, parseISO(estado.fechaInicio), parseISO(estado.fechaFin));
+    return {
+      text: `${estado.titulo} para ${nombreUsuario}`,
+      blocks: ConstructorMensajesSlack.construirReporteInteractivo(nombreUsuario, reporte, estado)
+    };
+  }
+
+  /**
+   * Genera y envía el reporte personal del usuario que ejecutó el comando, como un único
+   * mensaje interactivo (una semana por página, con botones de navegación).
+   * @param {Object} comando - Objeto del comando de Slack.
+   * @param {Function} say - Función para enviar mensajes a Slack.
+   * @param {PeriodoReporte} periodo - El período a reportar.
+   */
+  static async enviarReportePersonal(comando, say, periodo) {
+    try {
+      // 1. Obtener el ID del usuario que ejecutó el comando.
+      const userId = comando.user_id;
+      if (!userId) {
+        throw new Error('No se pudo identificar al usuario (user_id no proporcionado)');
+      }
+
+      // 2. Generar y enviar el reporte interactivo del período.
+      await say(await this.construirReporteInteractivo(userId, this.crearEstado(periodo)));
+    } catch (error) {
+      console.error(`🚨 Error en ${periodo.titulo}:`, error);
+      await say({
+        text: `❌ ${periodo.tituloError}`,
+        blocks: ConstructorMensajesSlack.construirMensajeError(error, periodo.tituloError)
+      });
+    }
+  }
+
+  /**
+   * Recorre los funcionarios activos vinculados con Slack y ejecuta una acción para cada uno.
+   * Es el flujo compartido por los envíos masivos y los recordatorios programados. Los funcionarios
+   * se procesan en paralelo con concurrencia acotada (`ColaEnvios`); un error con un funcionario
+   * no detiene el recorrido y se devuelve con su motivo.
+   * @param {Array<Object>} funcionarios - Resultado de `ServicioUsuario.obtenerTodosFuncionariosActivos`.
+   * @param {function(Object, Object): Promise<void>} accion - Recibe el funcionario y su usuario de Slack.
+   * @param {function(number, number): Promise<void>} [alProgresar] - Recibe la cantidad procesada y el total.
+   * @returns {Promise<{procesados: number, fallidos: Array<{funcionario: Object, motivo: string}>}>} El resultado.
+   */
+  static async paraCadaFuncionario(funcionarios, accion, alProgresar = null) {
+    const { procesados, fallidos } = await ColaEnvios.procesar(funcionarios, async (funcionario) => {
+      const userInfo = await ServicioUsuario.obtenerInformacionUsuarioPorFuncionario(funcionario);
+      if (!userInfo) {
+        throw new Error('No está vinculado a un usuario de Slack');
+      }
+      await accion(funcionario, userInfo);
+    }, alProgresar);
+
+    fallidos.forEach(({ elemento, motivo }) => console.error(`🚨 Error procesando funcionario ${elemento.funCod}: ${motivo}`));
+    return { procesados, fallidos: fallidos.map(({ elemento, motivo }) => ({ funcionario: elemento, motivo })) };
+  }
+
+  /**
+   * Envía un mensaje directo a un usuario de Slack, reintentando si Slack limita la velocidad.
+   * @param {string} userId - El ID del usuario en Slack.
+   * @param {{text: string, blocks: Array<Object>}} mensaje - El mensaje a enviar.
+   */
+  static async enviarMensajeDirecto(userId, mensaje) {
+    await ColaEnvios.conReintentos(() => slackClient.chat.postMessage({ channel: userId, ...mensaje }));
+  }
+
+  /**
+   * Crea la función que actualiza el mensaje de progreso de un envío masivo (ej. "23/80 revisados").
+   * Solo se puede actualizar si la respuesta de Slack incluye `channel` y `ts`; los mensajes efímeros
+   * del slash command no se pueden editar, así que en ese caso no se muestra el progreso.
+   * @param {Object|undefined} mensajeInicio - Respuesta de Slack al mensaje de inicio del envío.
+   * @param {string} titulo - Título del mensaje de progreso.
+   * @param {function(): string} obtenerDetalle - Devuelve el detalle actual (ej. cuántos se enviaron).
+   * @returns {function(number, number): Promise<void>|null} La función de progreso o `null`.
+   */
+  static crearProgreso(mensajeInicio, titulo, obtenerDetalle) {
+    if (!mensajeInicio || !mensajeInicio.channel || !mensajeInicio.ts) return null;
+
+    let ultimaActualizacion = 0;
+    return async (procesados, total) => {
+      // Slack limita `chat.update`, así que solo se actualiza cada cierto tiempo y al terminar.
+      if (procesados < total && Date.now() - ultimaActualizacion < INTERVALO_PROGRESO_MS) return;
+      ultimaActualizacion = Date.now();
+      const porcentaje = total > 0 ? Math.round((procesados / total) * 100) : 100;
+      await slackClient.chat.update({
+        channel: mensajeInicio.channel,
+        ts: mensajeInicio.ts,
+        text: `${titulo}: ${procesados}/${total}`,
+        blocks: [{ type: 'section', text: { type: 'mrkdwn', text: `${titulo}\n*Progreso:* ${procesados}/${total} funcionarios revisados (${porcentaje}%) · ${obtenerDetalle()}` } }]
+      });
+    };
+  }
+
+  /**
+   * Genera el reporte de todos los funcionarios activos y envía por DM el detalle solo a quienes
+   * tienen horas pendientes. Al final envía un resumen al administrador que ejecutó el comando.
+   * Con la bandera `--preview` calcula el mismo resumen sin enviar mensajes directos y ofrece
+   * un botón para confirmar el envío real. Los permisos de administrador los verifica el despachador.
+   * @param {Object} comando - Objeto del comando de Slack. `comando.flags.preview` activa la vista previa.
+   * @param {Function} say - Función para enviar mensajes a Slack.
+   * @param {PeriodoReporte} periodo - El período a reportar.
+   */
+  static async enviarReportesMasivos(comando, say, periodo) {
+    try {
+      // 1. Obtener lista de todos los funcionarios activos.
+      const funcionarios = await ServicioUsuario.obtenerTodosFuncionariosActivos();
+      if (funcionarios.length === 0) {
+        throw new Error('No se encontraron funcionarios activos');
+      }
+      const esVistaPrevia = Boolean(comando.flags && comando.flags.preview);
+
+      // 2. Enviar mensaje de inicio del proceso al administrador (se actualiza con el progreso).
+      let mensajeInicio;
+      if (esVistaPrevia) {
+        mensajeInicio = await say({ text: `Calculando vista previa para ${funcionarios.length} funcionarios`, blocks: [{ type: 'section', text: { type: 'mrkdwn', text: `🔍 *Calculando vista previa del envío masivo*\nSe revisarán los reportes ${periodo.descripcion} de ${funcionarios.length} funcionarios activos. No se enviará ningún mensaje.` } }] });
+      } else {
+        mensajeInicio = await say({ text: `Iniciando envío masivo de reportes a ${funcionarios.length} funcionarios`, blocks: [{ type: 'section', text: { type: 'mrkdwn', text: `⏳ *Iniciando envío masivo de reportes mensuales*\nSe enviarán reportes ${periodo.descripcion} a ${funcionarios.length} funcionarios activos` } }] });
+      }
+
+      let usuariosConPendientes = 0, usuariosAlDia = 0;
+      const listaUsuariosAlDia = [], listaUsuariosConPendientes = [];
+
+      // 3. Generar los reportes de todos con una sola consulta agrupada y procesar cada funcionario.
+      const reportes = await MotorReportePeriodo.generarVarios(funcionarios, periodo.fechaInicio, periodo.fechaFin);
+      const alProgresar = this.crearProgreso(
+        mensajeInicio,
+        esVistaPrevia ? '🔍 *Calculando vista previa del envío masivo*' : '⏳ *Envío masivo de reportes en curso*',
+        () => `${usuariosConPendientes} ${esVistaPrevia ? 'por enviar' : 'enviados'}`
+      );
+      const { fallidos } = await this.paraCadaFuncionario(funcionarios, async (funcionario, userInfo) => {
+        const nombreUsuario = userInfo.real_name || userInfo.name || 'Usuario';
+        const reporte = reportes.get(funcionario.funCod);
+        const { resumenMensual } = reporte;
+
+        // 4. Decidir si enviar el reporte detallado, basados en el total del período.
+        // Si el total de horas es igual o mayor al requerido, no se envía nada.
+        if (resumenMensual.cumpleRequerimiento) {
+          console.log(`✅ Usuario ${nombreUsuario} (${funcionario.funCod}) está al día.`);
+          usuariosAlDia++;
+          listaUsuariosAlDia.push(nombreUsuario);
+          return;
+        }
+
+        // 5. Si no cumple, se construye y envía el mensaje detallado al usuario (salvo en la vista previa).
+        // Solo se cuenta como enviado cuando Slack confirma el mensaje; si falla, queda en la lista de fallidos.
+        if (!esVistaPrevia) {
+          const bloquesMensaje = ConstructorMensajesSlack.construirReporteInteractivo(nombreUsuario, reporte, this.crearEstado(periodo));
+          await this.enviarMensajeDirecto(userInfo.id, { text: `Reporte mensual completo para ${nombreUsuario}`, blocks: bloquesMensaje });
+        }
+        usuariosConPendientes++;
+        listaUsuariosConPendientes.push(
+          `*${nombreUsuario}*: ${resumenMensual.totalHoras}h ${String(resumenMensual.totalMinutos).padStart(2, '0')}m de ${resumenMensual.horasRequeridas}`
+        );
+      }, alProgresar);
+
+      // 6. Construir y enviar el resumen final al administrador.
+      const bloquesResumenFinal = [
+        { type: 'section', text: { type: 'mrkdwn', text: esVistaPrevia ? '🔍 *Vista previa del envío masivo*' : '✅ *Envío masivo de reportes completado*' } },
+        { type: 'section', text: { type: 'mrkdwn', text: `*Total de funcionarios revisados:* ${funcionarios.length}\n*Reportes ${esVistaPrevia ? 'por enviar' : 'enviados'} (con pendientes):* ${usuariosConPendientes}\n*Funcionarios al día (sin reporte):* ${usuariosAlDia}\n*Con error:* ${fallidos.length}` } },
+        { type: 'divider' }
+      ];
+
+      // Los funcionarios se procesan en paralelo, así que las listas se ordenan para que el resumen sea estable.
+      const lineasFallidos = fallidos.map(({ funcionario, motivo }) => `*${funcionario.nombre || funcionario.funCod}* (${funcionario.funCod}): ${motivo}`);
+      bloquesResumenFinal.push(...ConstructorMensajesSlack.construirSeccionesLista(`⚠️ *Funcionarios con horas pendientes (${listaUsuariosConPendientes.length}):*`, listaUsuariosConPendientes.sort()));
+      bloquesResumenFinal.push(...ConstructorMensajesSlack.construirSeccionesLista(`✅ *Funcionarios al día (${listaUsuariosAlDia.length}):*`, listaUsuariosAlDia.sort()));
+      bloquesResumenFinal.push(...ConstructorMensajesSlack.construirSeccionesLista(`❌ *Funcionarios con error (${lineasFallidos.length}):*`, lineasFallidos.sort()));
+
+      if (esVistaPrevia) {
+        bloquesResumenFinal.push({
+          type: 'context',
+          elements: [{ type: 'mrkdwn', text: 'No se envió ningún mensaje. Al confirmar se recalculan los totales y se envían los reportes a los funcionarios con horas pendientes.' }]
+        });
+        if (usuariosConPendientes > 0) {
+          bloquesResumenFinal.push({
+            type: 'actions',
+            elements: [{
+              type: 'button', action_id: 'masivo_confirmar', style: 'primary', value: comando.command,
+              text: { type: 'plain_text', text: `📨 Confirmar envío (${usuariosConPendientes})` },
+              confirm: {
+                title: { type: 'plain_text', text: 'Confirmar envío masivo' },
+                text: { type: 'mrkdwn', text: `Se enviarán los reportes ${periodo.descripcion} a los funcionarios con horas pendientes.` },
+                confirm: { type: 'plain_text', text: 'Enviar' },
+                deny: { type: 'plain_text', text: 'Cancelar' }
+              }
+            }]
+          });
+        }
+      } else {
+        bloquesResumenFinal.push({
+          type: 'context',
+          elements: [{ type: 'mrkdwn', text: `Se enviaron reportes detallados solo a los usuarios con horas pendientes.` }]
+        });
+      }
+
+      await say({ text: esVistaPrevia ? 'Vista previa del envío masivo de reportes' : 'Resumen del envío masivo de reportes', blocks: bloquesResumenFinal });
+
+    } catch (error) {
+      console.error('🚨 Error en comando masivo:', error);
+      await say({ text: '❌ Error al ejecutar el comando masivo', blocks: ConstructorMensajesSlack.construirMensajeError(error, periodo.tituloError) });
+    }
+  }
+}
+
+// Exportar la clase para que los comandos de reportes deleguen en ella.
+module.exports = ServicioEnvioReportes;
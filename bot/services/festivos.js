@@ -0,0 +1,124 @@
+// Importar utilidades de date-fns para el cálculo de fechas.
+const { format, addDays, getDay } = require('date-fns');
+
+/**
+ * @constant {Array<Object>} FESTIVOS_FIJOS
+ * @description Festivos de fecha fija que se celebran el mismo día sin importar en qué día de la semana caigan.
+ */
+const FESTIVOS_FIJOS = [
+  { mes: 1, dia: 1, nombre: 'Año Nuevo' },
+  { mes: 5, dia: 1, nombre: 'Día del Trabajo' },
+  { mes: 7, dia: 20, nombre: 'Día de la Independencia' },
+  { mes: 8, dia: 7, nombre: 'Batalla de Boyacá' },
+  { mes: 12, dia: 8, nombre: 'Inmaculada Concepción' },
+  { mes: 12, dia: 25, nombre: 'Navidad' }
+];
+
+/**
+ * @constant {Array<Object>} FESTIVOS_TRASLADABLES
+ * @description Festivos de fecha fija que, por la Ley Emiliani (Ley 51 de 1983),
+ * se trasladan al lunes siguiente cuando no caen en lunes.
+ */
+const FESTIVOS_TRASLADABLES = [
+  { mes: 1, dia: 6, nombre: 'Día de los Reyes Magos' },
+  { mes: 3, dia: 19, nombre: 'Día de San José' },
+  { mes: 6, dia: 29, nombre: 'San Pedro y San Pablo' },
+  { mes: 8, dia: 15, nombre: 'Asunción de la Virgen' },
+  { mes: 10, dia: 12, nombre: 'Día de la Raza' },
+  { mes: 11, dia: 1, nombre: 'Todos los Santos' },
+  { mes: 11, dia: 11, nombre: 'Independencia de Cartagena' }
+];
+
+/**
+ * @constant {Array<Object>} FESTIVOS_PASCUA
+ * @description Festivos relativos al Domingo de Pascua. `desplazamiento` es la cantidad de días
+ * desde la Pascua y `trasladable` indica si aplica la Ley Emiliani.
+ */
+const FESTIVOS_PASCUA = [
+  { desplazamiento: -3, trasladable: false, nombre: 'Jueves Santo' },
+  { desplazamiento: -2, trasladable: false, nombre: 'Viernes Santo' },
+  { desplazamiento: 39, trasladable: true, nombre: 'Ascensión del Señor' },
+  { desplazamiento: 60, trasladable: true, nombre: 'Corpus Christi' },
+  { desplazamiento: 68, trasladable: true, nombre: 'Sagrado Corazón de Jesús' }
+];
+
+/**
+ * @class ServicioFestivos
+ * @description Calcula el calendario completo de festivos de Colombia para cualquier año,
+ * incluyendo los festivos que dependen de la Pascua y los trasladados al lunes.
+ */
+class ServicioFestivos {
+  /**
+   * Calcula el Domingo de Pascua de un año usando el algoritmo anónimo gregoriano (Meeus/Jones/Butcher).
+   * @param {number} año - El año a calcular.
+   * @returns {Date} La fecha del Domingo de Pascua.
+   */
+  static calcularDomingoPascua(año) {
+    const a = año % 19;
+    const b = Math.floor(año / 100);
+    const c = año % 100;
+    const d = Math.floor(b / 4);
+    const e = b % 4;
+    const f = Math.floor((b + 8) / 25);
+    const g = Math.floor((b - f + 1) / 3);
+    const h = (19 * a + b - d - g + 15) % 30;
+    const i = Math.floor(c / 4);
+    const k = c % 4;
+    const l = (32 + 2 * e + 2 * i - h - k) % 7;
+    const m = Math.floor((a + 11 * h + 22 * l) / 451);
+    const mes = Math.floor((h + l - 7 * m + 114) / 31);
+    const dia = ((h + l - 7 * m + 114) % 31) + 1;
+    return new Date(año, mes - 1, dia);
+  }
+
+  /**
+   * Aplica la Ley Emiliani: si la fecha no es lunes, la mueve al lunes siguiente.
+   * @param {Date} fecha - La fecha original del festivo.
+   * @returns {Date} La fecha trasladada (o la misma si ya es lunes).
+   */
+  static trasladarALunes(fecha) {
+    const diaSemana = getDay(fecha);
+    if (diaSemana === 1) return fecha;
+    return addDays(fecha, (8 - diaSemana) % 7);
+  }
+
+  /**
+   * Obtiene los festivos de Colombia de un año con su nombre, ordenados por fecha.
+   * @param {number} año - El año a calcular.
+   * @returns {Array<{fecha: string, nombre: string}>} Festivos con fecha en formato `yyyy-MM-dd`.
+   */
+  static obtenerFestivosDetallados(año) {
+    const festivos = [];
+
+    FESTIVOS_FIJOS.forEach(({ mes, dia, nombre }) => {
+      festivos.push({ fechaObj: new Date(año, mes - 1, dia), nombre });
+    });
+
+    FESTIVOS_TRASLADABLES.forEach(({ mes, dia, nombre }) => {
+      festivos.push({ fechaObj: this.trasladarALunes(new Date(año, mes - 1, dia)), nombre });
+    });
+
+    const pascua = this.calcularDomingoPascua(año);
+    FESTIVOS_PASCUA.forEach(({ desplazamiento, trasladable, nombre }) => {
+      const fecha = addDays(pascua, desplazamiento);
+      festivos.push({ fechaObj: trasladable ? this.trasladarALunes(fecha) : fecha, nombre });
+    });
+
+    return festivos
+      .sort((festivoA, festivoB) => festivoA.fechaObj - festivoB.fechaObj)
+      .map(({ fechaObj, nombre }) => ({ fecha: format(fechaObj, 'yyyy-MM-dd'), nombre }));
+  }
+
+  /**
+   * Obtiene las fechas de los festivos de Colombia de un año, sin repetir
+   * (dos festivos pueden coincidir en el mismo lunes, ej. 30/06/2025).
+   * @param {number} año - El año a calcular.
+   * @returns {Array<string>} Fechas en formato `yyyy-MM-dd`.
+   */
+  static obtenerFestivosColombia(año) {
+    return [...new Set(this.obtenerFestivosDetallados(año).map(festivo => festivo.fecha))];
+  }
+}
+
+// Exportar la clase para que los comandos de reportes compartan el mismo calendario.
+module.exports = ServicioFestivos;
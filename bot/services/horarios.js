@@ -0,0 +1,242 @@
+// Importar utilidades de date-fns y el almacén de configuración.
+const { getDay, getWeek } = require('date-fns');
+const AlmacenJson = require('./almacenJson.js');
+
+/**
+ * @constant {string} NOMBRE_ALMACEN
+ * @description Nombre del archivo JSON (dentro de `data/`) donde se guardan los perfiles de horario.
+ */
+const NOMBRE_ALMACEN = 'horarios';
+
+/**
+ * @constant {Array<string>} DIAS_SEMANA
+ * @description Nombres de los días en el orden de `getDay` (0 = domingo), usados como claves de `minutosPorDia`.
+ */
+const DIAS_SEMANA = ['domingo', 'lunes', 'martes', 'miercoles', 'jueves', 'viernes', 'sabado'];
+
+/**
+ * @constant {Object.<string, string>} SEMANAS_DESCANSO
+ * @description Formas de elegir en qué semanas del año se descansan los días rotativos de un perfil.
+ */
+const SEMANAS_DESCANSO = {
+  tipoDescanso: 'Según `TipoDescanso` del funcionario (1: semanas impares, 2: semanas pares)',
+  impares: 'Semanas impares del año',
+  pares: 'Semanas pares del año'
+};
+
+/**
+ * @constant {Object} CONFIGURACION_INICIAL
+ * @description Contenido del almacén cuando todavía no existe el archivo.
+ * - `perfilPorDefecto`: perfil de los funcionarios sin asignación explícita.
+ * - `perfiles`: definiciones por código. `minutosPorDia` indica los minutos requeridos de cada día
+ *   (0 = no laborable) y `rotacion` los días que se trabajan semana de por medio (`null` si no hay rotación).
+ * - `asignaciones`: mapa `FunCod -> código de perfil`.
+ */
+const CONFIGURACION_INICIAL = {
+  perfilPorDefecto: 'COMPLETO',
+  perfiles: {
+    COMPLETO: {
+      nombre: 'Tiempo completo',
+      minutosPorDia: { lunes: 510, martes: 510, miercoles: 510, jueves: 510, viernes: 510, sabado: 180, domingo: 0 },
+      rotacion: { dias: ['sabado'], semanasDescanso: 'tipoDescanso' }
+    }
+  },
+  asignaciones: {}
+};
+
+/**
+ * @typedef {Object} Horario
+ * @description Perfil de horario ya resuelto para un funcionario. Es lo que usa el motor de reportes.
+ * @property {string} codigo - Código del perfil.
+ * @property {string} nombre - Nombre del perfil.
+ * @property {Array<number>} minutos - Minutos requeridos por día, en el orden de `getDay` (0 = domingo).
+ * @property {Array<number>} diasRotativos - Días (`getDay`) que se descansan semana de por medio.
+ * @property {('impares'|'pares'|null)} semanasDescanso - Semanas en que se descansan los días rotativos.
+ */
+
+/**
+ * @class ServicioHorarios
+ * @description Administra los perfiles de horario (minutos requeridos por día y rotación de descansos)
+ * y su asignación a cada funcionario. Todos los reportes calculan el requerimiento con el perfil
+ * del funcionario, así que un medio tiempo, un practicante o un horario 4x10 se evalúan con sus propias reglas.
+ */
+class ServicioHorarios {
+  /**
+   * Obtiene la configuración actual de horarios.
+   * @returns {Object} El contenido del almacén de horarios.
+   */
+  static obtenerConfiguracion() {
+    return AlmacenJson.leer(NOMBRE_ALMACEN, CONFIGURACION_INICIAL);
+  }
+
+  /**
+   * Normaliza un código de funcionario o de perfil para usarlo como clave del almacén.
+   * @param {string} codigo - El código.
+   * @returns {string} El código sin espacios y en mayúsculas.
+   */
+  static normalizar(codigo) {
+    return String(codigo).trim().toUpperCase();
+  }
+
+  /**
+   * Obtiene el código del perfil asignado a un funcionario.
+   * @param {string} funCod - El código del funcionario.
+   * @returns {string} El código del perfil (ej. 'COMPLETO').
+   */
+  static obtenerPerfilDeFuncionario(funCod) {
+    const configuracion = this.obtenerConfiguracion();
+    const codigo = configuracion.asignaciones[this.normalizar(funCod)] || configuracion.perfilPorDefecto;
+    if (!configuracion.perfiles[codigo]) {
+      throw new Error(`El perfil de horario "${codigo}" asignado al funcionario ${funCod} no existe.`);
+    }
+    return codigo;
+  }
+
+  /**
+   * Resuelve el horario de un funcionario a partir de su perfil. `TipoDescanso` solo se exige
+   * cuando el perfil rota según ese campo.
+   * @param {string} funCod - El código del funcionario.
+   * @param {number|null} tipoDescanso - El `TipoDescanso` del funcionario en el CRM.
+   * @returns {Horario} El horario del funcionario.
+   */
+  static obtenerHorario(funCod, tipoDescanso) {
+    const codigo = this.obtenerPerfilDeFuncionario(funCod);
+    const perfil = this.obtenerConfiguracion().perfiles[codigo];
+    const rotacion = perfil.rotacion || null;
+
+    let semanasDescanso = rotacion ? rotacion.semanasDescanso : null;
+    if (semanasDescanso === 'tipoDescanso') {
+      if (tipoDescanso !== 1 && tipoDescanso !== 2) {
+        throw new Error(`TipoDescanso inválido (${tipoDescanso}). El perfil de horario ${codigo} lo usa para la rotación y debe ser 1 o 2.`);
+      }
+      semanasDescanso = tipoDescanso === 1 ? 'impares' : 'pares';
+    }
+
+    return {
+      codigo,
+      nombre: perfil.nombre,
+      minutos: DIAS_SEMANA.map(dia => perfil.minutosPorDia[dia] || 0),
+      diasRotativos: rotacion ? rotacion.dias.map(dia => DIAS_SEMANA.indexOf(dia)) : [],
+      semanasDescanso
+    };
+  }
+
+  /**
+   * Indica si un día es de descanso por la rotación del horario.
+   * @param {Horario} horario - El horario del funcionario.
+   * @param {Date} fecha - La fecha a evaluar.
+   * @returns {boolean} `true` si el día se descansa esa semana.
+   */
+  static esDescansoRotativo(horario, fecha) {
+    if (!horario.semanasDescanso || !horario.diasRotativos.includes(getDay(fecha))) return false;
+    // { weekStartsOn: 1 } asegura que la semana empiece en Lunes, para consistencia.
+    const esSemanaImpar = getWeek(fecha, { weekStartsOn: 1 }) % 2 !== 0;
+    return horario.semanasDescanso === 'impares' ? esSemanaImpar : !esSemanaImpar;
+  }
+
+  /**
+   * Obtiene los minutos requeridos en un día según el horario, sin considerar festivos.
+   * @param {Horario} horario - El horario del funcionario.
+   * @param {Date} fecha - La fecha a evaluar.
+   * @returns {number} Los minutos requeridos (0 si el día no es laborable).
+   */
+  static obtenerMinutosRequeridos(horario, fecha) {
+    return this.esDescansoRotativo(horario, fecha) ? 0 : horario.minutos[getDay(fecha)];
+  }
+
+  /**
+   * Interpreta un tiempo escrito como `8:30`, `8` o `0`.
+   * @param {string} texto - El tiempo escrito.
+   * @returns {number} Los minutos.
+   */
+  static interpretarTiempo(texto) {
+    const coincidencia = /^(\d{1,2})(?::([0-5]\d))?$/.exec(texto || '');
+    const minutos = coincidencia ? parseInt(coincidencia[1], 10) * 60 + parseInt(coincidencia[2] || '0', 10) : NaN;
+    if (Number.isNaN(minutos) || minutos > 24 * 60) {
+      throw new Error(`El tiempo "${texto}" no es válido. Usa horas y minutos (ej. \`8:30\`, \`4\`).`);
+    }
+    return minutos;
+  }
+
+  /**
+   * Crea o reemplaza un perfil de horario.
+   * @param {string} codigo - El código del perfil.
+   * @param {string} nombre - El nombre del perfil (ej. 'Medio tiempo').
+   * @param {Object.<string, number>} minutosPorDia - Minutos requeridos por día (claves de `DIAS_SEMANA`).
+   * @param {{dias: Array<string>, semanasDescanso: string}|null} rotacion - Días rotativos, o `null` sin rotación.
+   * @returns {Promise<void>}
+   */
+  static async guardarPerfil(codigo, nombre, minutosPorDia, rotacion) {
+    const desconocidos = Object.keys(minutosPorDia).filter(dia => !DIAS_SEMANA.includes(dia));
+    if (desconocidos.length > 0) {
+      throw new Error(`Días desconocidos: ${desconocidos.join(', ')}. Usa ${DIAS_SEMANA.join(', ')}.`);
+    }
+    if (Object.values(minutosPorDia).every(minutos => !minutos)) {
+      throw new Error('El perfil debe tener al menos un día laborable.');
+    }
+    if (rotacion) {
+      if (!SEMANAS_DESCANSO[rotacion.semanasDescanso]) {
+        throw new Error(`Rotación desconocida: ${rotacion.semanasDescanso}. Usa ${Object.keys(SEMANAS_DESCANSO).join(', ')} o ninguna.`);
+      }
+      const diasSinMinutos = rotacion.dias.filter(dia => !minutosPorDia[dia]);
+      if (rotacion.dias.length === 0 || diasSinMinutos.length > 0) {
+        throw new Error('Los días rotativos deben ser días laborables del perfil.');
+      }
+    }
+
+    const configuracion = this.obtenerConfiguracion();
+    configuracion.perfiles[this.normalizar(codigo)] = {
+      nombre,
+      minutosPorDia: Object.fromEntries(DIAS_SEMANA.map(dia => [dia, minutosPorDia[dia] || 0])),
+      rotacion
+    };
+    await AlmacenJson.guardar(NOMBRE_ALMACEN, configuracion);
+  }
+
+  /**
+   * Elimina un perfil de horario que no sea el perfil por defecto ni esté asignado.
+   * @param {string} codigo - El código del perfil.
+   * @returns {Promise<void>}
+   */
+  static async quitarPerfil(codigo) {
+    const clave = this.normalizar(codigo);
+    const configuracion = this.obtenerConfiguracion();
+    if (!configuracion.perfiles[clave]) {
+      throw new Error(`El perfil de horario "${clave}" no existe.`);
+    }
+    if (clave === configuracion.perfilPorDefecto) {
+      throw new Error(`El perfil ${clave} es el perfil por defecto y no se puede eliminar.`);
+    }
+    const asignados = Object.keys(configuracion.asignaciones).filter(funCod => configuracion.asignaciones[funCod] === clave);
+    if (asignados.length > 0) {
+      throw new Error(`El perfil ${clave} está asignado a ${asignados.join(', ')}. Asígnales otro perfil primero.`);
+    }
+    delete configuracion.perfiles[clave];
+    await AlmacenJson.guardar(NOMBRE_ALMACEN, configuracion);
+  }
+
+  /**
+   * Asigna un perfil de horario a un funcionario.
+   * @param {string} funCod - El código del funcionario.
+   * @param {string} codigo - El código del perfil.
+   * @returns {Promise<void>}
+   */
+  static async asignarPerfil(funCod, codigo) {
+    const clave = this.normalizar(codigo);
+    const configuracion = this.obtenerConfiguracion();
+    if (!configuracion.perfiles[clave]) {
+      throw new Error(`El perfil de horario "${clave}" no existe. Disponibles: ${Object.keys(configuracion.perfiles).join(', ')}.`);
+    }
+    if (clave === configuracion.perfilPorDefecto) {
+      delete configuracion.asignaciones[this.normalizar(funCod)];
+    } else {
+      configuracion.asignaciones[this.normalizar(funCod)] = clave;
+    }
+    await AlmacenJson.guardar(NOMBRE_ALMACEN, configuracion);
+  }
+}
+
+// Exportar la clase y las constantes para los reportes y el comando de administración de horarios.
+module.exports = ServicioHorarios;
+module.exports.DIAS_SEMANA = DIAS_SEMANA;
+module.exports.SEMANAS_DESCANSO = SEMANAS_DESCANSO;
@@ -0,0 +1,142 @@
+// Importar utilidades de date-fns para el cálculo de rangos de fechas.
+const {
+  format, parseISO, isValid, subDays, startOfDay, endOfMonth,
+  startOfWeek, differenceInCalendarDays
+} = require('date-fns');
+
+/**
+ * @constant {number} MAXIMO_DIAS_PERIODO
+ * @description Cantidad máxima de días que puede abarcar un reporte (un año), para acotar las consultas.
+ */
+const MAXIMO_DIAS_PERIODO = 366;
+
+/**
+ * @constant {string[]} NOMBRES_MESES
+ * @description Nombres de los meses en español, en el orden de `Date.getMonth()`.
+ */
+const NOMBRES_MESES = [
+  'enero', 'febrero', 'marzo', 'abril', 'mayo', 'junio',
+  'julio', 'agosto', 'septiembre', 'octubre', 'noviembre', 'diciembre'
+];
+
+/**
+ * @class ServicioPeriodos
+ * @description Interpreta los argumentos de los comandos de reportes (`crm-check-me 2026-03`,
+ * `crm-check-me 2026-09-01 2026-09-15`, `crm-check-me semana`...) y los convierte en un rango de fechas.
+ */
+class ServicioPeriodos {
+  /**
+   * Convierte un texto `yyyy-MM-dd` en fecha, validando que sea una fecha real.
+   * @param {string} texto - El texto a convertir.
+   * @returns {Date} La fecha al inicio del día.
+   */
+  static convertirFecha(texto) {
+    const fecha = parseISO(texto);
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(texto) || !isValid(fecha)) {
+      throw new Error(`La fecha "${texto}" no es válida. Usa el formato AAAA-MM-DD.`);
+    }
+    return startOfDay(fecha);
+  }
+
+  /**
+   * Construye el período de un mes completo. Si es el mes en curso, se recorta hasta ayer.
+   * @param {number} año - El año.
+   * @param {number} mes - El mes (0-11).
+   * @param {Date} hoy - La fecha actual.
+   * @returns {{fechaInicio: Date, fechaFin: Date}} El rango del mes.
+   */
+  static construirMes(año, mes, hoy) {
+    const fechaInicio = new Date(año, mes, 1);
+    const fechaFinMes = endOfMonth(fechaInicio);
+    const ayer = startOfDay(subDays(hoy, 1));
+    if (fechaInicio > ayer) {
+      throw new Error(`El mes ${format(fechaInicio, 'MM/yyyy')} aún no tiene días cerrados para reportar.`);
+    }
+    return { fechaInicio, fechaFin: fechaFinMes > ayer ? ayer : startOfDay(fechaFinMes) };
+  }
+
+  /**
+   * Interpreta los argumentos de un comando de reporte.
+   * Formatos admitidos:
+   * - (sin argumentos): mes actual hasta ayer.
+   * - `AAAA-MM` o `marzo [AAAA]`: el mes indicado.
+   * - `AAAA-T1`..`AAAA-T4`: el trimestre indicado.
+   * - `AAAA-MM-DD [AAAA-MM-DD]`: un día o un rango de días.
+   * - `semana`: la semana actual (desde el lunes) hasta ayer.
+   * @param {Array<string>} args - Los argumentos escritos después del comando.
+   * @param {Date} [hoy=new Date()] - La fecha actual (parametrizable para pruebas).
+   * @returns {{fechaInicio: Date, fechaFin: Date, etiqueta: string}} El rango y su tipo ('mes', 'semana', 'trimestre' o 'rango').
+   */
+  static interpretar(args = [], hoy = new Date()) {
+    const ayer = startOfDay(subDays(hoy, 1));
+    const [primero, segundo] = args.map(arg => arg.toLowerCase());
+
+    let periodo;
+    if (!primero) {
+      periodo = { ...this.construirMes(hoy.getFullYear(), hoy.getMonth(), hoy), etiqueta: 'mes' };
+    } else if (primero === 'semana') {
+      const fechaInicio = startOfWeek(hoy, { weekStartsOn: 1 });
+      if (fechaInicio > ayer) {
+        throw new Error('La semana actual aún no tiene días cerrados para reportar (hoy es lunes).');
+      }
+      periodo = { fechaInicio, fechaFin: ayer, etiqueta: 'semana' };
+    } else if (/^\d{4}-\d{2}$/.test(primero)) {
+      const [año, mes] = primero.split('-').map(Number);
+      if (mes < 1 || mes > 12) {
+        throw new Error(`El mes "${primero}" no es válido. Usa el formato AAAA-MM.`);
+      }
+      periodo = { ...this.construirMes(año, mes - 1, hoy), etiqueta: 'mes' };
+    } else if (NOMBRES_MESES.includes(primero)) {
+      const mes = NOMBRES_MESES.indexOf(primero);
+      // Sin año explícito se toma la última ocurrencia de ese mes que ya haya empezado.
+      const año = segundo ? Number(segundo) : (mes > hoy.getMonth() ? hoy.getFullYear() - 1 : hoy.getFullYear());
+      if (!Number.isInteger(año) || año < 1900) {
+        throw new Error(`El año "${segundo}" no es válido.`);
+      }
+      periodo = { ...this.construirMes(año, mes, hoy), etiqueta: 'mes' };
+    } else if (/^\d{4}-t[1-4]$/.test(primero)) {
+      const [año, trimestre] = [Number(primero.slice(0, 4)), Number(primero.slice(-1))];
+      const fechaInicio = new Date(año, (trimestre - 1) * 3, 1);
+      if (fechaInicio > ayer) {
+        throw new Error(`El trimestre ${primero.toUpperCase()} aún no tiene días cerrados para reportar.`);
+      }
+      const fechaFinTrimestre = startOfDay(endOfMonth(new Date(año, trimestre * 3 - 1, 1)));
+      periodo = { fechaInicio, fechaFin: fechaFinTrimestre > ayer ? ayer : fechaFinTrimestre, etiqueta: 'trimestre' };
+    } else if (/^\d{4}-\d{2}-\d{2}$/.test(primero)) {
+      const fechaInicio = this.convertirFecha(primero);
+      const fechaFin = segundo ? this.convertirFecha(segundo) : fechaInicio;
+      if (fechaFin < fechaInicio) {
+        throw new Error(`La fecha inicial (${format(fechaInicio, 'dd/MM/yyyy')}) es posterior a la fecha final (${format(fechaFin, 'dd/MM/yyyy')}).`);
+      }
+      if (fechaFin > ayer) {
+        throw new Error(`La fecha final (${format(fechaFin, 'dd/MM/yyyy')}) no puede ser posterior a ayer (${format(ayer, 'dd/MM/yyyy')}): solo se reportan días cerrados.`);
+      }
+      periodo = { fechaInicio, fechaFin, etiqueta: 'rango' };
+    } else {
+      throw new Error(`No se reconoce el período "${args.join(' ')}". Ejemplos: \`2026-03\`, \`marzo 2025\`, \`2026-T1\`, \`2026-09-01 2026-09-15\` o \`semana\`.`);
+    }
+
+    if (differenceInCalendarDays(periodo.fechaFin, periodo.fechaInicio) + 1 > MAXIMO_DIAS_PERIODO) {
+      throw new Error(`El período no puede superar ${MAXIMO_DIAS_PERIODO} días.`);
+    }
+    return periodo;
+  }
+
+  /**
+   * Construye el título legible de un período para los encabezados de los reportes.
+   * @param {{fechaInicio: Date, fechaFin: Date, etiqueta: string}} periodo - El período interpretado.
+   * @returns {string} El título (ej. 'Reporte Mensual - March 2026' o 'Reporte 01/09/2026 - 15/09/2026').
+   */
+  static construirTitulo(periodo) {
+    if (periodo.etiqueta === 'mes') {
+      return `Reporte Mensual - ${format(periodo.fechaInicio, 'MMMM yyyy')}`;
+    }
+    if (periodo.etiqueta === 'semana') {
+      return `Reporte Semanal - ${format(periodo.fechaInicio, 'dd/MM/yyyy')}`;
+    }
+    return `Reporte ${format(periodo.fechaInicio, 'dd/MM/yyyy')} - ${format(periodo.fechaFin, 'dd/MM/yyyy')}`;
+  }
+}
+
+// Exportar la clase para que los comandos de reportes interpreten los períodos de la misma forma.
+module.exports = ServicioPeriodos;
@@ -0,0 +1,241 @@
+// Importar utilidades de date-fns y los servicios de los que dependen las programaciones.
+const { format } = require('date-fns');
+const AlmacenJson = require('./almacenJson.js');
+const { TAREAS_RECORDATORIO } = require('./recordatorios.js');
+
+/**
+ * @constant {string} NOMBRE_ALMACEN
+ * @description Nombre del archivo JSON (dentro de `data/`) donde se guardan las programaciones.
+ */
+const NOMBRE_ALMACEN = 'programaciones';
+
+/**
+ * @constant {Object} CONFIGURACION_INICIAL
+ * @description Contenido del almacén cuando todavía no existe el archivo.
+ * Incluye las dos programaciones habituales, desactivadas para que un despliegue nuevo
+ * no envíe mensajes hasta que un administrador las active.
+ * - `siguienteId`: consecutivo para identificar las nuevas programaciones.
+ * - `programaciones`: reglas con `id`, `cron` (minuto hora día mes díaSemana), `tarea` y `activa`.
+ */
+const CONFIGURACION_INICIAL = {
+  siguienteId: 3,
+  programaciones: [
+    { id: 1, cron: '30 17 * * 1-5', tarea: 'faltantes-hoy', activa: false, ultimaEjecucion: null },
+    { id: 2, cron: '0 9 * * 1', tarea: 'faltantes-semana', activa: false, ultimaEjecucion: null }
+  ]
+};
+
+/**
+ * @constant {Array<{nombre: string, minimo: number, maximo: number}>} CAMPOS_CRON
+ * @description Campos de una expresión cron, en orden. En el día de la semana 0 y 7 son domingo.
+ */
+const CAMPOS_CRON = [
+  { nombre: 'minuto', minimo: 0, maximo: 59 },
+  { nombre: 'hora', minimo: 0, maximo: 23 },
+  { nombre: 'día del mes', minimo: 1, maximo: 31 },
+  { nombre: 'mes', minimo: 1, maximo: 12 },
+  { nombre: 'día de la semana', minimo: 0, maximo: 7 }
+];
+
+/**
+ * @type {NodeJS.Timeout|null}
+ * @description Temporizador activo del programador (uno solo por proceso).
+ */
+let temporizador = null;
+
+/**
+ * @class ServicioProgramaciones
+ * @description Programador interno del bot. Guarda reglas con formato cron y, cada minuto,
+ * ejecuta las tareas de `ServicioRecordatorios` cuyas reglas coinciden con la hora actual
+ * (hora local del servidor, configurable con la variable de entorno `TZ`).
+ */
+class ServicioProgramaciones {
+  /**
+   * Obtiene la configuración actual de programaciones.
+   * @returns {Object} El contenido del almacén de programaciones.
+   */
+  static obtenerConfiguracion() {
+    return AlmacenJson.leer(NOMBRE_ALMACEN, CONFIGURACION_INICIAL);
+  }
+
+  /**
+   * Interpreta un campo de una expresión cron (`*`, `5`, `1-5`, `*\/15`, `1,15`...).
+   * @param {string} texto - El texto del campo.
+   * @param {{nombre: string, minimo: number, maximo: number}} campo - Los límites del campo.
+   * @returns {{valores: Set<number>, esComodin: boolean}} Los valores admitidos por el campo.
+   */
+  static interpretarCampo(texto, campo) {
+    const valores = new Set();
+    texto.split(',').forEach(parte => {
+      const coincidencia = /^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/.exec(parte);
+      if (!coincidencia) {
+        throw new Error(`El ${campo.nombre} "${parte}" no es válido.`);
+      }
+      const inicio = coincidencia[1] === '*' ? campo.minimo : Number(coincidencia[2]);
+      const fin = coincidencia[1] === '*' ? campo.maximo : Number(coincidencia[3] ?? (coincidencia[4] ? campo.maximo : coincidencia[2]));
+      const paso = Number(coincidencia[4] || 1);
+      if (inicio < campo.minimo || fin > campo.maximo || inicio > fin || paso < 1) {
+        throw new Error(`El ${campo.nombre} "${parte}" está fuera del rango ${campo.minimo}-${campo.maximo}.`);
+      }
+      for (let valor = inicio; valor <= fin; valor += paso) valores.add(valor);
+    });
+    return { valores, esComodin: texto === '*' };
+  }
+
+  /**
+   * Interpreta una expresión cron de 5 campos: `minuto hora díaDelMes mes díaDeLaSemana`.
+   * @param {string} expresion - La expresión (ej. '30 17 * * 1-5').
+   * @returns {Array<{valores: Set<number>, esComodin: boolean}>} Los campos interpretados.
+   */
+  static interpretarCron(expresion) {
+    const partes = (expresion || '').trim().split(/\s+/);
+    if (partes.length !== CAMPOS_CRON.length) {
+      throw new Error(`La expresión cron "${expresion}" debe tener 5 campos: minuto hora día mes díaSemana.`);
+    }
+    const campos = partes.map((parte, indice) => this.interpretarCampo(parte, CAMPOS_CRON[indice]));
+    // El domingo se acepta como 0 o 7.
+    if (campos[4].valores.has(7)) campos[4].valores.add(0);
+    return campos;
+  }
+
+  /**
+   * Verifica si una fecha coincide con una expresión cron.
+   * Como en cron, si se restringen tanto el día del mes como el de la semana, basta con que coincida uno.
+   * @param {string} expresion - La expresión cron.
+   * @param {Date} fecha - La fecha a evaluar.
+   * @returns {boolean} `true` si la regla debe ejecutarse en ese minuto.
+   */
+  static coincide(expresion, fecha) {
+    const [minuto, hora, diaMes, mes, diaSemana] = this.interpretarCron(expresion);
+    const coincideDiaMes = diaMes.valores.has(fecha.getDate());
+    const coincideDiaSemana = diaSemana.valores.has(fecha.getDay());
+    const coincideDia = (diaMes.esComodin || diaSemana.esComodin)
+      ? coincideDiaMes && coincideDiaSemana
+      : coincideDiaMes || coincideDiaSemana;
+    return minuto.valores.has(fecha.getMinutes()) && hora.valores.has(fecha.getHours())
+      && mes.valores.has(fecha.getMonth() + 1) && coincideDia;
+  }
+
+  /**
+   * Busca una programación por su identificador.
+   * @param {number|string} id - El identificador.
+   * @returns {Object} La programación.
+   */
+  static obtener(id) {
+    const programacion = this.obtenerConfiguracion().programaciones.find(p => p.id === Number(id));
+    if (!programacion) {
+      throw new Error(`No existe la programación #${id}.`);
+    }
+    return programacion;
+  }
+
+  /**
+   * Crea una nueva programación activa.
+   * @param {string} cron - La expresión cron.
+   * @param {string} tarea - El nombre de la tarea (ver `TAREAS_RECORDATORIO`).
+   * @param {string} creadaPor - El ID de Slack del administrador que la crea.
+   * @returns {Promise<Object>} La programación creada.
+   */
+  static async agregar(cron, tarea, creadaPor) {
+    this.interpretarCron(cron);
+    if (!TAREAS_RECORDATORIO[tarea]) {
+      throw new Error(`La tarea "${tarea}" no existe. Tareas disponibles: ${Object.keys(TAREAS_RECORDATORIO).join(', ')}.`);
+    }
+
+    const configuracion = this.obtenerConfiguracion();
+    const programacion = { id: configuracion.siguienteId, cron: cron.trim().split(/\s+/).join(' '), tarea, activa: true, creadaPor, ultimaEjecucion: null };
+    configuracion.programaciones.push(programacion);
+    configuracion.siguienteId++;
+    await AlmacenJson.guardar(NOMBRE_ALMACEN, configuracion);
+    return programacion;
+  }
+
+  /**
+   * Elimina una programación.
+   * @param {number|string} id - El identificador.
+   * @returns {Promise<void>}
+   */
+  static async quitar(id) {
+    const programacion = this.obtener(id);
+    const configuracion = this.obtenerConfiguracion();
+    configuracion.programaciones = configuracion.programaciones.filter(p => p !== programacion);
+    await AlmacenJson.guardar(NOMBRE_ALMACEN, configuracion);
+  }
+
+  /**
+   * Activa o desactiva una programación.
+   * @param {number|string} id - El identificador.
+   * @param {boolean} activa - El nuevo estado.
+   * @returns {Promise<Object>} La programación actualizada.
+   */
+  static async cambiarEstado(id, activa) {
+    const programacion = this.obtener(id);
+    programacion.activa = activa;
+    await AlmacenJson.guardar(NOMBRE_ALMACEN, this.obtenerConfiguracion());
+    return programacion;
+  }
+
+  /**
+   * Ejecuta la tarea de una programación y registra la fecha de ejecución.
+   * @param {Object} programacion - La programación a ejecutar.
+   * @returns {Promise<{revisados: number, notificados: number, fallidos: number}>} Resultado de la tarea.
+   */
+  static async ejecutar(programacion) {
+    const tarea = TAREAS_RECORDATORIO[programacion.tarea];
+    if (!tarea) {
+      throw new Error(`La tarea "${programacion.tarea}" de la programación #${programacion.id} no existe.`);
+    }
+    programacion.ultimaEjecucion = format(new Date(), "yyyy-MM-dd'T'HH:mm");
+    await AlmacenJson.guardar(NOMBRE_ALMACEN, this.obtenerConfiguracion());
+
+    const resultado = await tarea.ejecutar();
+    console.log(`⏰ Programación #${programacion.id} (${programacion.tarea}): ${resultado.notificados} de ${resultado.revisados} funcionarios notificados, ${resultado.fallidos} con error.`);
+    return resultado;
+  }
+
+  /**
+   * Ejecuta las programaciones activas que coinciden con un minuto. Una regla mal escrita
+   * o una tarea que falla se registra en consola sin afectar a las demás.
+   * @param {Date} fecha - El minuto a evaluar.
+   */
+  static async revisar(fecha) {
+    const minuto = format(fecha, "yyyy-MM-dd'T'HH:mm");
+    const pendientes = this.obtenerConfiguracion().programaciones.filter(programacion => {
+      try {
+        // `ultimaEjecucion` evita ejecutar dos veces la misma regla en el mismo minuto.
+        return programacion.activa && programacion.ultimaEjecucion !== minuto && this.coincide(programacion.cron, fecha);
+      } catch (error) {
+        console.error(`🚨 Programación #${programacion.id} inválida:`, error.message);
+        return false;
+      }
+    });
+
+    for (const programacion of pendientes) {
+      try {
+        await this.ejecutar(programacion);
+      } catch (error) {
+        console.error(`🚨 Error ejecutando la programación #${programacion.id}:`, error);
+      }
+    }
+  }
+
+  /**
+   * Inicia el programador: revisa las reglas al comenzar cada minuto.
+   * Se invoca una sola vez desde `botCore.js` al arrancar el bot.
+   */
+  static iniciar() {
+    if (temporizador) return;
+    const programarSiguiente = () => {
+      const ahora = new Date();
+      const esperaMs = 60000 - (ahora.getSeconds() * 1000 + ahora.getMilliseconds());
+      temporizador = setTimeout(async () => {
+        programarSiguiente();
+        await this.revisar(new Date());
+      }, esperaMs);
+    };
+    programarSiguiente();
+  }
+}
+
+// Exportar la clase para que el bot inicie el programador y el comando de administración lo gestione.
+module.exports = ServicioProgramaciones;
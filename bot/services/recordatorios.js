@@ -0,0 +1,117 @@
+// Importaciones de módulos y servicios compartidos.
+const { format, startOfDay, subWeeks, startOfWeek, endOfWeek } = require('date-fns'); // Librería para manipulación de fechas.
+const { ServicioUsuario, ServicioFechas, ServicioReporteTiempo, MotorReportePeriodo, ConstructorMensajesSlack } = require('./reportes.js'); // Motor de reportes.
+const ServicioEnvioReportes = require('./envioReportes.js'); // Flujo compartido de mensajes directos.
+
+/**
+ * @class ConstructorMensajesRecordatorio
+ * @description Construye los mensajes directos de los recordatorios automáticos.
+ */
+class ConstructorMensajesRecordatorio {
+  /**
+   * Construye el recordatorio de las horas que faltan registrar hoy.
+   * @param {string} nombreUsuario - Nombre del funcionario.
+   * @param {Object} reporteDiario - Resultado de `ServicioReporteTiempo.calcularReporteDiario`.
+   * @returns {Array<Object>} Bloques de Slack.
+   */
+  static construirFaltantesHoy(nombreUsuario, reporteDiario) {
+    const { horas, minutos, minutosPendientes } = reporteDiario;
+    const faltante = `${Math.floor(minutosPendientes / 60)}h ${(minutosPendientes % 60).toString().padStart(2, '0')}m`;
+    return [
+      { type: 'section', text: { type: 'mrkdwn', text: `⏰ *Recordatorio de horas - ${reporteDiario.fecha}*` } },
+      { type: 'section', text: { type: 'mrkdwn', text: `Hola ${nombreUsuario}, hoy llevas *${horas}h ${minutos.toString().padStart(2, '0')}m* registradas. Te faltan *${faltante}* para completar el día.` } },
+      { type: 'context', elements: [{ type: 'mrkdwn', text: 'Registra tus actividades en el CRM antes de terminar la jornada.' }] }
+    ];
+  }
+}
+
+/**
+ * @class ServicioRecordatorios
+ * @description Tareas que pueden ejecutar las programaciones automáticas (`bot/services/programaciones.js`).
+ * Cada tarea recorre los funcionarios activos y envía un mensaje directo solo a quienes tienen faltantes.
+ */
+class ServicioRecordatorios {
+  /**
+   * Envía un recordatorio a cada funcionario que aún no completa las horas del día de hoy.
+   * Los funcionarios para quienes hoy no es laborable (día libre o de descanso en su horario, festivo) se omiten.
+   * @returns {Promise<{revisados: number, notificados: number, fallidos: number}>} Resultado de la ejecución.
+   */
+  static async recordarFaltantesHoy() {
+    const hoy = startOfDay(new Date());
+    const funcionarios = await ServicioUsuario.obtenerTodosFuncionariosActivos();
+    const registros = await ServicioReporteTiempo.obtenerRegistros(funcionarios.map(funcionario => funcionario.funCod), hoy, hoy);
+    let notificados = 0;
+
+    const { fallidos } = await ServicioEnvioReportes.paraCadaFuncionario(funcionarios, async (funcionario, userInfo) => {
+      const festivos = ServicioFechas.obtenerFestivos(funcionario.funCod, hoy, hoy);
+      if (ServicioFechas.obtenerDiasLaborables(hoy, hoy, funcionario.horario, festivos).length === 0) return;
+
+      const reporteDiario = ServicioReporteTiempo.calcularReporteDiario(hoy, ServicioReporteTiempo.buscarRegistro(registros, funcionario.funCod, hoy), funcionario.horario);
+      if (reporteDiario.cumpleRequerimiento) return;
+
+      const nombreUsuario = userInfo.real_name || userInfo.name || 'Usuario';
+      await ServicioEnvioReportes.enviarMensajeDirecto(userInfo.id, {
+        text: `Recordatorio: te faltan horas por registrar hoy`,
+        blocks: ConstructorMensajesRecordatorio.construirFaltantesHoy(nombreUsuario, reporteDiario)
+      });
+      notificados++;
+    });
+
+    return { revisados: funcionarios.length, notificados, fallidos: fallidos.length };
+  }
+
+  /**
+   * Envía a cada funcionario con días incompletos en la semana pasada (lunes a domingo)
+   * su reporte interactivo filtrado a los días con faltantes.
+   * @returns {Promise<{revisados: number, notificados: number, fallidos: number}>} Resultado de la ejecución.
+   */
+  static async recordarFaltantesSemanaPasada() {
+    const semanaPasada = subWeeks(new Date(), 1);
+    const fechaInicio = startOfWeek(semanaPasada, { weekStartsOn: 1 });
+    const fechaFin = startOfDay(endOfWeek(semanaPasada, { weekStartsOn: 1 }));
+    const periodo = {
+      fechaInicio,
+      fechaFin,
+      titulo: `Faltantes semana ${format(fechaInicio, 'dd/MM')} - ${format(fechaFin, 'dd/MM/yyyy')}`,
+      tituloResumen: 'Resumen Semanal'
+    };
+
+    const funcionarios = await ServicioUsuario.obtenerTodosFuncionariosActivos();
+    const reportes = await MotorReportePeriodo.generarVarios(funcionarios, fechaInicio, fechaFin);
+    let notificados = 0;
+
+    const { fallidos } = await ServicioEnvioReportes.paraCadaFuncionario(funcionarios, async (funcionario, userInfo) => {
+      const reporte = reportes.get(funcionario.funCod);
+      if (reporte.reportesDiarios.every(dia => dia.cumpleRequerimiento)) return;
+
+      const nombreUsuario = userInfo.real_name || userInfo.name || 'Usuario';
+      const estado = { ...ServicioEnvioReportes.crearEstado(periodo), soloFaltantes: true };
+      await ServicioEnvioReportes.enviarMensajeDirecto(userInfo.id, {
+        text: `${periodo.titulo} para ${nombreUsuario}`,
+        blocks: ConstructorMensajesSlack.construirReporteInteractivo(nombreUsuario, reporte, estado)
+      });
+      notificados++;
+    });
+
+    return { revisados: funcionarios.length, notificados, fallidos: fallidos.length };
+  }
+}
+
+/**
+ * @constant {Object.<string, {descripcion: string, ejecutar: function(): Promise<Object>}>} TAREAS_RECORDATORIO
+ * @description Tareas disponibles para las programaciones, indexadas por el nombre que usan los administradores.
+ */
+const TAREAS_RECORDATORIO = {
+  'faltantes-hoy': {
+    descripcion: 'Recuerda a quienes no han completado las horas de hoy',
+    ejecutar: () => ServicioRecordatorios.recordarFaltantesHoy()
+  },
+  'faltantes-semana': {
+    descripcion: 'Envía los días con faltantes de la semana pasada',
+    ejecutar: () => ServicioRecordatorios.recordarFaltantesSemanaPasada()
+  }
+};
+
+// Exportar el servicio y el catálogo de tareas para las programaciones.
+module.exports = ServicioRecordatorios;
+module.exports.TAREAS_RECORDATORIO = TAREAS_RECORDATORIO;
@@ -0,0 +1,203 @@
+// Importaciones de módulos necesarios.
+const { format, parseISO, isValid } = require('date-fns'); // Librería para manipulación de fechas.
+const { pool, poolConnect } = require('../../db/conection.js'); // Conexión a la base de datos.
+const sql = require('mssql'); // Driver de SQL Server.
+
+/**
+ * @constant {number} MAXIMO_HORAS_DIA
+ * @description Horas que se pueden registrar en un día sumando todos los tickets: las del propio día.
+ */
+const MAXIMO_HORAS_DIA = 24;
+
+/**
+ * @constant {number} MAXIMO_ACTIVIDADES
+ * @description Máximo de actividades que se ofrecen en el modal (límite de opciones de un `static_select` de Slack).
+ */
+const MAXIMO_ACTIVIDADES = 100;
+
+/**
+ * @function crearErrorValidacion
+ * @description Crea un error de validación asociado a un campo del modal, para mostrarlo junto a ese campo.
+ * @param {string} campo - El campo con el error (`actividad`, `fecha`, `horas` o `minutos`).
+ * @param {string} mensaje - El mensaje para el usuario.
+ * @returns {Error} El error, con la propiedad `campo`.
+ */
+const crearErrorValidacion = (campo, mensaje) => Object.assign(new Error(mensaje), { campo });
+
+/**
+ * @class ServicioRegistroHoras
+ * @description Registra horas en el CRM (`TicketActividadProg`) desde Slack. La única forma de escribir es el
+ * procedimiento almacenado del CRM configurado en `CRM_SP_REGISTRO_HORAS`, que aplica las reglas del CRM
+ * (actividad propia, ticket abierto, columnas propias de GeneXus); sin él, el registro está deshabilitado.
+ * Antes de llamarlo, el bot rechaza lo que nunca es válido: tiempo en cero, minutos fuera de 0 a 59,
+ * fechas futuras y días que superarían las 24 horas.
+ */
+class ServicioRegistroHoras {
+  /**
+   * Obtiene el procedimiento almacenado del CRM que registra las horas (`CRM_SP_REGISTRO_HORAS`).
+   * @returns {string} El nombre del procedimiento.
+   * @throws {Error} Si no está configurado: sin él, el registro está deshabilitado.
+   */
+  static obtenerProcedimiento() {
+    const procedimiento = (process.env.CRM_SP_REGISTRO_HORAS || '').trim();
+    if (!procedimiento) {
+      throw new Error('El registro de horas desde Slack no está habilitado (falta `CRM_SP_REGISTRO_HORAS`). Registra las horas desde el CRM.');
+    }
+    return procedimiento;
+  }
+
+  /**
+   * Obtiene las actividades asignadas a un funcionario, las de los tickets más recientes primero.
+   * Si el ticket de una ya está cerrado, el procedimiento del CRM rechaza el registro.
+   * @param {string} funCod - Código del funcionario.
+   * @returns {Promise<Array<{tickSec: number, tickActLinSec: number, descripcion: string}>>} Las actividades.
+   */
+  static async obtenerActividades(funCod) {
+    await poolConnect;
+    const resultado = await pool.request()
+      .input('funCod', sql.VarChar, funCod)
+      .query(`
+        SELECT TOP ${MAXIMO_ACTIVIDADES} ta.TickSec, ta.TickActLinSec, ta.TickActDes
+        FROM TicketActividad ta
+        WHERE ta.FunCod = @funCod
+        ORDER BY ta.TickSec DESC, ta.TickActLinSec
+      `);
+
+    return resultado.recordset.map(actividad => ({
+      tickSec: actividad.TickSec,
+      tickActLinSec: actividad.TickActLinSec,
+      descripcion: (actividad.TickActDes || '').trim()
+    }));
+  }
+
+  /**
+   * Valida los datos del formulario que no dependen de la base de datos.
+   * @param {Object} datos - Datos escritos en el modal.
+   * @param {string} datos.actividad - La actividad elegida (`TickSec-TickActLinSec`).
+   * @param {string} datos.fecha - El día (`yyyy-MM-dd`).
+   * @param {string|number} datos.horas - Las horas.
+   * @param {string|number} datos.minutos - Los minutos.
+   * @returns {{tickSec: number, tickActLinSec: number, fecha: Date, horas: number, minutos: number}} Los datos interpretados.
+   */
+  static validar({ actividad, fecha, horas, minutos }) {
+    const [tickSec, tickActLinSec] = String(actividad || '').split('-').map(Number);
+    if (!Number.isInteger(tickSec) || !Number.isInteger(tickActLinSec)) {
+      throw crearErrorValidacion('actividad', 'Elige una actividad.');
+    }
+
+    const dia = fecha ? parseISO(fecha) : null;
+    if (!dia || !isValid(dia)) throw crearErrorValidacion('fecha', 'Elige una fecha válida.');
+    if (format(dia, 'yyyy-MM-dd') > format(new Date(), 'yyyy-MM-dd')) {
+      throw crearErrorValidacion('fecha', 'No se pueden registrar horas en días futuros.');
+    }
+
+    const horasNumero = Number(horas || 0);
+    const minutosNumero = Number(minutos || 0);
+    if (!Number.isInteger(horasNumero) || horasNumero < 0 || horasNumero > MAXIMO_HORAS_DIA) {
+      throw crearErrorValidacion('horas', `Las horas deben ser un número entero entre 0 y ${MAXIMO_HORAS_DIA}.`);
+    }
+    if (!Number.isInteger(minutosNumero) || minutosNumero < 0 || minutosNumero > 59) {
+      throw crearErrorValidacion('minutos', 'Los minutos deben ser un número entero entre 0 y 59.');
+    }
+    if (horasNumero * 60 + minutosNumero === 0) {
+      throw crearErrorValidacion('horas', 'El tiempo registrado debe ser mayor a cero.');
+    }
+
+    return { tickSec, tickActLinSec, fecha: dia, horas: horasNumero, minutos: minutosNumero };
+  }
+
+  /**
+   * Suma los minutos registrados por un funcionario en un día, en todas sus actividades.
+   * @param {sql.Request} solicitud - La solicitud (de la transacción o del pool) con la que se consulta.
+   * @param {string} funCod - Código del funcionario.
+   * @param {Date} fecha - El día.
+   * @returns {Promise<number>} Los minutos registrados.
+   */
+  static async obtenerMinutosDia(solicitud, funCod, fecha) {
+    const resultado = await solicitud
+      .input('funCod', sql.VarChar, funCod)
+      .input('fecha', sql.Date, format(fecha, 'yyyy-MM-dd'))
+      .query(`
+        SELECT ISNULL(SUM(tap.TickActConsHor * 60 + tap.TickActConsMin), 0) AS TotalMinutos
+        FROM
+          TicketActividad ta
+          INNER JOIN TicketActividadProg tap ON ta.TickSec = tap.TickSec AND ta.TickActLinSec = tap.TickActLinSec
+        WHERE ta.FunCod = @funCod
+          AND tap.TickFechaProg >= @fecha
+          AND tap.TickFechaProg < DATEADD(DAY, 1, @fecha)
+      `);
+    return resultado.recordset[0].TotalMinutos;
+  }
+
+  /**
+   * Registra horas en una actividad con el procedimiento del CRM (`CRM_SP_REGISTRO_HORAS`). El procedimiento
+   * recibe `@TickSec`, `@TickActLinSec`, `@FunCod`, `@TickFechaProg`, `@TickActConsHor` y `@TickActConsMin`,
+   * llena `TicketActividadProg` y rechaza el registro con `RAISERROR`/`THROW` si no cumple las reglas del CRM;
+   * su mensaje se muestra tal como lo reporta. La suma del día y la llamada se hacen en una transacción
+   * serializable, de modo que dos registros simultáneos no puedan superar juntos las 24 horas.
+   * @param {string} funCod - Código del funcionario que registra las horas.
+   * @param {Object} datos - Datos escritos en el modal (ver `validar`).
+   * @returns {Promise<{tickSec: number, tickActLinSec: number, descripcion: string, fecha: Date, horas: number, minutos: number, minutosDia: number}>}
+   * El registro creado y el total de minutos del día después de registrarlo.
+   * @throws {Error} Si `CRM_SP_REGISTRO_HORAS` no está configurado.
+   */
+  static async registrar(funCod, datos) {
+    const procedimiento = this.obtenerProcedimiento();
+    const registro = this.validar(datos);
+    const minutosRegistro = registro.horas * 60 + registro.minutos;
+
+    await poolConnect;
+    const transaccion = new sql.Transaction(pool);
+    await transaccion.begin(sql.ISOLATION_LEVEL.SERIALIZABLE);
+    try {
+      // 1. El total del día (todas las actividades del funcionario) no puede superar las 24 horas.
+      const minutosPrevios = await this.obtenerMinutosDia(new sql.Request(transaccion), funCod, registro.fecha);
+      const minutosDia = minutosPrevios + minutosRegistro;
+      if (minutosDia > MAXIMO_HORAS_DIA * 60) {
+        const disponibles = Math.max(0, MAXIMO_HORAS_DIA * 60 - minutosPrevios);
+        throw crearErrorValidacion('horas', `El día superaría las ${MAXIMO_HORAS_DIA}h registradas. Puedes registrar como máximo ${Math.floor(disponibles / 60)}h ${(disponibles % 60).toString().padStart(2, '0')}m.`);
+      }
+
+      // 2. El procedimiento del CRM valida la actividad y el ticket e inserta el registro.
+      await new sql.Request(transaccion)
+        .input('TickSec', sql.Int, registro.tickSec)
+        .input('TickActLinSec', sql.Int, registro.tickActLinSec)
+        .input('FunCod', sql.VarChar, funCod)
+        .input('TickFechaProg', sql.Date, format(registro.fecha, 'yyyy-MM-dd'))
+        .input('TickActConsHor', sql.Int, registro.horas)
+        .input('TickActConsMin', sql.Int, registro.minutos)
+        .execute(procedimiento);
+
+      // La descripción solo se consulta para la confirmación.
+      const descripcion = await this.obtenerDescripcion(new sql.Request(transaccion), registro);
+      await transaccion.commit();
+      return { ...registro, descripcion, minutosDia };
+    } catch (error) {
+      // Si el rollback también falla (ej. la conexión se cayó), se registra y se conserva el error original.
+      try {
+        await transaccion.rollback();
+      } catch (errorRollback) {
+        console.error('🚨 Error al revertir el registro de horas:', errorRollback);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Obtiene la descripción de una actividad.
+   * @param {sql.Request} solicitud - La solicitud (de la transacción o del pool) con la que se consulta.
+   * @param {{tickSec: number, tickActLinSec: number}} registro - La actividad.
+   * @returns {Promise<string>} La descripción, o vacío si no tiene.
+   */
+  static async obtenerDescripcion(solicitud, registro) {
+    const resultado = await solicitud
+      .input('tickSec', sql.Int, registro.tickSec)
+      .input('tickActLinSec', sql.Int, registro.tickActLinSec)
+      .query('SELECT TickActDes FROM TicketActividad WHERE TickSec = @tickSec AND TickActLinSec = @tickActLinSec');
+    return resultado.recordset.length > 0 ? (resultado.recordset[0].TickActDes || '').trim() : '';
+  }
+}
+
+// Exportar la clase y el máximo del día para el comando `crm-log` y su modal.
+module.exports = ServicioRegistroHoras;
+module.exports.MAXIMO_HORAS_DIA = MAXIMO_HORAS_DIA;
@@ -0,0 +1,693 @@
+// Importaciones de módulos y librerías necesarias.
+const { pool, poolConnect } = require('../../db/conection.js'); // Conexión a la base de datos.
+const sql = require('mssql'); // Driver de SQL Server.
+const { format, eachDayOfInterval, startOfWeek, subMonths, startOfMonth, endOfMonth } = require('date-fns'); // Librería para manipulación de fechas.
+const ServicioCalendarios = require('./calendarios.js'); // Calendarios de festivos configurables.
+const ServicioHorarios = require('./horarios.js'); // Perfiles de horario de los funcionarios.
+const ServicioPeriodos = require('./periodos.js'); // Títulos de los períodos.
+const DirectorioSlack = require('./directorioSlack.js'); // Directorio de usuarios de Slack en memoria.
+const ServicioVinculos = require('./vinculos.js'); // Vínculos entre funcionarios y usuarios de Slack.
+
+/**
+ * @constant {number} FUNCIONARIOS_POR_CONSULTA
+ * @description Máximo de funcionarios por consulta agrupada de horas. SQL Server admite hasta
+ * 2100 parámetros por consulta, así que los envíos masivos se dividen en bloques de este tamaño.
+ */
+const FUNCIONARIOS_POR_CONSULTA = 500;
+
+/**
+ * @class ServicioUsuario
+ * @description Encapsula la lógica para obtener información de los usuarios desde Slack y la base de datos.
+ */
+class ServicioUsuario {
+  /**
+   * Obtiene la información del perfil de un usuario de Slack a partir de su ID.
+   * @param {string} userId - El ID del usuario en Slack (ej. 'U123ABC456').
+   * @returns {Promise<Object>} El objeto `user` de la API de Slack.
+   */
+  static async obtenerInformacionUsuario(userId) {
+    try {
+      if (!userId) {
+        throw new Error('No se proporcionó un ID de usuario');
+      }
+      const usuario = await DirectorioSlack.buscarPorId(userId);
+      if (!usuario) {
+        throw new Error(`No existe el usuario de Slack ${userId}`);
+      }
+      return usuario;
+    } catch (error) {
+      console.error('Error al obtener info del usuario:', error);
+      // Devuelve un objeto por defecto en caso de error para evitar fallos.
+      return {
+        real_name: 'Usuario',
+        name: 'usuario_desconocido',
+        profile: { email: 'usuario@desconocido.com' }
+      };
+    }
+  }
+
+  /**
+   * Obtiene el usuario de Slack vinculado a un funcionario.
+   * Se consulta el directorio en memoria, así que un envío masivo no descarga la lista de usuarios por cada funcionario.
+   * @param {Object} funcionario - Un elemento de `obtenerTodosFuncionariosActivos`.
+   * @returns {Promise<Object|null>} El objeto del miembro de Slack o `null` si no está vinculado.
+   */
+  static async obtenerInformacionUsuarioPorFuncionario(funcionario) {
+    try {
+      const userId = await ServicioVinculos.obtenerUserId(funcionario.funCod, funcionario.username);
+      return userId ? await DirectorioSlack.buscarPorId(userId) : null;
+    } catch (error) {
+      console.error(`Error al obtener el usuario de Slack del funcionario ${funcionario.funCod}:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Obtiene el código de funcionario, su tipo de descanso y su horario a partir del usuario de Slack,
+   * usando el vínculo registrado en `ServicioVinculos`.
+   * @param {Object} usuarioSlack - El objeto `user` de la API de Slack.
+   * @returns {Promise<Object>} Un objeto con `funCod`, `tipoDescanso` y `horario` (ver `ServicioHorarios.obtenerHorario`).
+   */
+  static async obtenerDatosEmpleado(usuarioSlack) {
+    const funCodVinculado = await ServicioVinculos.obtenerFunCod(usuarioSlack.id);
+    if (!funCodVinculado) {
+      throw new Error('Tu usuario de Slack no está vinculado a un funcionario del CRM. Escribe `vincular TU_USUARIO_CRM` para solicitar el vínculo.');
+    }
+
+    await poolConnect;
+    const resultado = await pool.request()
+      .input('funCod', sql.VarChar, funCodVinculado)
+      .query(`
+        SELECT FunCod, TipoDescanso
+        FROM Funcionarios
+        WHERE FunCod = @funCod
+        AND FunEst = 'A'
+      `);
+
+    if (resultado.recordset.length === 0) {
+      throw new Error(`No se encontró un funcionario activo con código ${funCodVinculado}`);
+    }
+
+    const { FunCod, TipoDescanso } = resultado.recordset[0];
+    return { funCod: FunCod, tipoDescanso: TipoDescanso, horario: ServicioHorarios.obtenerHorario(FunCod, TipoDescanso) };
+  }
+
+  /**
+   * Obtiene el área de trabajo (`TrabajoArea`) de un funcionario.
+   * @param {string} funCod - El código del funcionario.
+   * @returns {Promise<{trabAreId: number, nombre: string}|null>} El área o `null` si no tiene una asignada.
+   */
+  static async obtenerAreaFuncionario(funCod) {
+    await poolConnect;
+    const resultado = await pool.request()
+      .input('funCod', sql.VarChar, funCod)
+      .query(`
+        SELECT ta.TrabAreId, ta.TrabAreNom
+        FROM Funcionarios f
+        INNER JOIN TrabajoArea ta ON f.TrabAreId = ta.TrabAreId
+        WHERE f.FunCod = @funCod
+      `);
+    if (resultado.recordset.length === 0) return null;
+    const { TrabAreId, TrabAreNom } = resultado.recordset[0];
+    return { trabAreId: TrabAreId, nombre: TrabAreNom };
+  }
+
+  /**
+   * Obtiene todos los funcionarios activos, opcionalmente de una sola área.
+   * `username` es el `FunDirEmail`, que solo se usa para emparejar a quienes aún no están vinculados con Slack.
+   * @param {number|null} [trabAreId=null] - Si se indica, solo se devuelven los funcionarios de esa área.
+   * @returns {Promise<Array<Object>>} Array de objetos con `funCod`, `tipoDescanso`, `horario`, `username`,
+   * `nombre`, `trabAreId` y `area`. Se omiten los funcionarios cuyo horario no se puede resolver. Si no hay
+   * ninguno (ej. un área sin integrantes activos), el arreglo está vacío y cada comando decide qué mostrar.
+   */
+  static async obtenerTodosFuncionariosActivos(trabAreId = null) {
+    await poolConnect;
+    const resultado = await pool.request()
+      .input('trabAreId', sql.Int, trabAreId)
+      .query(`
+        SELECT f.FunCod, f.TipoDescanso, f.FunDirEmail, f.FunNom, f.TrabAreId, ta.TrabAreNom
+        FROM Funcionarios f
+        LEFT JOIN TrabajoArea ta ON f.TrabAreId = ta.TrabAreId
+        WHERE f.FunEst = 'A'
+        AND (@trabAreId IS NULL OR f.TrabAreId = @trabAreId)
+      `);
+    return resultado.recordset
+      .map(funcionario => {
+        try {
+          return {
+            funCod: funcionario.FunCod,
+            tipoDescanso: funcionario.TipoDescanso,
+            horario: ServicioHorarios.obtenerHorario(funcionario.FunCod, funcionario.TipoDescanso),
+            username: funcionario.FunDirEmail,
+            nombre: funcionario.FunNom,
+            trabAreId: funcionario.TrabAreId,
+            area: funcionario.TrabAreNom || 'Sin área'
+          };
+        } catch (error) {
+          console.warn(`Funcionario ${funcionario.FunCod} omitido: ${error.message}`);
+          return null;
+        }
+      })
+      .filter(funcionario => funcionario !== null);
+  }
+}
+
+/**
+ * @class ServicioFechas
+ * @description Agrupa métodos estáticos para la manipulación y cálculo de fechas.
+ */
+class ServicioFechas {
+  /**
+   * Obtiene los días no laborables de un funcionario en un rango según su calendario asignado.
+   * @param {string} funCod - Código del funcionario.
+   * @param {Date} fechaInicio - Inicio del rango.
+   * @param {Date} fechaFin - Fin del rango.
+   * @returns {Array<string>} Fechas en formato `yyyy-MM-dd`.
+   */
+  static obtenerFestivos(funCod, fechaInicio, fechaFin) {
+    return ServicioCalendarios.obtenerFestivos(funCod, fechaInicio, fechaFin);
+  }
+
+  /**
+   * Filtra los días de un rango dejando solo los laborables: los que no son festivos y tienen minutos
+   * requeridos en el horario del funcionario (sin días libres ni descansos de la rotación).
+   * @param {Date} fechaInicio - Inicio del rango.
+   * @param {Date} fechaFin - Fin del rango.
+   * @param {Horario} horario - El horario del funcionario (ver `ServicioHorarios.obtenerHorario`).
+   * @param {Array<string>} festivos - Fechas no laborables (`yyyy-MM-dd`).
+   * @returns {Array<Date>} Días laborables del rango.
+   */
+  static obtenerDiasLaborables(fechaInicio, fechaFin, horario, festivos) {
+    const todosLosDias = eachDayOfInterval({ start: fechaInicio, end: fechaFin });
+
+    return todosLosDias.filter(dia => {
+      const esFestivo = festivos.includes(format(dia, 'yyyy-MM-dd'));
+      return !esFestivo && ServicioHorarios.obtenerMinutosRequeridos(horario, dia) > 0;
+    });
+  }
+
+  /**
+   * Cuenta los días de descanso por la rotación del horario en un rango (ej. los sábados de descanso).
+   * @param {Date} fechaInicio - Inicio del rango.
+   * @param {Date} fechaFin - Fin del rango.
+   * @param {Horario} horario - El horario del funcionario.
+   * @returns {number} Cantidad de días excluidos por la rotación.
+   */
+  static contarDescansosRotativos(fechaInicio, fechaFin, horario) {
+    return eachDayOfInterval({ start: fechaInicio, end: fechaFin })
+      .filter(dia => ServicioHorarios.esDescansoRotativo(horario, dia))
+      .length;
+  }
+
+  /**
+   * Agrupa reportes diarios por semana (de lunes a domingo), ordenadas cronológicamente.
+   * @param {Array<Object>} dias - Reportes diarios con la propiedad `fechaObj`.
+   * @returns {Array<Array<Object>>} Un array por semana.
+   */
+  static agruparPorSemanas(dias) {
+    if (dias.length === 0) return [];
+
+    const semanasAgrupadas = new Map();
+    dias.forEach(dia => {
+      const inicioDeSemana = startOfWeek(dia.fechaObj, { weekStartsOn: 1 });
+      const inicioDeSemanaStr = format(inicioDeSemana, 'yyyy-MM-dd');
+
+      if (!semanasAgrupadas.has(inicioDeSemanaStr)) {
+        semanasAgrupadas.set(inicioDeSemanaStr, []);
+      }
+
+      semanasAgrupadas.get(inicioDeSemanaStr).push(dia);
+    });
+
+    return Array.from(semanasAgrupadas.values()).sort((semanaA, semanaB) => semanaA[0].fechaObj - semanaB[0].fechaObj);
+  }
+}
+
+/**
+ * @class ServicioReporteTiempo
+ * @description Contiene la lógica para consultar y calcular los tiempos registrados.
+ */
+class ServicioReporteTiempo {
+  /**
+   * Normaliza un código de funcionario para buscarlo en los registros (la BD puede devolverlo
+   * con espacios o con otras mayúsculas).
+   * @param {string} funCod - Código del funcionario.
+   * @returns {string} El código normalizado.
+   */
+  static normalizarFunCod(funCod) {
+    return String(funCod).trim().toUpperCase();
+  }
+
+  /**
+   * Obtiene las horas registradas de uno o varios funcionarios en un rango de fechas con una sola
+   * consulta agrupada por funcionario y día (una por cada bloque de `FUNCIONARIOS_POR_CONSULTA`).
+   * @param {Array<string>} funCods - Códigos de los funcionarios.
+   * @param {Date} fechaInicio - Inicio del rango (inclusive).
+   * @param {Date} fechaFin - Fin del rango (inclusive).
+   * @returns {Promise<Map<string, Map<string, {TotalHoras: number, TotalMinutos: number}>>>} Mapa
+   * `FunCod normalizado -> (yyyy-MM-dd -> totales del día)`. Los días sin registros no aparecen.
+   */
+  static async obtenerRegistros(funCods, fechaInicio, fechaFin) {
+    const registros = new Map();
+    if (funCods.length === 0 || fechaFin < fechaInicio) return registros;
+
+    await poolConnect;
+    for (let inicio = 0; inicio < funCods.length; inicio += FUNCIONARIOS_POR_CONSULTA) {
+      const bloque = funCods.slice(inicio, inicio + FUNCIONARIOS_POR_CONSULTA);
+      const solicitud = pool.request()
+        .input('fechaInicio', sql.Date, format(fechaInicio, 'yyyy-MM-dd'))
+        .input('fechaFin', sql.Date, format(fechaFin, 'yyyy-MM-dd'));
+      bloque.forEach((funCod, indice) => solicitud.input(`funCod${indice}`, sql.VarChar, funCod));
+
+      // El filtro por rango sobre `TickFechaProg` (sin convertir la columna) permite usar sus índices;
+      // la fecha se devuelve como texto para no depender de la zona horaria del servidor.
+      const resultado = await solicitud.query(`
+        SELECT
+          ta.FunCod,
+          CONVERT(CHAR(10), CONVERT(DATE, tap.TickFechaProg), 23) AS Fecha,
+          SUM(tap.TickActConsHor) AS TotalHoras,
+          SUM(tap.TickActConsMin) AS TotalMinutos
+        FROM
+          TicketActividad ta
+          INNER JOIN TicketActividadProg tap ON ta.TickSec = tap.TickSec AND ta.TickActLinSec = tap.TickActLinSec
+          INNER JOIN Ticket t ON ta.TickSec = t.TickSec
+        WHERE
+          ta.FunCod IN (${bloque.map((_, indice) => `@funCod${indice}`).join(', ')})
+          AND tap.TickFechaProg >= @fechaInicio
+          AND tap.TickFechaProg < DATEADD(DAY, 1, @fechaFin)
+        GROUP BY ta.FunCod, CONVERT(DATE, tap.TickFechaProg)
+      `);
+
+      resultado.recordset.forEach(({ FunCod, Fecha, TotalHoras, TotalMinutos }) => {
+        const clave = this.normalizarFunCod(FunCod);
+        if (!registros.has(clave)) registros.set(clave, new Map());
+        registros.get(clave).set(Fecha, { TotalHoras, TotalMinutos });
+      });
+    }
+    return registros;
+  }
+
+  /**
+   * Obtiene el reporte de horas de un día específico para un funcionario.
+   * Para varios días o funcionarios conviene usar `obtenerRegistros` y `calcularReporteDiario`.
+   * @param {{funCod: string, horario: Horario}} funcionario - El funcionario.
+   * @param {Date} fecha - La fecha del reporte.
+   * @returns {Promise<Object>} Un objeto con el detalle del reporte diario.
+   */
+  static async obtenerReporteDiario(funcionario, fecha) {
+    const registros = await this.obtenerRegistros([funcionario.funCod], fecha, fecha);
+    return this.calcularReporteDiario(fecha, this.buscarRegistro(registros, funcionario.funCod, fecha), funcionario.horario);
+  }
+
+  /**
+   * Busca los totales de un funcionario en un día dentro del resultado de `obtenerRegistros`.
+   * @param {Map} registros - Resultado de `obtenerRegistros`.
+   * @param {string} funCod - Código del funcionario.
+   * @param {Date} fecha - El día a buscar.
+   * @returns {{TotalHoras: number, TotalMinutos: number}|null} Los totales o `null` si no registró horas.
+   */
+  static buscarRegistro(registros, funCod, fecha) {
+    const registrosFuncionario = registros.get(this.normalizarFunCod(funCod));
+    return (registrosFuncionario && registrosFuncionario.get(format(fecha, 'yyyy-MM-dd'))) || null;
+  }
+
+  /**
+   * Calcula el reporte de horas de un día a partir de sus totales registrados.
+   * @param {Date} fecha - La fecha del reporte.
+   * @param {{TotalHoras: number, TotalMinutos: number}|null} registro - Totales del día (`null` si no hay registros).
+   * @param {Horario} horario - El horario del funcionario, que define los minutos requeridos del día.
+   * @returns {Object} Un objeto con el detalle del reporte diario.
+   */
+  static calcularReporteDiario(fecha, registro, horario) {
+    const minutosRequeridos = ServicioHorarios.obtenerMinutosRequeridos(horario, fecha);
+
+    const { TotalHoras, TotalMinutos } = registro || { TotalHoras: null, TotalMinutos: null };
+    let horasRegistradas = 0, minutosRegistrados = 0, mensaje = '';
+
+    if (TotalHoras !== null && TotalMinutos !== null) {
+      horasRegistradas = TotalHoras + Math.floor(TotalMinutos / 60);
+      minutosRegistrados = TotalMinutos % 60;
+    }
+
+    // Minutos que faltan para cumplir el requerimiento del día (0 si ya se cumplió; "más horas" también cuenta como cumplido).
+    const minutosPendientes = Math.max(0, minutosRequeridos - (horasRegistradas * 60 + minutosRegistrados));
+    const cumpleRequerimiento = minutosPendientes === 0;
+    const faltante = cumpleRequerimiento ? '' : ` - *Faltan ${Math.floor(minutosPendientes / 60)}h ${minutosPendientes % 60}m*`;
+
+    if (TotalHoras !== null && TotalMinutos !== null) {
+      mensaje = `*${horasRegistradas}h ${minutosRegistrados.toString().padStart(2, '0')}m*${faltante}`;
+    } else {
+      mensaje = `*Sin registro*${faltante}`;
+    }
+
+    return {
+      fecha: format(fecha, 'dd/MM/yyyy'), fechaObj: fecha,
+      mensaje: mensaje, horas: horasRegistradas, minutos: minutosRegistrados,
+      cumpleRequerimiento: cumpleRequerimiento, minutosRequeridos, minutosPendientes
+    };
+  }
+
+  /**
+   * Calcula el resumen de horas para un conjunto de días (semanal o mensual).
+   * @param {Array<Object>} diasSemana - Array de reportes diarios.
+   * @returns {Object} Resumen con totales y estado de cumplimiento.
+   */
+  static calcularResumenSemanal(diasSemana) {
+    const totalHoras = diasSemana.reduce((sum, dia) => sum + dia.horas, 0);
+    const totalMinutos = diasSemana.reduce((sum, dia) => sum + dia.minutos, 0);
+    const horasFormateadas = totalHoras + Math.floor(totalMinutos / 60);
+    const minutosFormateados = totalMinutos % 60;
+
+    // El requerido es la suma de los requeridos de cada día según el horario del funcionario.
+    const totalMinutosRequeridos = diasSemana.reduce((sum, dia) => sum + dia.minutosRequeridos, 0);
+    const cumpleRequerimiento = horasFormateadas * 60 + minutosFormateados >= totalMinutosRequeridos;
+
+    return {
+      totalHoras: horasFormateadas, totalMinutos: minutosFormateados,
+      horasRequeridas: `${Math.floor(totalMinutosRequeridos / 60)}h ${(totalMinutosRequeridos % 60).toString().padStart(2, '0')}m`,
+      cumpleRequerimiento
+    };
+  }
+
+  /**
+   * Calcula el resumen mensual a partir de todos los reportes diarios del período.
+   * @param {Array<Object>} diasReporte - Todos los reportes diarios del período.
+   * @param {number} descansosExcluidos - Conteo de días de descanso por la rotación del horario.
+   * @param {number} festivosExcluidos - Conteo de festivos.
+   * @returns {Object} Objeto con el resumen mensual completo.
+   */
+  static calcularResumenMensual(diasReporte, descansosExcluidos, festivosExcluidos) {
+    const resumen = this.calcularResumenSemanal(diasReporte);
+    return { ...resumen, descansosExcluidos, festivosExcluidos };
+  }
+}
+
+/**
+ * @class MotorReportePeriodo
+ * @description Motor único de reportes: dado un funcionario y un rango de fechas, calcula
+ * los reportes diarios, los resúmenes semanales y el resumen del período.
+ * Todos los comandos de reportes lo usan para que las reglas de horas sean las mismas en todos.
+ */
+class MotorReportePeriodo {
+  /**
+   * Genera el reporte completo de un funcionario para un rango de fechas.
+   * @param {{funCod: string, horario: Horario}} funcionario - El funcionario a reportar.
+   * @param {Date} fechaInicio - Inicio del período (inclusive).
+   * @param {Date} fechaFin - Fin del período (inclusive).
+   * @param {Map|null} [registros=null] - Horas ya consultadas con `ServicioReporteTiempo.obtenerRegistros`
+   * (las usa `generarVarios`); si no se indican, se consultan las del funcionario.
+   * @returns {Promise<Object>} Objeto con `reportesDiarios`, `semanas`, `resumenMensual`,
+   * `descansosExcluidos` y `festivosExcluidos`.
+   */
+  static async generar(funcionario, fechaInicio, fechaFin, registros = null) {
+    const { funCod, horario } = funcionario;
+
+    // Un período vacío (ej. el primer día del mes, cuando "ayer" es del mes anterior) no tiene días.
+    if (fechaFin < fechaInicio) {
+      return {
+        funcionario, fechaInicio, fechaFin, reportesDiarios: [], semanas: [],
+        resumenMensual: ServicioReporteTiempo.calcularResumenMensual([], 0, 0),
+        descansosExcluidos: 0, festivosExcluidos: 0
+      };
+    }
+
+    // 1. Obtener festivos y calcular días laborables.
+    const festivos = ServicioFechas.obtenerFestivos(funCod, fechaInicio, fechaFin);
+    const diasLaborables = ServicioFechas.obtenerDiasLaborables(fechaInicio, fechaFin, horario, festivos);
+
+    // 2. Contar días no laborables para el resumen.
+    const descansosExcluidos = ServicioFechas.contarDescansosRotativos(fechaInicio, fechaFin, horario);
+    const festivosExcluidos = festivos.length;
+
+    // 3. Generar el reporte diario para cada día laborable con las horas de todo el período (una sola consulta).
+    const registrosPeriodo = registros || await ServicioReporteTiempo.obtenerRegistros([funCod], fechaInicio, fechaFin);
+    const reportesDiarios = diasLaborables.map(dia =>
+      ServicioReporteTiempo.calcularReporteDiario(dia, ServicioReporteTiempo.buscarRegistro(registrosPeriodo, funCod, dia), horario));
+
+    // 4. Agrupar por semanas y calcular el resumen de cada una.
+    const semanas = ServicioFechas.agruparPorSemanas(reportesDiarios).map((dias, indice) => ({
+      numero: indice + 1,
+      dias,
+      fechaInicio: dias[0].fechaObj,
+      fechaFin: dias[dias.length - 1].fechaObj,
+      resumen: ServicioReporteTiempo.calcularResumenSemanal(dias)
+    }));
+
+    // 5. Calcular el resumen del período completo.
+    const resumenMensual = ServicioReporteTiempo.calcularResumenMensual(reportesDiarios, descansosExcluidos, festivosExcluidos);
+
+    return { funcionario, fechaInicio, fechaFin, reportesDiarios, semanas, resumenMensual, descansosExcluidos, festivosExcluidos };
+  }
+
+  /**
+   * Genera el reporte de varios funcionarios para el mismo rango de fechas, consultando las horas
+   * de todos con una sola consulta agrupada. Es lo que usan los envíos masivos y el reporte de equipo.
+   * @param {Array<{funCod: string, horario: Horario}>} funcionarios - Los funcionarios a reportar.
+   * @param {Date} fechaInicio - Inicio del período (inclusive).
+   * @param {Date} fechaFin - Fin del período (inclusive).
+   * @returns {Promise<Map<string, Object>>} Mapa `funCod -> reporte` con el mismo formato que `generar`.
+   */
+  static async generarVarios(funcionarios, fechaInicio, fechaFin) {
+    const registros = await ServicioReporteTiempo.obtenerRegistros(funcionarios.map(funcionario => funcionario.funCod), fechaInicio, fechaFin);
+    const reportes = new Map();
+    for (const funcionario of funcionarios) {
+      reportes.set(funcionario.funCod, await this.generar(funcionario, fechaInicio, fechaFin, registros));
+    }
+    return reportes;
+  }
+}
+
+/**
+ * @typedef {Object} EstadoReporte
+ * @description Estado de un reporte interactivo. Se guarda en el `value` de sus botones.
+ * @property {string} fechaInicio - Inicio del período (`yyyy-MM-dd`).
+ * @property {string} fechaFin - Fin del período (`yyyy-MM-dd`).
+ * @property {string} titulo - Título del encabezado del reporte.
+ * @property {string} tituloResumen - Título del resumen del período.
+ * @property {number} pagina - Índice de la semana mostrada.
+ * @property {boolean} soloFaltantes - Si solo se muestran los días que no cumplen el requerimiento.
+ */
+
+/**
+ * @class ConstructorMensajesSlack
+ * @description Se encarga de crear los bloques de mensajes de Slack de los reportes, separando la vista de la lógica.
+ */
+class ConstructorMensajesSlack {
+  /**
+   * Construye el bloque de encabezado del reporte.
+   * @param {string} titulo - Título del reporte (ej. 'Reporte Mensual - octubre 2026').
+   * @param {string} nombreUsuario - Nombre del funcionario.
+   * @param {Object} reporte - Resultado de `MotorReportePeriodo.generar`.
+   * @returns {Array<Object>} Bloques de Slack.
+   */
+  static construirMensajeInicial(titulo, nombreUsuario, reporte) {
+    const { funcionario, fechaInicio, fechaFin, descansosExcluidos, festivosExcluidos } = reporte;
+    return [
+      { type: 'header', text: { type: 'plain_text', text: `📅 ${titulo}` } },
+      { type: 'section', text: { type: 'mrkdwn', text: `*Usuario:* ${nombreUsuario} (${funcionario.funCod})\n*Horario:* ${funcionario.horario.nombre}\n*Período:* ${format(fechaInicio, 'dd/MM/yyyy')} - ${format(fechaFin, 'dd/MM/yyyy')}\n*Descansos excluidos:* ${descansosExcluidos}\n*Festivos excluidos:* ${festivosExcluidos}` } },
+      { type: 'divider' }
+    ];
+  }
+
+  /**
+   * Construye los bloques para mostrar el reporte de una semana.
+   * @param {Object} semana - Semana generada por `MotorReportePeriodo.generar`.
+   * @param {boolean} [esUltimaSemana=false] - La última semana no muestra total (lo reemplaza el resumen).
+   * @returns {Array<Object>} Bloques de Slack.
+   */
+  static construirMensajeSemanal(semana, esUltimaSemana = false) {
+    const { numero, dias, fechaInicio, fechaFin, resumen } = semana;
+
+    const bloquesSemana = [
+      { type: 'header', text: { type: 'plain_text', text: `📆 Semana ${numero} (${format(fechaInicio, 'dd/MM')} - ${format(fechaFin, 'dd/MM')})` } }
+    ];
+
+    // El requerido de cada día depende del horario del funcionario, así que se muestra junto a la fecha.
+    const textoDia = (dia) => `${dia.cumpleRequerimiento ? '✅' : '⚠️'} *${dia.fecha}* · Req. ${Math.floor(dia.minutosRequeridos / 60)}h ${(dia.minutosRequeridos % 60).toString().padStart(2, '0')}m\n${dia.mensaje}`;
+
+    // Se muestran juntos todos los días que exige el perfil de horario, sin importar el día de la semana.
+    if (dias.length > 0) {
+      bloquesSemana.push({ type: 'section', text: { type: 'mrkdwn', text: '*📝 Días laborales*' } });
+      for (let i = 0; i < dias.length; i += 2) {
+        const campos = dias.slice(i, i + 2).map(dia => ({ type: 'mrkdwn', text: textoDia(dia) }));
+        while (campos.length < 2) campos.push({ type: 'mrkdwn', text: ' ' });
+        bloquesSemana.push({ type: 'section', fields: campos });
+      }
+    }
+
+    // Un botón por día abre el detalle por ticket (`crm-check-day`) de quien lo presiona.
+    if (dias.length > 0) {
+      bloquesSemana.push({
+        type: 'actions',
+        elements: dias.map((dia, indice) => ({
+          type: 'button',
+          action_id: `detalle_dia_${indice}`,
+          text: { type: 'plain_text', text: `${dia.cumpleRequerimiento ? '🔎' : '⚠️'} ${format(dia.fechaObj, 'dd/MM')}` },
+          value: format(dia.fechaObj, 'yyyy-MM-dd')
+        }))
+      });
+    }
+
+    if (!esUltimaSemana) {
+      bloquesSemana.push({
+        type: 'context',
+        elements: [{ type: 'mrkdwn', text: `*📊 Total semana ${numero}:* ${resumen.totalHoras}h ${resumen.totalMinutos.toString().padStart(2, '0')}m (Requerido: ${resumen.horasRequeridas}) ${resumen.cumpleRequerimiento ? '✅' : '⚠️'}` }]
+      });
+    }
+
+    bloquesSemana.push({ type: 'divider' });
+    return bloquesSemana;
+  }
+
+  /**
+   * Construye el bloque de resumen final del período.
+   * @param {string} titulo - Título del resumen (ej. 'Resumen Mensual').
+   * @param {Object} resumenMensual - Objeto con el resumen del período.
+   * @returns {Array<Object>} Bloques de Slack.
+   */
+  static construirResumenMensual(titulo, resumenMensual) {
+    return [
+      { type: 'header', text: { type: 'plain_text', text: `📊 ${titulo}` } },
+      { type: 'section', fields: [
+          { type: 'mrkdwn', text: `*Total registrado:* ${resumenMensual.totalHoras}h ${resumenMensual.totalMinutos.toString().padStart(2, '0')}m` },
+          { type: 'mrkdwn', text: `*Requerido:* ${resumenMensual.horasRequeridas}` }
+      ]},
+      { type: 'section', fields: [{ type: 'mrkdwn', text: `*Estado:* ${resumenMensual.cumpleRequerimiento ? '✅ Cumple' : '⚠️ No cumple'}` }] },
+      { type: 'section', fields: [
+          { type: 'mrkdwn', text: `*Descansos excluidos:* ${resumenMensual.descansosExcluidos}` },
+          { type: 'mrkdwn', text: `*Festivos excluidos:* ${resumenMensual.festivosExcluidos}` }
+      ]}
+    ];
+  }
+
+  /**
+   * Construye un botón de navegación del reporte interactivo. El estado de destino viaja en `value`,
+   * así el manejador de la acción solo tiene que regenerar el reporte con ese estado.
+   * @param {string} actionId - Identificador de la acción (prefijo `reporte_`).
+   * @param {string} texto - Texto del botón.
+   * @param {EstadoReporte} estado - Estado que se mostrará al presionar el botón.
+   * @returns {Object} Elemento `button` de Slack.
+   */
+  static construirBotonReporte(actionId, texto, estado) {
+    return { type: 'button', action_id: actionId, text: { type: 'plain_text', text: texto }, value: JSON.stringify(estado) };
+  }
+
+  /**
+   * Construye el reporte como un único mensaje interactivo: encabezado, una semana por página,
+   * resumen del período y botones de navegación. Mostrar una semana a la vez mantiene el mensaje
+   * muy por debajo del límite de 50 bloques de Slack, sin importar la longitud del período.
+   * @param {string} nombreUsuario - Nombre del funcionario.
+   * @param {Object} reporte - Resultado de `MotorReportePeriodo.generar`.
+   * @param {EstadoReporte} estado - Página, filtro y títulos que se muestran.
+   * @returns {Array<Object>} Bloques de Slack.
+   */
+  static construirReporteInteractivo(nombreUsuario, reporte, estado) {
+    const bloques = [...this.construirMensajeInicial(estado.titulo, nombreUsuario, reporte)];
+
+    // 1. Aplicar el filtro "Solo días con faltantes" a cada semana, descartando las que quedan vacías.
+    const semanas = estado.soloFaltantes
+      ? reporte.semanas
+          .map(semana => ({ ...semana, dias: semana.dias.filter(dia => !dia.cumpleRequerimiento) }))
+          .filter(semana => semana.dias.length > 0)
+      : reporte.semanas;
+    const pagina = Math.min(Math.max(estado.pagina || 0, 0), Math.max(semanas.length - 1, 0));
+
+    // 2. Mostrar la semana de la página actual.
+    if (semanas.length > 0) {
+      bloques.push(...this.construirMensajeSemanal(semanas[pagina]));
+      bloques.push({ type: 'context', elements: [{ type: 'mrkdwn', text: `Semana ${pagina + 1} de ${semanas.length}${estado.soloFaltantes ? ' · Solo días con faltantes' : ''}` }] });
+    } else if (reporte.semanas.length > 0) {
+      bloques.push({ type: 'section', text: { type: 'mrkdwn', text: '*✅ No hay días con faltantes en el período*' } });
+    } else {
+      bloques.push(...this.construirMensajeSinDias());
+    }
+
+    // 3. Resumen del período, siempre visible.
+    if (reporte.semanas.length > 0) {
+      bloques.push(...this.construirResumenMensual(estado.tituloResumen, reporte.resumenMensual));
+    }
+
+    // 4. Botones de navegación.
+    const botones = [];
+    if (pagina > 0) {
+      botones.push(this.construirBotonReporte('reporte_semana_anterior', '◀️ Semana anterior', { ...estado, pagina: pagina - 1 }));
+    }
+    if (pagina < semanas.length - 1) {
+      botones.push(this.construirBotonReporte('reporte_semana_siguiente', 'Semana siguiente ▶️', { ...estado, pagina: pagina + 1 }));
+    }
+    if (reporte.semanas.length > 0) {
+      botones.push(this.construirBotonReporte('reporte_solo_faltantes', estado.soloFaltantes ? '📋 Ver todos los días' : '⚠️ Solo días con faltantes', { ...estado, pagina: 0, soloFaltantes: !estado.soloFaltantes }));
+    }
+    const mesPasado = startOfMonth(subMonths(reporte.fechaInicio, 1));
+    botones.push(this.construirBotonReporte('reporte_mes_pasado', '⏪ Ver mes pasado', {
+      fechaInicio: format(mesPasado, 'yyyy-MM-dd'),
+      fechaFin: format(endOfMonth(mesPasado), 'yyyy-MM-dd'),
+      titulo: ServicioPeriodos.construirTitulo({ fechaInicio: mesPasado, etiqueta: 'mes' }),
+      tituloResumen: 'Resumen Mensual',
+      pagina: 0,
+      soloFaltantes: estado.soloFaltantes
+    }));
+    bloques.push({ type: 'actions', elements: botones });
+
+    return bloques;
+  }
+
+  /**
+   * Construye una lista larga en varias secciones, respetando el límite de 3000 caracteres
+   * por bloque de texto de Slack. Si la lista está vacía no devuelve bloques.
+   * @param {string} titulo - Título de la lista (se muestra en la primera sección).
+   * @param {Array<string>} lineas - Las líneas de la lista.
+   * @returns {Array<Object>} Bloques de Slack.
+   */
+  static construirSeccionesLista(titulo, lineas) {
+    const MAXIMO_CARACTERES = 2900;
+    const textos = [titulo];
+    lineas.forEach(linea => {
+      if (textos[textos.length - 1].length + linea.length + 1 > MAXIMO_CARACTERES) {
+        textos.push(linea);
+      } else {
+        textos[textos.length - 1] += `\n${linea}`;
+      }
+    });
+    return lineas.length > 0 ? textos.map(texto => ({ type: 'section', text: { type: 'mrkdwn', text: texto } })) : [];
+  }
+
+  /**
+   * Construye el mensaje mostrado cuando el período no tiene días laborables.
+   * @returns {Array<Object>} Bloques de Slack.
+   */
+  static construirMensajeSinDias() {
+    return [{ type: 'section', text: { type: 'mrkdwn', text: '*ℹ️ No hay días laborables en el período solicitado*' } }];
+  }
+
+  /**
+   * Construye un mensaje de confirmación estandarizado (ej. tras un cambio hecho por un administrador).
+   * @param {string} texto - El texto a mostrar.
+   * @returns {Array<Object>} Bloques de Slack.
+   */
+  static construirConfirmacion(texto) {
+    return [{ type: 'section', text: { type: 'mrkdwn', text: `✅ ${texto}` } }];
+  }
+
+  /**
+   * Construye un mensaje de error estandarizado.
+   * @param {Error} error - El error capturado.
+   * @param {string} [titulo='Error al generar el reporte mensual'] - Título del mensaje.
+   * @returns {Array<Object>} Bloques de Slack.
+   */
+  static construirMensajeError(error, titulo = 'Error al generar el reporte mensual') {
+    return [
+      { type: 'section', text: { type: 'mrkdwn', text: `❌ *${titulo}*` } },
+      { type: 'section', text: { type: 'mrkdwn', text: `*Detalles:*\n${error.message}` } }
+    ];
+  }
+}
+
+// Exportar las clases compartidas por todos los comandos de reportes.
+module.exports = {
+  ServicioUsuario,
+  ServicioFechas,
+  ServicioReporteTiempo,
+  MotorReportePeriodo,
+  ConstructorMensajesSlack
+};
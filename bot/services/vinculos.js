@@ -0,0 +1,240 @@
+// Importaciones de módulos necesarios.
+const { pool, poolConnect } = require('../../db/conection.js'); // Conexión a la base de datos.
+const sql = require('mssql'); // Driver de SQL Server.
+const AlmacenJson = require('./almacenJson.js'); // Persistencia de los vínculos.
+const DirectorioSlack = require('./directorioSlack.js'); // Directorio de usuarios de Slack en memoria.
+
+/**
+ * @constant {string} NOMBRE_ALMACEN
+ * @description Nombre del archivo JSON (dentro de `data/`) donde se guardan los vínculos.
+ */
+const NOMBRE_ALMACEN = 'vinculos';
+
+/**
+ * @constant {Object} CONFIGURACION_INICIAL
+ * @description Contenido del almacén cuando todavía no existe el archivo.
+ * - `vinculos`: mapa `FunCod -> { userId, metodo, vinculadoPor, vinculadoEn }`.
+ * - `solicitudes`: mapa `FunCod -> { userId, solicitadaEn }` con las solicitudes de `vincular` pendientes de aprobación.
+ * - `descartados`: mapa `FunCod -> userId` de vínculos quitados por un administrador, que no se vuelven a crear automáticamente.
+ */
+const CONFIGURACION_INICIAL = { vinculos: {}, solicitudes: {}, descartados: {} };
+
+/**
+ * @constant {Object.<string, string>} METODOS_VINCULO
+ * @description Formas en que se puede crear un vínculo, con su descripción para los mensajes.
+ */
+const METODOS_VINCULO = {
+  automatico: 'Coincidencia de `FunDirEmail` con el email verificado de Slack',
+  solicitud: 'Solicitud `vincular` aprobada por un administrador',
+  admin: 'Asignado por un administrador'
+};
+
+/**
+ * @class ServicioVinculos
+ * @description Tabla única que relaciona cada funcionario (`FunCod`) con su usuario de Slack (ID).
+ * Todos los comandos, reportes y notificaciones identifican a las personas a través de ella.
+ * Cuando un funcionario aún no está vinculado se intenta emparejarlo una sola vez comparando
+ * `FunDirEmail` con el email del perfil de Slack, y el resultado queda guardado. El `name` de Slack
+ * no se usa porque cada persona lo elige; quien no coincida por email puede pedir el vínculo con
+ * `vincular` y un administrador lo aprueba.
+ */
+class ServicioVinculos {
+  /**
+   * Normaliza un código de funcionario para usarlo como clave del almacén.
+   * @param {string|number} funCod - El código del funcionario.
+   * @returns {string} El código sin espacios y en mayúsculas.
+   */
+  static normalizar(funCod) {
+    return String(funCod).trim().toUpperCase();
+  }
+
+  /**
+   * Obtiene el contenido actual del almacén de vínculos.
+   * @returns {Object} El contenido del almacén.
+   */
+  static obtenerConfiguracion() {
+    return AlmacenJson.leer(NOMBRE_ALMACEN, CONFIGURACION_INICIAL);
+  }
+
+  /**
+   * Busca el funcionario vinculado a un usuario de Slack, sin intentar emparejarlo.
+   * @param {string} userId - El ID del usuario en Slack.
+   * @returns {string|null} El `FunCod` o `null` si no está vinculado.
+   */
+  static buscarFunCodVinculado(userId) {
+    const vinculo = Object.entries(this.obtenerConfiguracion().vinculos).find(([, datos]) => datos.userId === userId);
+    return vinculo ? vinculo[0] : null;
+  }
+
+  /**
+   * Vincula un funcionario con un usuario de Slack. Un usuario de Slack solo puede estar
+   * vinculado a un funcionario; si el funcionario tenía otro usuario, se reemplaza.
+   * @param {string} funCod - El código del funcionario.
+   * @param {string} userId - El ID del usuario en Slack.
+   * @param {string} metodo - Cómo se creó el vínculo (una clave de `METODOS_VINCULO`).
+   * @param {string|null} [vinculadoPor=null] - ID de Slack del administrador que lo creó.
+   * @returns {Promise<void>}
+   */
+  static async vincular(funCod, userId, metodo, vinculadoPor = null) {
+    const clave = this.normalizar(funCod);
+    const funCodActual = this.buscarFunCodVinculado(userId);
+    if (funCodActual && funCodActual !== clave) {
+      throw new Error(`El usuario <@${userId}> ya está vinculado al funcionario ${funCodActual}. Quita ese vínculo primero.`);
+    }
+
+    const configuracion = this.obtenerConfiguracion();
+    configuracion.vinculos[clave] = { userId, metodo, vinculadoPor, vinculadoEn: new Date().toISOString() };
+    delete configuracion.solicitudes[clave];
+    delete configuracion.descartados[clave];
+    await AlmacenJson.guardar(NOMBRE_ALMACEN, configuracion);
+  }
+
+  /**
+   * Elimina el vínculo de un funcionario. La pareja queda descartada para que la coincidencia
+   * por `FunDirEmail` no la vuelva a crear; se puede vincular de nuevo con una asignación o una solicitud.
+   * @param {string} funCod - El código del funcionario.
+   * @returns {Promise<void>}
+   */
+  static async desvincular(funCod) {
+    const clave = this.normalizar(funCod);
+    const configuracion = this.obtenerConfiguracion();
+    if (!configuracion.vinculos[clave]) {
+      throw new Error(`El funcionario ${clave} no está vinculado a ningún usuario de Slack.`);
+    }
+    configuracion.descartados[clave] = configuracion.vinculos[clave].userId;
+    delete configuracion.vinculos[clave];
+    await AlmacenJson.guardar(NOMBRE_ALMACEN, configuracion);
+  }
+
+  /**
+   * Obtiene el funcionario de un usuario de Slack. Si no está vinculado, intenta emparejarlo
+   * comparando `FunDirEmail` con el email de su perfil de Slack y guarda el vínculo encontrado.
+   * @param {string} userId - El ID del usuario en Slack.
+   * @returns {Promise<string|null>} El `FunCod` o `null` si no hay un funcionario asociado.
+   */
+  static async obtenerFunCod(userId) {
+    if (!userId) return null;
+    const funCodVinculado = this.buscarFunCodVinculado(userId);
+    if (funCodVinculado) return funCodVinculado;
+
+    // Solo el email del perfil lo confirma Slack; sin él no hay coincidencia automática.
+    const usuarioSlack = await DirectorioSlack.buscarPorId(userId);
+    const email = usuarioSlack && usuarioSlack.profile?.email;
+    if (!email) return null;
+
+    await poolConnect;
+    const resultado = await pool.request()
+      .input('email', sql.VarChar(254), email)
+      .query(`SELECT FunCod FROM Funcionarios WHERE FunEst = 'A' AND FunDirEmail = @email`);
+
+    // Solo se vincula si la coincidencia es única, el funcionario no tiene ya otro usuario de Slack
+    // y un administrador no quitó antes este mismo vínculo.
+    if (resultado.recordset.length !== 1) return null;
+    const funCod = this.normalizar(resultado.recordset[0].FunCod);
+    const configuracion = this.obtenerConfiguracion();
+    if (configuracion.vinculos[funCod] || configuracion.descartados[funCod] === userId) return null;
+
+    await this.vincular(funCod, userId, 'automatico');
+    console.log(`🔗 Funcionario ${funCod} vinculado automáticamente con ${userId}.`);
+    return funCod;
+  }
+
+  /**
+   * Obtiene el usuario de Slack de un funcionario. Si no está vinculado, intenta emparejarlo
+   * con el usuario de Slack cuyo email de perfil es su `FunDirEmail` y guarda el vínculo encontrado.
+   * @param {string} funCod - El código del funcionario.
+   * @param {string|null} [funDirEmail] - El `FunDirEmail` del funcionario, si ya se consultó.
+   * @returns {Promise<string|null>} El ID de Slack o `null` si no hay un usuario asociado.
+   */
+  static async obtenerUserId(funCod, funDirEmail) {
+    if (!funCod) return null;
+    const clave = this.normalizar(funCod);
+    const configuracion = this.obtenerConfiguracion();
+    const vinculo = configuracion.vinculos[clave];
+    if (vinculo) return vinculo.userId;
+
+    if (funDirEmail === undefined) {
+      await poolConnect;
+      const resultado = await pool.request()
+        .input('funCod', sql.VarChar, funCod)
+        .query(`SELECT FunDirEmail FROM Funcionarios WHERE FunCod = @funCod AND FunEst = 'A'`);
+      funDirEmail = resultado.recordset.length > 0 ? resultado.recordset[0].FunDirEmail : null;
+    }
+
+    const usuarioSlack = await DirectorioSlack.buscarPorEmail(funDirEmail);
+    if (!usuarioSlack || this.buscarFunCodVinculado(usuarioSlack.id) || configuracion.descartados[clave] === usuarioSlack.id) return null;
+
+    await this.vincular(clave, usuarioSlack.id, 'automatico');
+    console.log(`🔗 Funcionario ${clave} vinculado automáticamente con ${usuarioSlack.id}.`);
+    return usuarioSlack.id;
+  }
+
+  /**
+   * Busca un funcionario activo por su usuario del CRM (`FunUsu`) o su código.
+   * @param {string} usuarioCrm - El usuario del CRM o el `FunCod`.
+   * @returns {Promise<{FunCod: string, FunNom: string, FunUsu: string}|null>} El funcionario o `null`.
+   */
+  static async buscarFuncionario(usuarioCrm) {
+    await poolConnect;
+    const resultado = await pool.request()
+      .input('usuario', sql.VarChar, String(usuarioCrm).trim())
+      .query(`SELECT FunCod, FunNom, FunUsu FROM Funcionarios WHERE FunEst = 'A' AND (FunUsu = @usuario OR FunCod = @usuario)`);
+    return resultado.recordset.length === 1 ? resultado.recordset[0] : null;
+  }
+
+  /**
+   * Registra una solicitud de vínculo de un usuario de Slack con un funcionario, pendiente
+   * de aprobación por un administrador.
+   * @param {string} userId - El ID del usuario en Slack que solicita el vínculo.
+   * @param {string} usuarioCrm - El usuario del CRM (`FunUsu`) indicado por la persona.
+   * @returns {Promise<{funCod: string, nombre: string}>} El funcionario solicitado.
+   */
+  static async solicitar(userId, usuarioCrm) {
+    const funCodActual = await this.obtenerFunCod(userId);
+    if (funCodActual) {
+      throw new Error(`Tu usuario de Slack ya está vinculado al funcionario *${funCodActual}*.`);
+    }
+
+    const funcionario = await this.buscarFuncionario(usuarioCrm);
+    if (!funcionario) {
+      throw new Error(`No se encontró un funcionario activo con el usuario del CRM \`${usuarioCrm}\`.`);
+    }
+    const funCod = this.normalizar(funcionario.FunCod);
+    const configuracion = this.obtenerConfiguracion();
+    if (configuracion.vinculos[funCod]) {
+      throw new Error(`El funcionario \`${usuarioCrm}\` ya está vinculado a otro usuario de Slack. Contacta a un administrador.`);
+    }
+
+    configuracion.solicitudes[funCod] = { userId, solicitadaEn: new Date().toISOString() };
+    await AlmacenJson.guardar(NOMBRE_ALMACEN, configuracion);
+    return { funCod, nombre: (funcionario.FunNom || '').trim() };
+  }
+
+  /**
+   * Aprueba o rechaza la solicitud de vínculo pendiente de un funcionario.
+   * @param {string} funCod - El código del funcionario.
+   * @param {boolean} aprobar - `true` para crear el vínculo, `false` para descartar la solicitud.
+   * @param {string} administradorId - ID de Slack del administrador que resuelve la solicitud.
+   * @returns {Promise<{userId: string, solicitadaEn: string}>} La solicitud resuelta.
+   */
+  static async resolverSolicitud(funCod, aprobar, administradorId) {
+    const clave = this.normalizar(funCod);
+    const configuracion = this.obtenerConfiguracion();
+    const solicitud = configuracion.solicitudes[clave];
+    if (!solicitud) {
+      throw new Error(`No hay una solicitud de vínculo pendiente para el funcionario ${clave}.`);
+    }
+
+    if (aprobar) {
+      await this.vincular(clave, solicitud.userId, 'solicitud', administradorId);
+    } else {
+      delete configuracion.solicitudes[clave];
+      await AlmacenJson.guardar(NOMBRE_ALMACEN, configuracion);
+    }
+    return solicitud;
+  }
+}
+
+// Exportar la clase y los métodos de vínculo para los comandos de vínculos.
+module.exports = ServicioVinculos;
+module.exports.METODOS_VINCULO = METODOS_VINCULO;
@@ -0,0 +1,36 @@
+-- Roles del bot de Slack y listas de funcionarios que limitan algunos comandos.
+-- Se ejecuta una sola vez en la base de datos del CRM, antes de desplegar la versión del bot que los usa.
+-- Es idempotente: si las tablas o los registros ya existen, no los modifica.
+
+-- Rol de cada funcionario. Los funcionarios que no aparecen tienen el rol `empleado`.
+IF OBJECT_ID('dbo.BotRoles', 'U') IS NULL
+BEGIN
+  CREATE TABLE dbo.BotRoles (
+    FunCod VARCHAR(50) NOT NULL CONSTRAINT PK_BotRoles PRIMARY KEY,
+    Rol VARCHAR(20) NOT NULL CONSTRAINT CK_BotRoles_Rol CHECK (Rol IN ('lider', 'admin')),
+    AsignadoEn DATETIME NOT NULL CONSTRAINT DF_BotRoles_AsignadoEn DEFAULT GETDATE()
+  );
+END;
+
+-- Funcionarios a los que está limitado un comando, además del rol que exige.
+-- Un comando sin filas aquí lo ejecuta cualquiera con el rol.
+IF OBJECT_ID('dbo.BotRolesComando', 'U') IS NULL
+BEGIN
+  CREATE TABLE dbo.BotRolesComando (
+    Comando VARCHAR(50) NOT NULL,
+    FunCod VARCHAR(50) NOT NULL,
+    CONSTRAINT PK_BotRolesComando PRIMARY KEY (Comando, FunCod)
+  );
+END;
+
+-- Administradores que el bot tenía escritos en el código antes de los roles.
+INSERT INTO dbo.BotRoles (FunCod, Rol)
+SELECT v.FunCod, 'admin'
+FROM (VALUES ('LUDWINGV'), ('KARLAC'), ('10'), ('11'), ('8')) AS v(FunCod)
+WHERE NOT EXISTS (SELECT 1 FROM dbo.BotRoles r WHERE r.FunCod = v.FunCod);
+
+-- `crm-check-all-admin` conserva la lista que tenía en el código, que no incluía a `LUDWINGV`.
+INSERT INTO dbo.BotRolesComando (Comando, FunCod)
+SELECT 'crm-check-all-admin', v.FunCod
+FROM (VALUES ('KARLAC'), ('10'), ('11'), ('8')) AS v(FunCod)
+WHERE NOT EXISTS (SELECT 1 FROM dbo.BotRolesComando c WHERE c.Comando = 'crm-check-all-admin' AND c.FunCod = v.FunCod);
@@ -0,0 +1,91 @@
+// Importaciones de módulos necesarios.
+const { test, beforeEach } = require('node:test'); // Ejecutor de pruebas de Node.js.
+const assert = require('node:assert/strict'); // Aserciones.
+const ServicioAutenticacionEndpoint = require('../bot/services/autenticacionEndpoint.js'); // Módulo a probar.
+
+const SECRETO = 'secreto-de-prueba';
+const RUTA = '/api/notificar-tareas/NotificarAsignado/15';
+
+/**
+ * Construye una solicitud de Express mínima con los encabezados indicados.
+ * @param {Object.<string, string>} encabezados - Encabezados de la solicitud.
+ * @param {Object} [opciones] - Opciones adicionales.
+ * @param {string} [opciones.cuerpo=''] - Cuerpo crudo.
+ * @param {string} [opciones.ip='::ffff:10.0.0.5'] - IP de origen.
+ * @param {string} [opciones.ruta=RUTA] - Ruta con su query string.
+ * @returns {Object} La solicitud.
+ */
+const crearSolicitud = (encabezados, { cuerpo = '', ip = '::ffff:10.0.0.5', ruta = RUTA } = {}) => ({
+  ip,
+  originalUrl: ruta,
+  cuerpoCrudo: Buffer.from(cuerpo),
+  get: nombre => encabezados[nombre]
+});
+
+/**
+ * Construye una solicitud firmada con `SECRETO`.
+ * @param {string} cuerpo - Cuerpo crudo.
+ * @param {number} [timestamp] - Segundos Unix (ahora por defecto).
+ * @returns {Object} La solicitud.
+ */
+const crearSolicitudFirmada = (cuerpo, timestamp = Math.floor(Date.now() / 1000)) => crearSolicitud({
+  'X-Crm-Timestamp': String(timestamp),
+  'X-Crm-Firma': ServicioAutenticacionEndpoint.calcularFirma(SECRETO, String(timestamp), RUTA, cuerpo)
+}, { cuerpo });
+
+beforeEach(() => {
+  process.env.NOTIFICACIONES_SECRETO = SECRETO;
+  delete process.env.NOTIFICACIONES_API_KEY;
+  delete process.env.NOTIFICACIONES_IPS_PERMITIDAS;
+  delete process.env.NOTIFICACIONES_VENTANA_SEGUNDOS;
+});
+
+test('calcularFirma firma `timestamp:ruta:cuerpo` con HMAC-SHA256', () => {
+  assert.equal(
+    ServicioAutenticacionEndpoint.calcularFirma('clave', '1700000000', '/ruta', '{}'),
+    'sha256=d18ff0cbd7aced4fccdb26c11da9f79dfd21b9c0233995effa79e9a6825a5276'
+  );
+});
+
+test('verificar acepta una solicitud firmada y rechaza su repetición marcándola como repetida', () => {
+  const solicitud = crearSolicitudFirmada('{"prueba":"repetida"}');
+  assert.doesNotThrow(() => ServicioAutenticacionEndpoint.verificar(solicitud));
+  assert.throws(() => ServicioAutenticacionEndpoint.verificar(solicitud), error => error.codigoHttp === 401 && error.repetida === true);
+});
+
+test('verificar rechaza una firma que no corresponde al cuerpo', () => {
+  const solicitud = crearSolicitudFirmada('{"prueba":"original"}');
+  solicitud.cuerpoCrudo = Buffer.from('{"prueba":"modificada"}');
+  assert.throws(() => ServicioAutenticacionEndpoint.verificar(solicitud), error => error.codigoHttp === 401 && !error.repetida);
+});
+
+test('verificar rechaza un timestamp ausente o fuera de la ventana', () => {
+  assert.throws(() => ServicioAutenticacionEndpoint.verificar(crearSolicitud({ 'X-Crm-Firma': 'sha256=00' })), /Timestamp ausente/);
+  const antigua = crearSolicitudFirmada('{"prueba":"antigua"}', Math.floor(Date.now() / 1000) - 301);
+  assert.throws(() => ServicioAutenticacionEndpoint.verificar(antigua), /fuera de la ventana de 300s/);
+  process.env.NOTIFICACIONES_VENTANA_SEGUNDOS = '600';
+  assert.doesNotThrow(() => ServicioAutenticacionEndpoint.verificar(antigua));
+});
+
+test('verificar rechaza todas las solicitudes si no hay credenciales configuradas', () => {
+  delete process.env.NOTIFICACIONES_SECRETO;
+  assert.throws(() => ServicioAutenticacionEndpoint.verificar(crearSolicitudFirmada('{"prueba":"sin-credenciales"}')), /no tiene credenciales configuradas/);
+});
+
+test('verificar acepta la API key una vez por timestamp y ruta', () => {
+  delete process.env.NOTIFICACIONES_SECRETO;
+  process.env.NOTIFICACIONES_API_KEY = 'api-key-de-prueba';
+  const timestamp = String(Math.floor(Date.now() / 1000));
+  assert.throws(() => ServicioAutenticacionEndpoint.verificar(crearSolicitud({ 'X-Crm-Timestamp': timestamp, 'X-Api-Key': 'otra' })), /no es válida/);
+  const solicitud = crearSolicitud({ 'X-Crm-Timestamp': timestamp, 'X-Api-Key': 'api-key-de-prueba' }, { ruta: '/api/notificar-tareas/NotificarCreador/7' });
+  assert.doesNotThrow(() => ServicioAutenticacionEndpoint.verificar(solicitud));
+  assert.throws(() => ServicioAutenticacionEndpoint.verificar(solicitud), error => error.repetida === true);
+});
+
+test('verificar rechaza con 403 las IPs que no están en la lista', () => {
+  process.env.NOTIFICACIONES_IPS_PERMITIDAS = '10.0.0.5, 10.0.0.6';
+  assert.doesNotThrow(() => ServicioAutenticacionEndpoint.verificar(crearSolicitudFirmada('{"prueba":"ip-permitida"}')));
+  const solicitud = crearSolicitudFirmada('{"prueba":"ip-no-permitida"}');
+  solicitud.ip = '10.0.0.7';
+  assert.throws(() => ServicioAutenticacionEndpoint.verificar(solicitud), error => error.codigoHttp === 403);
+});
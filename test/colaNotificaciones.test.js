@@ -0,0 +1,131 @@
+// Importaciones de módulos necesarios.
+const { test, before, after } = require('node:test'); // Ejecutor de pruebas de Node.js.
+const assert = require('node:assert/strict'); // Aserciones.
+const fs = require('fs'); // Carpeta temporal de los almacenes.
+const os = require('os'); // Directorio temporal del sistema.
+const path = require('path'); // Rutas de la carpeta temporal.
+
+// Los almacenes se guardan en una carpeta temporal, que se debe definir antes de cargar `AlmacenJson`.
+process.env.BOT_DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'cola-notificaciones-'));
+const ColaNotificaciones = require('../bot/services/colaNotificaciones.js'); // Módulo a probar.
+
+/**
+ * @type {function(Object, Array<string>): Promise<Object>}
+ * @description Respuesta del entregador de cada prueba.
+ */
+let entregador = async () => ({ enviados: [], sinVinculo: [], fallidos: [] });
+
+/**
+ * @type {Array<Array<string>>}
+ * @description `FunCod` omitidos en cada llamada al entregador.
+ */
+let omitidosPorIntento = [];
+
+/**
+ * Construye una notificación pendiente sin intentos, como la deja `encolar`.
+ * @param {number} id - El ID de la notificación.
+ * @returns {Object} La notificación.
+ */
+const crearNotificacion = (id) => ({
+  id,
+  clave: `NotificarAsignado:${id}:1792430035`,
+  evento: 'NotificarAsignado',
+  tarSec: id,
+  datos: {},
+  estado: 'pendiente',
+  intentos: 0,
+  destinatarios: {},
+  ultimoError: null,
+  proximoIntento: new Date().toISOString()
+});
+
+before(() => {
+  ColaNotificaciones.iniciar((notificacion, omitidos) => {
+    omitidosPorIntento.push(omitidos);
+    return entregador(notificacion, omitidos);
+  });
+});
+
+after(() => {
+  ColaNotificaciones.detener();
+  fs.rmSync(process.env.BOT_DATA_DIR, { recursive: true, force: true });
+});
+
+test('procesar marca la notificación como entregada y registra el estado de cada destinatario', async () => {
+  const notificacion = crearNotificacion(1);
+  entregador = async () => ({ enviados: ['JUANP'], sinVinculo: ['ANAG'], fallidos: [] });
+
+  await ColaNotificaciones.procesar(notificacion);
+
+  assert.equal(notificacion.estado, 'entregada');
+  assert.equal(notificacion.intentos, 1);
+  assert.equal(notificacion.ultimoError, null);
+  assert.equal(notificacion.destinatarios.JUANP.estado, 'entregada');
+  assert.deepEqual(notificacion.destinatarios.ANAG, { estado: 'sin_vinculo' });
+});
+
+test('procesar reintenta solo a los destinatarios que fallaron, con espera exponencial', async () => {
+  const notificacion = crearNotificacion(2);
+  omitidosPorIntento = [];
+
+  entregador = async () => ({ enviados: ['JUANP'], sinVinculo: [], fallidos: [{ funCod: 'ANAG', motivo: 'ratelimited' }] });
+  const inicio = Date.now();
+  await ColaNotificaciones.procesar(notificacion);
+  assert.equal(notificacion.estado, 'pendiente');
+  assert.match(notificacion.ultimoError, /ANAG \(ratelimited\)/);
+  assert.deepEqual(notificacion.destinatarios.ANAG, { estado: 'fallida', motivo: 'ratelimited' });
+  const espera = new Date(notificacion.proximoIntento).getTime() - inicio;
+  assert.ok(espera >= 29000 && espera <= 31000, `espera de ${espera}ms`);
+
+  entregador = async () => ({ enviados: ['ANAG'], sinVinculo: [], fallidos: [] });
+  await ColaNotificaciones.procesar(notificacion);
+  assert.deepEqual(omitidosPorIntento, [[], ['JUANP']]);
+  assert.equal(notificacion.estado, 'entregada');
+  assert.equal(notificacion.intentos, 2);
+  assert.equal(notificacion.destinatarios.ANAG.estado, 'entregada');
+});
+
+test('procesar no reintenta los errores de la solicitud', async () => {
+  const notificacion = crearNotificacion(3);
+  entregador = async () => { throw Object.assign(new Error('La tarea 3 no existe.'), { codigoHttp: 404 }); };
+
+  await ColaNotificaciones.procesar(notificacion);
+
+  assert.equal(notificacion.estado, 'fallida');
+  assert.equal(notificacion.intentos, 1);
+  assert.equal(notificacion.ultimoError, 'La tarea 3 no existe.');
+});
+
+test('procesar marca la notificación como fallida al agotar los intentos', async () => {
+  const notificacion = crearNotificacion(4);
+  entregador = async () => { throw new Error('Slack no responde.'); };
+
+  for (let intento = 1; intento <= 5; intento++) {
+    const inicio = Date.now();
+    await ColaNotificaciones.procesar(notificacion);
+    assert.equal(notificacion.estado, 'pendiente');
+    const espera = new Date(notificacion.proximoIntento).getTime() - inicio;
+    assert.ok(Math.abs(espera - 30000 * 2 ** (intento - 1)) <= 1000, `espera de ${espera}ms en el intento ${intento}`);
+  }
+  await ColaNotificaciones.procesar(notificacion);
+
+  assert.equal(notificacion.estado, 'fallida');
+  assert.equal(notificacion.intentos, 6);
+  assert.equal(notificacion.ultimoError, 'Slack no responde.');
+});
+
+test('encolar no repite una notificación con la misma clave de idempotencia', async () => {
+  // Sin trabajador, `encolar` solo guarda la notificación.
+  ColaNotificaciones.detener();
+
+  const primera = await ColaNotificaciones.encolar({ evento: 'NotificarCreador', tarSec: 15, datos: {}, timestamp: 1792430035 });
+  const repetida = await ColaNotificaciones.encolar({ evento: 'NotificarCreador', tarSec: 15, datos: {}, timestamp: 1792430035 });
+  const otra = await ColaNotificaciones.encolar({ evento: 'NotificarCreador', tarSec: 15, datos: {}, timestamp: 1792430036 });
+
+  assert.equal(primera.duplicada, false);
+  assert.equal(repetida.duplicada, true);
+  assert.equal(repetida.notificacion.id, primera.notificacion.id);
+  assert.notEqual(otra.notificacion.id, primera.notificacion.id);
+  assert.equal(ColaNotificaciones.buscar('NotificarCreador', 15, 1792430035).id, primera.notificacion.id);
+  assert.equal(ColaNotificaciones.obtener(primera.notificacion.id).estado, 'pendiente');
+});
@@ -0,0 +1,56 @@
+// Importaciones de módulos necesarios.
+const { test } = require('node:test'); // Ejecutor de pruebas de Node.js.
+const assert = require('node:assert/strict'); // Aserciones.
+const EnrutadorComandos = require('../bot/services/enrutadorComandos.js'); // Módulo a probar.
+
+test('tokenizar respeta las comillas rectas, tipográficas y simples', () => {
+  assert.deepEqual(EnrutadorComandos.tokenizar('agregar 2026-12-24 "Noche buena"'), ['agregar', '2026-12-24', 'Noche buena']);
+  assert.deepEqual(EnrutadorComandos.tokenizar('agregar “Año nuevo”  \'fin de año\''), ['agregar', 'Año nuevo', 'fin de año']);
+  assert.deepEqual(EnrutadorComandos.tokenizar('   '), []);
+  assert.deepEqual(EnrutadorComandos.tokenizar('""'), ['']);
+});
+
+test('interpretar separa el nombre, los argumentos y las banderas', () => {
+  assert.deepEqual(EnrutadorComandos.interpretar('  CRM-Check-Me 2026-03 --preview --area=Soporte JuanP '), {
+    nombre: 'crm-check-me',
+    args: ['2026-03', 'JuanP'],
+    flags: { preview: true, area: 'Soporte' }
+  });
+});
+
+test('interpretar acepta el guion largo que algunos clientes ponen en lugar de --', () => {
+  assert.deepEqual(EnrutadorComandos.interpretar('crm-team —Todas').flags, { todas: true });
+});
+
+test('interpretar conserva los valores de bandera con espacios entre comillas', () => {
+  assert.deepEqual(EnrutadorComandos.interpretar('crm-calendario "--nombre=Calendario Bogotá"').flags, { nombre: 'Calendario Bogotá' });
+});
+
+test('resolver encuentra los comandos por nombre o alias y sugiere el más parecido', () => {
+  const enrutador = new EnrutadorComandos()
+    .registrar('crm-check-me', () => ({}), { alias: ['yo'] })
+    .registrar('crm-team', () => ({}), { rol: 'lider' });
+
+  assert.equal(enrutador.resolver('yo 2026-03').definicion.nombre, 'crm-check-me');
+  assert.equal(enrutador.resolver('crm-team').definicion.rol, 'lider');
+
+  const desconocido = enrutador.resolver('crm-chek-me');
+  assert.equal(desconocido.definicion, null);
+  assert.equal(desconocido.sugerencia, 'crm-check-me');
+  assert.equal(enrutador.resolver('hola').sugerencia, null);
+});
+
+test('registrar rechaza nombres o alias repetidos', () => {
+  const enrutador = new EnrutadorComandos().registrar('crm-check-me', () => ({}), { alias: ['yo'] });
+  assert.throws(() => enrutador.registrar('yo', () => ({})), /ya está registrado/);
+});
+
+test('listar devuelve cada comando una vez con sus alias', () => {
+  const enrutador = new EnrutadorComandos()
+    .registrar('crm-check-me', () => ({}), { alias: ['yo', 'me'], descripcion: 'Tu reporte' })
+    .registrar('crm-team', () => ({}));
+  assert.deepEqual(enrutador.listar(), [
+    { nombre: 'crm-check-me', descripcion: 'Tu reporte', alias: ['yo', 'me'] },
+    { nombre: 'crm-team', descripcion: '', alias: [] }
+  ]);
+});
@@ -0,0 +1,42 @@
+// Importaciones de módulos necesarios.
+const { test } = require('node:test'); // Ejecutor de pruebas de Node.js.
+const assert = require('node:assert/strict'); // Aserciones.
+const { format } = require('date-fns'); // Formato de las fechas esperadas.
+const ServicioFestivos = require('../bot/services/festivos.js'); // Módulo a probar.
+
+test('calcularDomingoPascua devuelve el Domingo de Pascua de cada año', () => {
+  const esperados = { 2000: '2000-04-23', 2024: '2024-03-31', 2025: '2025-04-20', 2026: '2026-04-05', 2038: '2038-04-25' };
+  Object.entries(esperados).forEach(([año, fecha]) => {
+    assert.equal(format(ServicioFestivos.calcularDomingoPascua(Number(año)), 'yyyy-MM-dd'), fecha);
+  });
+});
+
+test('trasladarALunes deja los lunes y mueve los demás días al lunes siguiente', () => {
+  assert.equal(format(ServicioFestivos.trasladarALunes(new Date(2025, 0, 6)), 'yyyy-MM-dd'), '2025-01-06');
+  assert.equal(format(ServicioFestivos.trasladarALunes(new Date(2025, 2, 19)), 'yyyy-MM-dd'), '2025-03-24');
+  assert.equal(format(ServicioFestivos.trasladarALunes(new Date(2025, 5, 29)), 'yyyy-MM-dd'), '2025-06-30');
+});
+
+test('obtenerFestivosDetallados aplica la Ley Emiliani a los festivos trasladables y a los de Pascua', () => {
+  const festivos = ServicioFestivos.obtenerFestivosDetallados(2025);
+  const fechaDe = nombre => festivos.find(festivo => festivo.nombre === nombre).fecha;
+
+  assert.equal(festivos.length, 18);
+  assert.equal(fechaDe('Jueves Santo'), '2025-04-17');
+  assert.equal(fechaDe('Viernes Santo'), '2025-04-18');
+  assert.equal(fechaDe('Ascensión del Señor'), '2025-06-02');
+  assert.equal(fechaDe('Corpus Christi'), '2025-06-23');
+  assert.equal(fechaDe('Sagrado Corazón de Jesús'), '2025-06-30');
+  assert.equal(fechaDe('Día de San José'), '2025-03-24');
+  assert.equal(fechaDe('Día de la Raza'), '2025-10-13');
+  // Los festivos de fecha fija no se trasladan aunque caigan en fin de semana.
+  assert.equal(fechaDe('Día de la Independencia'), '2025-07-20');
+});
+
+test('obtenerFestivosColombia no repite los lunes en los que coinciden dos festivos', () => {
+  assert.deepEqual(ServicioFestivos.obtenerFestivosColombia(2025), [
+    '2025-01-01', '2025-01-06', '2025-03-24', '2025-04-17', '2025-04-18', '2025-05-01',
+    '2025-06-02', '2025-06-23', '2025-06-30', '2025-07-20', '2025-08-07', '2025-08-18',
+    '2025-10-13', '2025-11-03', '2025-11-17', '2025-12-08', '2025-12-25'
+  ]);
+});
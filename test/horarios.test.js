@@ -0,0 +1,73 @@
+// Importaciones de módulos necesarios.
+const { test, after } = require('node:test'); // Ejecutor de pruebas de Node.js.
+const assert = require('node:assert/strict'); // Aserciones.
+const fs = require('fs'); // Carpeta temporal de los almacenes.
+const os = require('os'); // Directorio temporal del sistema.
+const path = require('path'); // Rutas de la carpeta temporal.
+
+// Los almacenes se guardan en una carpeta temporal, que se debe definir antes de cargar `AlmacenJson`.
+process.env.BOT_DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'horarios-'));
+const ServicioHorarios = require('../bot/services/horarios.js'); // Módulo a probar.
+
+// Sábados de semanas impares (1 y 37) y pares (2 y 38) de 2026, con semanas que empiezan en lunes.
+const SABADOS_IMPARES = [new Date(2026, 0, 3), new Date(2026, 8, 12)];
+const SABADOS_PARES = [new Date(2026, 0, 10), new Date(2026, 8, 19)];
+
+after(() => {
+  fs.rmSync(process.env.BOT_DATA_DIR, { recursive: true, force: true });
+});
+
+test('el perfil por defecto descansa los sábados de las semanas impares con TipoDescanso 1', () => {
+  const horario = ServicioHorarios.obtenerHorario('juanp', 1);
+
+  assert.equal(horario.codigo, 'COMPLETO');
+  assert.deepEqual(horario.minutos, [0, 510, 510, 510, 510, 510, 180]);
+  assert.equal(horario.semanasDescanso, 'impares');
+  SABADOS_IMPARES.forEach(fecha => assert.equal(ServicioHorarios.obtenerMinutosRequeridos(horario, fecha), 0));
+  SABADOS_PARES.forEach(fecha => assert.equal(ServicioHorarios.obtenerMinutosRequeridos(horario, fecha), 180));
+});
+
+test('TipoDescanso 2 invierte la rotación', () => {
+  const horario = ServicioHorarios.obtenerHorario('JUANP', 2);
+
+  assert.equal(horario.semanasDescanso, 'pares');
+  SABADOS_IMPARES.forEach(fecha => assert.equal(ServicioHorarios.obtenerMinutosRequeridos(horario, fecha), 180));
+  SABADOS_PARES.forEach(fecha => assert.equal(ServicioHorarios.obtenerMinutosRequeridos(horario, fecha), 0));
+});
+
+test('la rotación no afecta a los días que no son rotativos', () => {
+  const horario = ServicioHorarios.obtenerHorario('JUANP', 1);
+
+  // Viernes y domingo de la semana impar 37.
+  assert.equal(ServicioHorarios.obtenerMinutosRequeridos(horario, new Date(2026, 8, 11)), 510);
+  assert.equal(ServicioHorarios.obtenerMinutosRequeridos(horario, new Date(2026, 8, 13)), 0);
+});
+
+test('un perfil que rota según TipoDescanso lo exige', () => {
+  assert.throws(() => ServicioHorarios.obtenerHorario('JUANP', null), /TipoDescanso inválido/);
+  assert.throws(() => ServicioHorarios.obtenerHorario('JUANP', 3), /TipoDescanso inválido/);
+});
+
+test('un perfil con rotación fija o sin rotación no usa TipoDescanso', async () => {
+  await ServicioHorarios.guardarPerfil('pares', 'Sábados pares', { lunes: 480, sabado: 240 }, { dias: ['sabado'], semanasDescanso: 'pares' });
+  await ServicioHorarios.guardarPerfil('medio', 'Medio tiempo', { lunes: 240, martes: 240, miercoles: 240, jueves: 240, viernes: 240 }, null);
+  await ServicioHorarios.asignarPerfil('anag', 'PARES');
+  await ServicioHorarios.asignarPerfil('luism', 'medio');
+
+  const pares = ServicioHorarios.obtenerHorario('ANAG', null);
+  SABADOS_IMPARES.forEach(fecha => assert.equal(ServicioHorarios.obtenerMinutosRequeridos(pares, fecha), 240));
+  SABADOS_PARES.forEach(fecha => assert.equal(ServicioHorarios.obtenerMinutosRequeridos(pares, fecha), 0));
+
+  const medio = ServicioHorarios.obtenerHorario('LUISM', null);
+  assert.equal(medio.semanasDescanso, null);
+  assert.deepEqual(medio.diasRotativos, []);
+  SABADOS_IMPARES.forEach(fecha => assert.equal(ServicioHorarios.obtenerMinutosRequeridos(medio, fecha), 0));
+  assert.equal(ServicioHorarios.obtenerMinutosRequeridos(medio, new Date(2026, 8, 14)), 240);
+});
+
+test('guardarPerfil rechaza días rotativos que no son laborables', async () => {
+  await assert.rejects(
+    ServicioHorarios.guardarPerfil('malo', 'Malo', { lunes: 480 }, { dias: ['sabado'], semanasDescanso: 'impares' }),
+    /deben ser días laborables/
+  );
+});
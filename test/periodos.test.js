@@ -0,0 +1,62 @@
+// Importaciones de módulos necesarios.
+const { test } = require('node:test'); // Ejecutor de pruebas de Node.js.
+const assert = require('node:assert/strict'); // Aserciones.
+const { format } = require('date-fns'); // Formato de las fechas esperadas.
+const ServicioPeriodos = require('../bot/services/periodos.js'); // Módulo a probar.
+
+// Miércoles 16 de septiembre de 2026.
+const HOY = new Date(2026, 8, 16, 10, 30);
+
+/**
+ * Interpreta unos argumentos y devuelve el período con las fechas en texto, para comparar fácilmente.
+ * @param {Array<string>} args - Los argumentos del comando.
+ * @param {Date} [hoy=HOY] - La fecha actual.
+ * @returns {{fechaInicio: string, fechaFin: string, etiqueta: string}} El período interpretado.
+ */
+const interpretar = (args, hoy = HOY) => {
+  const periodo = ServicioPeriodos.interpretar(args, hoy);
+  return { fechaInicio: format(periodo.fechaInicio, 'yyyy-MM-dd'), fechaFin: format(periodo.fechaFin, 'yyyy-MM-dd'), etiqueta: periodo.etiqueta };
+};
+
+test('sin argumentos toma el mes actual hasta ayer', () => {
+  assert.deepEqual(interpretar([]), { fechaInicio: '2026-09-01', fechaFin: '2026-09-15', etiqueta: 'mes' });
+});
+
+test('interpreta un mes por número o por nombre', () => {
+  assert.deepEqual(interpretar(['2026-03']), { fechaInicio: '2026-03-01', fechaFin: '2026-03-31', etiqueta: 'mes' });
+  assert.deepEqual(interpretar(['Marzo']), { fechaInicio: '2026-03-01', fechaFin: '2026-03-31', etiqueta: 'mes' });
+  assert.deepEqual(interpretar(['febrero', '2024']), { fechaInicio: '2024-02-01', fechaFin: '2024-02-29', etiqueta: 'mes' });
+  // Sin año, un mes que todavía no empieza este año se toma del año anterior.
+  assert.deepEqual(interpretar(['octubre']), { fechaInicio: '2025-10-01', fechaFin: '2025-10-31', etiqueta: 'mes' });
+});
+
+test('interpreta los trimestres y recorta el trimestre en curso hasta ayer', () => {
+  assert.deepEqual(interpretar(['2026-T1']), { fechaInicio: '2026-01-01', fechaFin: '2026-03-31', etiqueta: 'trimestre' });
+  assert.deepEqual(interpretar(['2026-t3']), { fechaInicio: '2026-07-01', fechaFin: '2026-09-15', etiqueta: 'trimestre' });
+  assert.throws(() => interpretar(['2026-T4']), /aún no tiene días cerrados/);
+});
+
+test('interpreta un día o un rango de días', () => {
+  assert.deepEqual(interpretar(['2026-09-01']), { fechaInicio: '2026-09-01', fechaFin: '2026-09-01', etiqueta: 'rango' });
+  assert.deepEqual(interpretar(['2026-09-01', '2026-09-10']), { fechaInicio: '2026-09-01', fechaFin: '2026-09-10', etiqueta: 'rango' });
+});
+
+test('interpreta la semana actual desde el lunes hasta ayer', () => {
+  assert.deepEqual(interpretar(['semana']), { fechaInicio: '2026-09-14', fechaFin: '2026-09-15', etiqueta: 'semana' });
+  assert.throws(() => interpretar(['semana'], new Date(2026, 8, 14, 9)), /hoy es lunes/);
+});
+
+test('rechaza los períodos inválidos', () => {
+  assert.throws(() => interpretar(['2026-13']), /no es válido/);
+  assert.throws(() => interpretar(['2026-02-30']), /no es válida/);
+  assert.throws(() => interpretar(['2026-09-10', '2026-09-01']), /es posterior a la fecha final/);
+  assert.throws(() => interpretar(['2026-09-01', '2026-09-16']), /no puede ser posterior a ayer/);
+  assert.throws(() => interpretar(['2024-01-01', '2025-06-01']), /no puede superar 366 días/);
+  assert.throws(() => interpretar(['ayer']), /No se reconoce el período "ayer"/);
+});
+
+test('construirTitulo usa el tipo del período', () => {
+  assert.equal(ServicioPeriodos.construirTitulo(ServicioPeriodos.interpretar(['2026-03'], HOY)), 'Reporte Mensual - March 2026');
+  assert.equal(ServicioPeriodos.construirTitulo(ServicioPeriodos.interpretar(['semana'], HOY)), 'Reporte Semanal - 14/09/2026');
+  assert.equal(ServicioPeriodos.construirTitulo(ServicioPeriodos.interpretar(['2026-09-01', '2026-09-10'], HOY)), 'Reporte 01/09/2026 - 10/09/2026');
+});